@@ -86,7 +86,7 @@ export async function runAuditEpoch(options = {}) {
     const prevRef = process.env.ODDKIT_BASELINE_REF;
     process.env.ODDKIT_BASELINE_REF = ref;
 
-    const baselineResult = await ensureBaselineRepo(baseline);
+    const baselineResult = await ensureBaselineRepo(baseline, { repoRoot });
 
     // Restore previous ref
     if (prevRef !== undefined) {
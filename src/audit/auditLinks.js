@@ -0,0 +1,212 @@
+// src/audit/auditLinks.js
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { createDocLookup, resolveSupersession } from "../resolve/resolveUri.js";
+import { findWikiLinks } from "../utils/extractLinks.js";
+import { isSourceFile } from "../index/parsers.js";
+
+/**
+ * Dead-reference audit — the Node mirror of the Worker's runAudit
+ * (workers/src/orchestrate.ts). Keep the two in step: same rules, scope
+ * defaults, limits, allowlist directive and result shape.
+ *
+ * Per klappy://docs/oddkit/specs/oddkit-audit (DRAFT v2 — KISS): walk every
+ * markdown link to a `klappy://` URI in scope and report those that do not
+ * resolve (rule `dead-reference`). In writings/, legacy `/page/...` and
+ * `./*.md` link targets are reported too (rule `legacy-link-pattern`).
+ *
+ * Node only: every indexed source format is audited (index/parsers.js), not
+ * just `.md` — markdown-syntax links in MDX, text, AsciiDoc and rST files
+ * count, and `./*.mdx`-style relative targets are legacy links like `./*.md`.
+ * Obsidian-style `[[wiki-links]]` that the index couldn't resolve
+ * to a document (see index/buildIndex.js createWikiLinkResolver) are
+ * `dead-reference` findings as well. The Worker doesn't index wiki-links.
+ *
+ * Unlike the Worker, the corpus is the local index: local docs plus the
+ * baseline, with local docs shadowing baseline docs at the same path, and
+ * chains follow `supersedes` as well as `superseded_by` (the resolve action's
+ * rules).
+ */
+
+// Default scope is writings/ only, matching the Worker (see its note on why).
+export const DEFAULT_AUDIT_PATHS = ["writings/"];
+export const AUDIT_EXCLUDE_PREFIXES = ["docs/archive/"];
+const MAX_AUDIT_FILES = 1000;
+export const MAX_AUDIT_FINDINGS = 500;
+
+// Match [label](target) — same pattern as the Worker
+const MARKDOWN_LINK_RE = /\[([^\]]*?)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+// Line-level allowlist directive. Captures: rule_id, optional reason.
+//   <!-- audit-allow: dead-reference reason="placeholder" -->
+const AUDIT_ALLOW_RE = /<!--\s*audit-allow:\s*([a-z-]+)(?:\s+reason="([^"]*)")?\s*-->/;
+
+/**
+ * Normalize audit input: a scope object, a JSON string, or nothing (defaults).
+ * `{ scope: {...} }` wrappers are unwrapped. `since_commit` is accepted for
+ * parity with the spec but ignored, as in the Worker.
+ *
+ * @param {Object|string|undefined} input
+ * @returns {{ paths?: string[], since_commit?: string }}
+ */
+export function parseAuditScope(input) {
+  if (typeof input === "string" && input.trim().length > 0) {
+    try {
+      const parsed = JSON.parse(input);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return parsed.scope || parsed;
+      }
+    } catch {
+      // Ignore — empty scope is a valid full-default audit
+    }
+  } else if (input && typeof input === "object" && !Array.isArray(input)) {
+    return input.scope || input;
+  }
+  return {};
+}
+
+/**
+ * Audit markdown links in the indexed documents.
+ *
+ * @param {Array} documents - Index documents (local and baseline)
+ * @param {{ paths?: string[] }} [scope] - Path prefixes to audit (default writings/)
+ * @returns {{ status: "OK"|"FINDINGS", summary: Object, findings: Array, suppressed_findings?: Array, scope: Object }}
+ */
+export function auditLinks(documents, scope = {}) {
+  const paths = Array.isArray(scope.paths) && scope.paths.length > 0 ? scope.paths : DEFAULT_AUDIT_PATHS;
+
+  // One entry per path, local shadowing baseline
+  const byPath = new Map();
+  for (const doc of documents) {
+    if (!byPath.has(doc.path) || doc.origin === "local") byPath.set(doc.path, doc);
+  }
+
+  // A URI resolves when its supersession chain reaches a terminus (see
+  // resolve/resolveUri.js): unknown URIs and circular chains are dead.
+  const docLookup = createDocLookup(documents);
+  const uriResolves = (uri) => resolveSupersession(docLookup, uri).status === "FOUND";
+
+  const inScope = (path) =>
+    isSourceFile(path) &&
+    !AUDIT_EXCLUDE_PREFIXES.some((p) => path.startsWith(p)) &&
+    paths.some((p) => path.startsWith(p));
+
+  const targets = [...byPath.values()].filter((d) => inScope(d.path)).slice(0, MAX_AUDIT_FILES);
+
+  const findings = [];
+  const suppressedFindings = [];
+  let truncated = false;
+  let filesScanned = 0;
+
+  for (const doc of targets) {
+    if (findings.length >= MAX_AUDIT_FINDINGS) {
+      truncated = true;
+      break;
+    }
+    let content;
+    try {
+      content = readFileSync(doc.absolutePath, "utf-8");
+    } catch {
+      continue;
+    }
+    filesScanned++;
+    const isWriting = doc.path.startsWith("writings/");
+    const deadWikiNames = new Set(
+      (doc.links || []).filter((l) => l.kind === "wiki" && !l.resolved).map((l) => l.name.toLowerCase()),
+    );
+
+    // An allowlist directive suppresses the next finding of its rule
+    let pendingSuppress = null;
+    const lines = content.split("\n");
+    for (let lineIdx = 0; lineIdx < lines.length && !truncated; lineIdx++) {
+      const line = lines[lineIdx];
+
+      const allowMatch = AUDIT_ALLOW_RE.exec(line);
+      if (allowMatch) {
+        pendingSuppress = { rule: allowMatch[1], reason: allowMatch[2] || null };
+      }
+
+      const lineFindings = [
+        ...[...line.matchAll(MARKDOWN_LINK_RE)].map((m) => classifyLink(m[2], doc.path, lineIdx + 1, isWriting, uriResolves)),
+        ...findWikiLinks(line)
+          .filter((wiki) => deadWikiNames.has(wiki.name.toLowerCase()))
+          .map((wiki) => ({
+            rule_id: "dead-reference",
+            severity: "error",
+            location: { path: doc.path, line: lineIdx + 1 },
+            occurrence: wiki.occurrence,
+            message: "Wiki-link does not resolve to an indexed document",
+          })),
+      ];
+      for (const finding of lineFindings) {
+        if (!finding) continue;
+
+        if (pendingSuppress && pendingSuppress.rule === finding.rule_id) {
+          if (pendingSuppress.reason) finding.suppression_reason = pendingSuppress.reason;
+          suppressedFindings.push(finding);
+          pendingSuppress = null;
+          continue;
+        }
+
+        findings.push(finding);
+        if (findings.length >= MAX_AUDIT_FINDINGS) {
+          truncated = true;
+          break;
+        }
+      }
+    }
+  }
+
+  const byRule = {};
+  for (const f of findings) byRule[f.rule_id] = (byRule[f.rule_id] || 0) + 1;
+
+  return {
+    status: findings.length === 0 ? "OK" : "FINDINGS",
+    summary: {
+      total_findings: findings.length,
+      by_severity: {
+        error: findings.filter((f) => f.severity === "error").length,
+        warning: findings.filter((f) => f.severity === "warning").length,
+      },
+      by_rule: byRule,
+      files_scanned: filesScanned,
+      suppressed_count: suppressedFindings.length,
+      truncated,
+    },
+    findings,
+    ...(suppressedFindings.length > 0 ? { suppressed_findings: suppressedFindings } : {}),
+    scope: { paths, excluded_prefixes: AUDIT_EXCLUDE_PREFIXES },
+  };
+}
+
+/**
+ * Classify a single markdown link target. Returns null when the target is
+ * out of scope (external URL, anchor, non-klappy path outside writings/).
+ */
+function classifyLink(target, filePath, line, isWriting, uriResolves) {
+  const bareTarget = target.split("#")[0];
+  if (!bareTarget) return null;
+
+  const finding = (rule_id, message) => ({
+    rule_id,
+    severity: "error",
+    location: { path: filePath, line },
+    occurrence: target,
+    message,
+  });
+
+  if (bareTarget.startsWith("klappy://")) {
+    return uriResolves(bareTarget) ? null : finding("dead-reference", "URI does not resolve");
+  }
+
+  if (isWriting) {
+    if (bareTarget.startsWith("/page/")) {
+      return finding("legacy-link-pattern", "Use a klappy:// URI instead of /page/ path");
+    }
+    if (bareTarget.startsWith("./") && isSourceFile(bareTarget)) {
+      return finding("legacy-link-pattern", `Use a klappy:// URI instead of relative ${extname(bareTarget)} path`);
+    }
+  }
+
+  return null;
+}
@@ -2,6 +2,7 @@ import { execSync } from "child_process";
 import { existsSync, mkdirSync, readdirSync, rmSync, statSync } from "fs";
 import { join, resolve, isAbsolute } from "path";
 import { homedir } from "os";
+import { loadProjectConfig } from "../config/projectConfig.js";
 
 const DEFAULT_BASELINE_URL = "https://github.com/klappy/klappy.dev.git";
 const DEFAULT_REF = "main";
@@ -92,16 +93,22 @@ function isLocalPath(str) {
 }
 
 /**
- * Resolve the baseline source: CLI flag > env var > default
- * Returns { url, source } where source is "cli" | "environment" | "default"
+ * Resolve the baseline source: CLI flag > env var > project config > default
+ * Returns { url, source } where source is "cli" | "environment" | "config" | "default".
+ * The project config (.oddkit/config.json `baseline`) is consulted only when
+ * `repoRoot` is given; an invalid config throws (code "INVALID_CONFIG").
  */
-export function resolveBaselineSource(cliOverride = null) {
+export function resolveBaselineSource(cliOverride = null, repoRoot = null) {
   if (cliOverride) {
     return { url: cliOverride, source: "cli" };
   }
   if (process.env.ODDKIT_BASELINE) {
     return { url: process.env.ODDKIT_BASELINE, source: "environment" };
   }
+  const configured = repoRoot ? loadProjectConfig(repoRoot).baseline : null;
+  if (configured) {
+    return { url: configured, source: "config" };
+  }
   return { url: DEFAULT_BASELINE_URL, source: "default" };
 }
 
@@ -209,16 +216,18 @@ function findLatestCacheDir(parentDir) {
  * Resolution order:
  *   1. cliOverride parameter (from --baseline flag)
  *   2. ODDKIT_BASELINE environment variable
- *   3. Default: https://github.com/klappy/klappy.dev.git
+ *   3. `baseline` in the repo's .oddkit/config.json (when options.repoRoot is given)
+ *   4. Default: https://github.com/klappy/klappy.dev.git
  *
  * Options:
  *   - checkOnly: If true, only check for changes without fetching (returns changed: boolean)
+ *   - repoRoot: Local repo whose project config may set the default baseline
  *
  * Returns { root, ref, source, baselineUrl, commitSha } or { root: null, error }
  */
 export async function ensureBaselineRepo(cliOverride = null, options = {}) {
-  const { checkOnly = false } = options;
-  const { url: baselineUrl, source: baselineSource } = resolveBaselineSource(cliOverride);
+  const { checkOnly = false, repoRoot = null } = options;
+  const { url: baselineUrl, source: baselineSource } = resolveBaselineSource(cliOverride, repoRoot);
   const ref = getBaselineRef();
   const refSource = process.env.ODDKIT_BASELINE_REF ? "environment" : "defaulted";
 
@@ -3,10 +3,13 @@ import { createInterface } from "readline";
 import { createRequire } from "module";
 import { TOOLS } from "./core/tool-registry.js";
 import { handleAction } from "./core/actions.js";
-import { runIndex } from "./tasks/indexTask.js";
+import { runIndex, runSupersedesLint } from "./tasks/indexTask.js";
+import { watchIndex } from "./index/watchIndex.js";
+import { inspectProjectConfig } from "./config/projectConfig.js";
 import { runLibrarian } from "./tasks/librarian.js";
 import { runValidate } from "./tasks/validate.js";
 import { explainLast } from "./explain/explain-last.js";
+import { writeLast } from "./state/last.js";
 import { runInit } from "./cli/init.js";
 import { runClaudeMd } from "./cli/claudemd.js";
 import { runHooks } from "./cli/hooks.js";
@@ -90,6 +93,15 @@ function isActionError(actionResult) {
   return actionResult.action === "error" || !!actionResult.result?.error;
 }
 
+/**
+ * Record an explained search as the last result, so `oddkit explain` can
+ * render it. CLI only: over MCP the breakdown stays in the response.
+ */
+function recordExplainedSearch(actionName, input, actionResult, options) {
+  if (actionName !== "search" || !options.explain || isActionError(actionResult)) return;
+  writeLast({ ...actionResult.result, debug: { tool: "search", query: input, ...actionResult.debug } });
+}
+
 /**
  * Output handleAction result based on format
  */
@@ -162,12 +174,12 @@ export function run() {
     .option("--no-color", "Disable colored output");
 
   // ────────────────────────────────────────────────────────────────────────────
-  // Epistemic tools — all 11 actions from shared registry
+  // Epistemic tools — every action in the shared registry
   // ────────────────────────────────────────────────────────────────────────────
 
   for (const tool of TOOLS) {
     const cmd = program
-      .command(tool.name)
+      .command(tool.cliName || tool.name)
       .description(tool.description);
 
     // Register flags from shared schema
@@ -220,7 +232,22 @@ export function run() {
           section: options.section,
           reference: options.reference,
           compare: options.compare,
+          tags: options.tags,
+          authority_band: options.authorityBand,
+          intent: options.intent,
+          origin: options.origin,
+          path_prefix: options.pathPrefix,
+          evidence: options.evidence,
+          limit: options.limit,
+          offset: options.offset,
+          cursor: options.cursor,
+          retrieval: options.retrieval,
+          explain: options.explain,
+          include_links: options.includeLinks,
+          rewrite_wiki_links: options.rewriteWikiLinks,
+          paths: options.paths,
         });
+        recordExplainedSearch(tool.name, input, result, options);
 
         outputActionResult(tool.name, result, format, quiet);
 
@@ -248,6 +275,7 @@ export function run() {
     .option("-r, --repo <path>", "Repository root path", process.cwd())
     .option("-b, --baseline <path-or-url>", "Override baseline repo (path or git URL)")
     .option("-f, --format <type>", "Output format: tooljson, json, or md", "json")
+    .option("--explain", "Attach a score breakdown to each candidate")
     .action(async (options, cmd) => {
       const globalOpts = cmd.optsWithGlobals();
       const format = options.format;
@@ -289,6 +317,8 @@ export function run() {
     .option("-b, --baseline <path-or-url>", "Override baseline repo (path or git URL)")
     .option("-f, --format <type>", "Output format: tooljson, json, or md", "json")
     .option("--force", "Force rebuild even if index exists")
+    .option("--report", "Include an index health report (missing titles/URIs, duplicates, exclusions, ...)")
+    .option("--watch", "Keep running and update the index when indexed files are added, edited, or deleted")
     .action(async (options, cmd) => {
       const globalOpts = cmd.optsWithGlobals();
       const format = options.format;
@@ -297,6 +327,34 @@ export function run() {
       try {
         const result = await runIndex(options);
         outputResult("index", result, format, quiet);
+        if (!quiet && result.supersedes.status === "FINDINGS") {
+          const { error, warning } = result.supersedes.summary.by_severity;
+          console.error(
+            `Supersedes: ${error} error(s), ${warning} warning(s). Run 'oddkit lint-supersedes' for details.`,
+          );
+        }
+        if (options.watch) {
+          // Progress goes to stderr; stdout carries only the initial result
+          const log = (message) => {
+            if (!quiet) console.error(message);
+          };
+          const watcher = watchIndex(options.repo, {
+            onUpdate: ({ index, changed }) => {
+              if (!index) return;
+              const { parsed, removed } = index.stats.incremental.local;
+              log(`Index updated: ${parsed} parsed, ${removed} removed, ${index.stats.total} docs (${changed.join(", ")})`);
+            },
+            onError: (err) => log(`Index update failed: ${err.message}`),
+          });
+          log(`Watching ${watcher.roots.join(", ")} for changes (Ctrl+C to stop)`);
+          const stop = () => {
+            watcher.close();
+            process.exit(EXIT_OK);
+          };
+          process.once("SIGINT", stop);
+          process.once("SIGTERM", stop);
+          return;
+        }
         process.exit(EXIT_OK);
       } catch (err) {
         outputError("index", err, format, quiet);
@@ -304,6 +362,50 @@ export function run() {
       }
     });
 
+  // Supersedes lint (also run by `oddkit index`)
+  program
+    .command("lint-supersedes")
+    .description("Check supersedes declarations: conflicts, dangling targets, cycles, stale links")
+    .option("-r, --repo <path>", "Repository root path", process.cwd())
+    .option("-b, --baseline <path-or-url>", "Override baseline repo (path or git URL)")
+    .option("-f, --format <type>", "Output format: tooljson, json, or md", "json")
+    .action(async (options, cmd) => {
+      const globalOpts = cmd.optsWithGlobals();
+      const format = options.format;
+      const quiet = globalOpts.quiet;
+
+      try {
+        const result = await runSupersedesLint(options);
+        outputResult("lint-supersedes", result, format, quiet);
+        // Error findings (conflicts, cycles) fail the run so CI can gate on it
+        const failed = result.summary.by_severity.error > 0;
+        process.exit(!failed || format === "tooljson" ? EXIT_OK : EXIT_BAD_ARGS);
+      } catch (err) {
+        outputError("lint-supersedes", err, format, quiet);
+        process.exit(format === "tooljson" ? EXIT_OK : EXIT_RUNTIME_ERROR);
+      }
+    });
+
+  // Project config check
+  program
+    .command("config")
+    .description("Validate and show the project config (.oddkit/config.json)")
+    .option("-r, --repo <path>", "Repository root path", process.cwd())
+    .option("-f, --format <type>", "Output format: tooljson, json, or md", "json")
+    .action(async (options, cmd) => {
+      const globalOpts = cmd.optsWithGlobals();
+      const format = options.format;
+      const quiet = globalOpts.quiet;
+
+      const result = inspectProjectConfig(options.repo);
+      outputResult("config", result, format, quiet);
+      if (!result.valid && !quiet && format !== "tooljson") {
+        console.error(`Invalid ${result.path}:`);
+        for (const error of result.errors) console.error(`  - ${error}`);
+      }
+      process.exit(result.valid || format === "tooljson" ? EXIT_OK : EXIT_BAD_ARGS);
+    });
+
   // Explain command (CLI-only convenience)
   program
     .command("explain")
@@ -502,10 +604,10 @@ export function run() {
     .command("tool")
     .description("Tool-mode commands (always output tooljson envelope)");
 
-  // Register all 11 epistemic tools under `oddkit tool <name>`
+  // Register every epistemic tool under `oddkit tool <name>`
   for (const tool of TOOLS) {
     const sub = toolCmd
-      .command(tool.name)
+      .command(tool.cliName || tool.name)
       .description(`${tool.description} (tooljson output)`);
 
     for (const [key, def] of Object.entries(tool.cliFlags || {})) {
@@ -549,7 +651,22 @@ export function run() {
           section: options.section,
           reference: options.reference,
           compare: options.compare,
+          tags: options.tags,
+          authority_band: options.authorityBand,
+          intent: options.intent,
+          origin: options.origin,
+          path_prefix: options.pathPrefix,
+          evidence: options.evidence,
+          limit: options.limit,
+          offset: options.offset,
+          cursor: options.cursor,
+          retrieval: options.retrieval,
+          explain: options.explain,
+          include_links: options.includeLinks,
+          rewrite_wiki_links: options.rewriteWikiLinks,
+          paths: options.paths,
         });
+        recordExplainedSearch(tool.name, input, result, options);
         const ok = !isActionError(result);
         console.log(JSON.stringify(wrapToolJson(tool.name, result, ok)));
         process.exit(EXIT_OK);
@@ -569,6 +686,7 @@ export function run() {
     .option("-q, --query <text>", "The question to ask (use @stdin to read from stdin)")
     .option("-r, --repo <path>", "Repository root path", process.cwd())
     .option("-b, --baseline <path-or-url>", "Override baseline repo (path or git URL)")
+    .option("--explain", "Attach a score breakdown to each candidate")
     .action(async (options) => {
       try {
         let query = options.query;
@@ -0,0 +1,175 @@
+import { readFileSync, existsSync } from "fs";
+import { join, resolve } from "path";
+import { createHash } from "crypto";
+import { AUTHORITY_BANDS, INTENT_HIERARCHY } from "../index/arbitration.js";
+
+/**
+ * Project configuration: `.oddkit/config.json` in the repo root.
+ *
+ * Lets a repo describe its own layout instead of the built-in
+ * canon/ odd/ docs/ writings/ convention (example in docs/QUICKSTART.md):
+ *
+ * - include: globs to index, replacing the defaults
+ * - exclude: globs to skip, in addition to node_modules/.git/.oddkit/public
+ * - authority_bands / intents: path-prefix rules (longest prefix wins);
+ *   frontmatter still overrides, and unmatched paths use the built-in inference
+ * - baseline: default baseline (path or git URL). CLI flag and ODDKIT_BASELINE
+ *   take precedence; relative paths resolve against the repo root.
+ *
+ * The file applies to the local repo only; baselines are indexed as before.
+ */
+
+export const CONFIG_PATH = ".oddkit/config.json";
+
+const KNOWN_KEYS = ["include", "exclude", "authority_bands", "intents", "baseline"];
+
+const EMPTY_CONFIG = Object.freeze({
+  path: null,
+  hash: null,
+  include: null,
+  exclude: [],
+  authority_bands: [],
+  intents: [],
+  baseline: null,
+});
+
+/**
+ * Hash of the raw config file, or null when there is none. Indexes record it
+ * so a config edit invalidates them without parsing the file.
+ */
+export function configHash(repoRoot) {
+  const path = join(repoRoot, CONFIG_PATH);
+  if (!existsSync(path)) return null;
+  return createHash("sha256").update(readFileSync(path)).digest("hex").slice(0, 16);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string" && v.trim().length > 0);
+}
+
+/**
+ * Validate a path-rule map ({ "prefix/": value }) into rules sorted longest
+ * prefix first.
+ */
+function parsePathRules(key, value, allowed, errors) {
+  if (value === undefined) return [];
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${key} must be an object mapping path prefixes to values, e.g. { "adr/": "${allowed[0]}" }`);
+    return [];
+  }
+  const rules = [];
+  for (const [prefix, ruleValue] of Object.entries(value)) {
+    if (!allowed.includes(ruleValue)) {
+      errors.push(`${key}["${prefix}"]: ${JSON.stringify(ruleValue)} is not one of ${allowed.join(", ")}`);
+      continue;
+    }
+    rules.push({ prefix: prefix.replace(/^\.?\//, ""), value: ruleValue });
+  }
+  return rules.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Validate a parsed config object.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} repoRoot - For resolving a relative baseline path
+ * @returns {{ config: Object, errors: string[] }}
+ */
+export function validateConfig(data, repoRoot) {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { config: EMPTY_CONFIG, errors: ["config must be a JSON object"] };
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!KNOWN_KEYS.includes(key)) errors.push(`unknown key "${key}" (expected one of ${KNOWN_KEYS.join(", ")})`);
+  }
+
+  let include = null;
+  if (data.include !== undefined) {
+    if (!isStringList(data.include) || data.include.length === 0) {
+      errors.push("include must be a non-empty array of glob strings");
+    } else {
+      include = data.include;
+    }
+  }
+
+  let exclude = [];
+  if (data.exclude !== undefined) {
+    if (!isStringList(data.exclude)) errors.push("exclude must be an array of glob strings");
+    else exclude = data.exclude;
+  }
+
+  const authorityBands = parsePathRules("authority_bands", data.authority_bands, AUTHORITY_BANDS, errors);
+  const intents = parsePathRules("intents", data.intents, Object.keys(INTENT_HIERARCHY), errors);
+
+  let baseline = null;
+  if (data.baseline !== undefined) {
+    if (typeof data.baseline !== "string" || data.baseline.trim().length === 0) {
+      errors.push("baseline must be a non-empty string (path or git URL)");
+    } else {
+      baseline = /^\.\.?\//.test(data.baseline) ? resolve(repoRoot, data.baseline) : data.baseline;
+    }
+  }
+
+  return {
+    config: { include, exclude, authority_bands: authorityBands, intents, baseline },
+    errors,
+  };
+}
+
+/**
+ * Read, parse and validate a repo's config without throwing.
+ *
+ * @param {string} repoRoot
+ * @returns {{ path: string, exists: boolean, valid: boolean, errors: string[], config: Object }}
+ */
+export function inspectProjectConfig(repoRoot) {
+  const path = join(repoRoot, CONFIG_PATH);
+  if (!existsSync(path)) return { path, exists: false, valid: true, errors: [], config: EMPTY_CONFIG };
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return { path, exists: true, valid: false, errors: [`not valid JSON: ${err.message}`], config: EMPTY_CONFIG };
+  }
+
+  const { config, errors } = validateConfig(data, repoRoot);
+  return {
+    path,
+    exists: true,
+    valid: errors.length === 0,
+    errors,
+    config: { ...config, path, hash: configHash(repoRoot) },
+  };
+}
+
+/**
+ * Load a repo's config. A missing file yields the defaults; an invalid one
+ * throws an Error with code "INVALID_CONFIG", every problem listed in the
+ * message and in `err.errors`.
+ *
+ * @param {string} repoRoot
+ * @returns {Object} Validated config
+ */
+export function loadProjectConfig(repoRoot) {
+  const { path, valid, errors, config } = inspectProjectConfig(repoRoot);
+  if (!valid) {
+    const err = new Error(`Invalid ${path}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    err.code = "INVALID_CONFIG";
+    err.errors = errors;
+    throw err;
+  }
+  return config;
+}
+
+/**
+ * Value of the longest path-prefix rule matching a repo-relative path, or null.
+ */
+export function matchPathRule(rules, filePath) {
+  for (const rule of rules) {
+    if (filePath.startsWith(rule.prefix)) return rule.value;
+  }
+  return null;
+}
@@ -1,7 +1,7 @@
 /**
  * Shared action handler for oddkit
  *
- * Extracted from src/mcp/server.js to be the single router for all 11 actions.
+ * Extracted from src/mcp/server.js to be the single router for every action.
  * Both CLI and MCP server import and call handleAction(). Neither defines
  * its own routing logic.
  *
@@ -15,12 +15,34 @@ import { runOrient } from "../tasks/orient.js";
 import { runChallenge } from "../tasks/challenge.js";
 import { runGate } from "../tasks/gate.js";
 import { runEncode } from "../tasks/encode.js";
-import { buildBM25Index, searchBM25 } from "../search/bm25.js";
-import { buildIndex, loadIndex, saveIndex, INDEX_VERSION } from "../index/buildIndex.js";
+import {
+  buildBM25Index,
+  expandQueryTerms,
+  explainBM25,
+  filterClauses,
+  parseQuery,
+  relatedQueryTerms,
+  searchBM25,
+  searchRelated,
+} from "../search/bm25.js";
+import {
+  corpusFingerprint,
+  loadBM25Index,
+  saveBM25Index,
+  loadSemanticIndex,
+  saveSemanticIndex,
+} from "../search/bm25Store.js";
+import { RETRIEVAL_MODES, blendHybrid, buildSemanticIndex, explainHybrid, searchSemantic } from "../search/semantic.js";
+import { createWikiLinkResolver, openIndex } from "../index/buildIndex.js";
+import { buildIndexReport } from "../index/indexReport.js";
+import { rewriteWikiLinks } from "../utils/extractLinks.js";
 import { ensureBaselineRepo, getSessionSha } from "../baseline/ensureBaselineRepo.js";
+import { auditLinks, parseAuditScope, MAX_AUDIT_FINDINGS } from "../audit/auditLinks.js";
+import { canonicalUri, createDocLookup, deriveUrl, resolveSupersession } from "../resolve/resolveUri.js";
 import { ACTION_NAMES } from "./tool-registry.js";
 import { parseTimestamp, formatDuration } from "./time-utils.js";
 import { readFileSync, existsSync } from "fs";
+import { createHash } from "crypto";
 import { createRequire } from "module";
 import matter from "gray-matter";
 
@@ -60,50 +82,406 @@ function addCanonRefs(state, paths) {
 // ──────────────────────────────────────────────────────────────────────────────
 // BM25 search index (lazy, SHA-keyed)
 //
-// Content-addressed: the BM25 index is keyed to the baseline commit SHA.
-// When the SHA changes, the index is rebuilt from fresh content.
+// Content-addressed: the BM25 index is keyed to the baseline commit SHA plus a
+// fingerprint of every indexed file's content hash. When either changes, the
+// index is rebuilt from fresh content. Built indexes are also persisted under
+// ~/.oddkit/cache/indexes/ (see search/bm25Store.js) so new CLI processes load
+// postings instead of re-tokenizing the corpus.
 // No TTL. No manual invalidation for correctness.
 // ──────────────────────────────────────────────────────────────────────────────
 
 let cachedBM25 = null;
 let cachedBM25Sha = null;
+let cachedBM25Fingerprint = null;
 
-function getBM25Index(docs, baselineSha) {
-  if (cachedBM25 && cachedBM25Sha === baselineSha && baselineSha) {
-    return cachedBM25;
+/**
+ * Build (or reuse) the section-level BM25 index.
+ *
+ * Each document contributes one BM25 entry per heading section (see
+ * utils/extractSections.js), so passages below the fold of long docs are
+ * searchable. Title, aliases, path and tags are repeated into every section so
+ * document-level matches still count. Entry ids are `path#anchor`; the
+ * preamble section uses an empty anchor. Each entry carries the document's
+ * filterable fields for the query language (see search/bm25.js parseQuery).
+ *
+ * Lookup order: in-memory → on-disk → build (then persist). Changing how entry
+ * text is composed here requires bumping BM25_FORMAT_VERSION.
+ *
+ * @returns {{ bm25: Object, source: "memory" | "disk" | "built", cacheKey: Object }}
+ */
+function getBM25Index(docs, baselineSha, repoRoot) {
+  const fingerprint = corpusFingerprint(docs);
+  if (
+    cachedBM25 &&
+    fingerprint &&
+    cachedBM25Sha === baselineSha &&
+    cachedBM25Fingerprint === fingerprint
+  ) {
+    return { bm25: cachedBM25, source: "memory", cacheKey: { baselineSha, repoRoot, fingerprint } };
+  }
+
+  const cacheKey = { baselineSha, repoRoot, fingerprint };
+  let bm25 = loadBM25Index(cacheKey);
+  let source = "disk";
+
+  if (!bm25) {
+    const documents = [];
+    for (const doc of docs) {
+      const docText = [
+        doc.title || "",
+        (doc.aliases || []).join(" "),
+        doc.path.replace(/[/_.-]/g, " "),
+        (doc.tags || []).join(" "),
+      ].join(" ");
+      const fields = {
+        tags: doc.tags || [],
+        path: doc.path,
+        authority_band: doc.authority_band || null,
+        intent: doc.intent || null,
+        origin: doc.origin || "local",
+        uri: doc.uri || null,
+        evidence: doc.evidence || "none",
+        lang: doc.lang || "en",
+      };
+      for (const section of docSections(doc)) {
+        documents.push({
+          id: sectionId(doc.path, section.anchor),
+          text: [docText, section.heading || "", section.text || ""].join(" "),
+          lang: doc.lang,
+          fields,
+        });
+      }
+    }
+    bm25 = buildBM25Index(documents);
+    source = "built";
+    saveBM25Index(bm25, cacheKey);
   }
 
-  const documents = docs.map((doc) => ({
-    id: doc.path,
-    text: [
-      doc.title || "",
-      doc.path.replace(/[/_.-]/g, " "),
-      (doc.tags || []).join(" "),
-      doc.contentPreview || "",
-    ].join(" "),
-  }));
-
-  cachedBM25 = buildBM25Index(documents);
+  cachedBM25 = bm25;
   cachedBM25Sha = baselineSha;
-  return cachedBM25;
+  cachedBM25Fingerprint = fingerprint;
+  return { bm25, source, cacheKey };
+}
+
+/**
+ * Rebuild the in-memory BM25 index for a freshly rebuilt document index, so
+ * the next search after a watched edit doesn't pay for it (see
+ * index/watchIndex.js).
+ *
+ * @param {Object} index - Document index, as saved
+ * @param {string} repoRoot
+ * @returns {"memory" | "disk" | "built"} Where the BM25 index came from
+ */
+export function refreshSearchIndex(index, repoRoot) {
+  return getBM25Index(index.documents, index.baselineCommitSha || null, repoRoot).source;
+}
+
+let cachedSemantic = null;
+let cachedSemanticFor = null; // the BM25 index object the vectors were derived from
+
+/**
+ * Build (or reuse) semantic vectors for a BM25 index (see search/semantic.js).
+ * Built lazily — only searches with retrieval "semantic" or "hybrid" pay for
+ * it — and cached in memory and on disk under the BM25 index's key.
+ *
+ * @returns {{ semantic: Object, source: "memory" | "disk" | "built" }}
+ */
+function getSemanticIndex(bm25, cacheKey) {
+  if (cachedSemantic && cachedSemanticFor === bm25) {
+    return { semantic: cachedSemantic, source: "memory" };
+  }
+
+  let semantic = loadSemanticIndex(cacheKey);
+  let source = "disk";
+  if (!semantic) {
+    semantic = buildSemanticIndex(bm25);
+    source = "built";
+    saveSemanticIndex(semantic, cacheKey);
+  }
+
+  cachedSemantic = semantic;
+  cachedSemanticFor = bm25;
+  return { semantic, source };
+}
+
+/**
+ * Load the document index for search-style actions through openIndex, which
+ * migrates older saved indexes and rebuilds (incrementally) when the schema,
+ * analyzer, project config, baseline SHA or baseline availability changed.
+ *
+ * @returns {Promise<{ index: Object, baselineSha: string|null, rebuildReason: string|null }>}
+ */
+async function loadSearchIndex(repoRoot, baseline) {
+  const baselineResult = await ensureBaselineRepo(baseline, { repoRoot });
+  const baselineAvailable = !!baselineResult.root;
+  const baselineSha = baselineResult.commitSha || null;
+
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baselineResult.root : null,
+    baselineCommitSha: baselineSha,
+    baselineStructureAgnostic: !!baseline,
+  });
+  return { index, baselineSha, rebuildReason };
+}
+
+/**
+ * Synonym groups for query expansion: the index's synonym map
+ * (canon/meta/synonyms.json) plus one group per doc with `aliases:`,
+ * pairing its title with each alias.
+ */
+function synonymGroups(index) {
+  const groups = [...(index.synonyms || [])];
+  for (const doc of index.documents) {
+    if (!doc.aliases?.length) continue;
+    groups.push({ terms: [doc.title, ...doc.aliases].filter(Boolean), source: `alias:${doc.path}` });
+  }
+  return groups;
+}
+
+function sectionId(path, anchor) {
+  return `${path}#${anchor || ""}`;
+}
+
+// Indexes built before section chunking only carry contentPreview.
+function docSections(doc) {
+  return doc.sections?.length ? doc.sections : [{ heading: null, anchor: "", text: doc.contentPreview || "" }];
+}
+
+function sectionSnippet(hit) {
+  return (hit.section?.text || hit.contentPreview || "").replace(/\s+/g, " ").trim().slice(0, 200);
+}
+
+/**
+ * Map section-level BM25 results back to documents, keeping only the
+ * best-scoring section per document (results arrive sorted by score).
+ */
+function collapseSectionHits(results, docs) {
+  const sectionMap = new Map();
+  for (const doc of docs) {
+    for (const section of docSections(doc)) sectionMap.set(sectionId(doc.path, section.anchor), { doc, section });
+  }
+
+  const seenPaths = new Set();
+  const hits = [];
+  for (const r of results) {
+    const entry = sectionMap.get(r.id);
+    if (!entry || seenPaths.has(entry.doc.path)) continue;
+    seenPaths.add(entry.doc.path);
+    hits.push({ ...entry.doc, section: entry.section, score: r.score });
+  }
+  // Explicit tiebreak on path: the search ordering contract is score desc, then path
+  return hits.sort((a, b) => b.score - a.score || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+// Fields reported in search facets. path_prefix buckets by top-level directory.
+const FACET_FIELDS = ["tags", "authority_band", "intent", "origin", "evidence", "path_prefix"];
+
+/**
+ * Count facet values across matching documents. Each field maps value → count,
+ * ordered by count (desc) then value.
+ */
+function computeFacets(hits) {
+  const counts = Object.fromEntries(FACET_FIELDS.map((f) => [f, new Map()]));
+  const bump = (field, value) => {
+    if (value == null || value === "") return;
+    counts[field].set(value, (counts[field].get(value) || 0) + 1);
+  };
+  for (const h of hits) {
+    for (const tag of new Set(h.tags || [])) bump("tags", tag);
+    bump("authority_band", h.authority_band);
+    bump("intent", h.intent);
+    bump("origin", h.origin || "local");
+    bump("evidence", h.evidence || "none");
+    bump("path_prefix", h.path.includes("/") ? `${h.path.split("/")[0]}/` : h.path);
+  }
+  const facets = {};
+  for (const [field, map] of Object.entries(counts)) {
+    facets[field] = Object.fromEntries(
+      [...map].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))),
+    );
+  }
+  return facets;
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// Result grouping — stable partition by origin (local vs baseline). The Node CLI
-// mirror of the worker's partitionBySource (which keys on `source`). See
-// klappy/oddkit issue #150.
+// Search pagination — opaque cursors bound to the query and index they were
+// issued for.
+// ──────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 50;
+
+function searchQueryKey(input, filterGroups, grouping, retrieval) {
+  return createHash("sha256")
+    .update(JSON.stringify([input || "", filterGroups, grouping, retrieval]))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+function encodeSearchCursor(offset, queryKey, indexKey) {
+  return Buffer.from(JSON.stringify({ o: offset, q: queryKey, i: indexKey })).toString("base64url");
+}
+
+/**
+ * Resolve limit/offset/cursor into a page window.
+ * Returns { limit, offset } or { error } for invalid or mismatched input.
+ * `indexKey` identifies the corpus; a cursor from before a rebuild that
+ * changed it would page over a different ordering, so it is rejected.
+ */
+function resolveSearchPage({ limit, offset, cursor }, queryKey, indexKey) {
+  const resolvedLimit = limit === undefined || limit === null ? DEFAULT_SEARCH_LIMIT : Number(limit);
+  if (!Number.isInteger(resolvedLimit) || resolvedLimit < 1 || resolvedLimit > MAX_SEARCH_LIMIT) {
+    return { error: `"limit" must be an integer between 1 and ${MAX_SEARCH_LIMIT}.` };
+  }
+
+  if (cursor) {
+    if (offset !== undefined && offset !== null) {
+      return { error: "Provide either \"cursor\" or \"offset\", not both." };
+    }
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf-8"));
+    } catch {
+      decoded = null;
+    }
+    if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+      return { error: "Invalid \"cursor\". Pass the next_cursor value from a previous search result." };
+    }
+    if (decoded.q !== queryKey) {
+      return { error: "\"cursor\" was issued for a different query, filters, grouping, or retrieval. Start again without a cursor." };
+    }
+    if (decoded.i !== indexKey) {
+      return { error: "\"cursor\" is stale: the index has changed since it was issued. Start again without a cursor." };
+    }
+    return { limit: resolvedLimit, offset: decoded.o };
+  }
+
+  const resolvedOffset = offset === undefined || offset === null ? 0 : Number(offset);
+  if (!Number.isInteger(resolvedOffset) || resolvedOffset < 0) {
+    return { error: "\"offset\" must be a non-negative integer." };
+  }
+  return { limit: resolvedLimit, offset: resolvedOffset };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Result grouping — stable partition by origin (overlay vs baseline). The Node
+// CLI mirror of the worker's partitionBySource (which keys on `source`). See
+// klappy/oddkit issue #150. Ledger entries are the repo's own, so they group
+// with the local overlay.
 // ──────────────────────────────────────────────────────────────────────────────
 
 function partitionByOrigin(arr) {
   const overlay = [];
   const baselineHits = [];
   for (const h of arr) {
-    if ((h.origin || "local") === "local") overlay.push(h);
+    if ((h.origin || "local") !== "baseline") overlay.push(h);
     else baselineHits.push(h);
   }
   return { overlay, baseline: baselineHits };
 }
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Related documents — source lookup and supersedes lineage
+// ──────────────────────────────────────────────────────────────────────────────
+
+function uriList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return value ? [value] : [];
+}
+
+/**
+ * Find an indexed document by URI (klappy://, kb://, odd://) or repo-relative
+ * path, with or without extension. URI matches win over path matches, and
+ * local docs over baseline docs.
+ */
+function findIndexedDoc(documents, ref) {
+  const wanted = String(ref || "").trim();
+  if (!wanted) return null;
+  const preferLocal = (matches) => matches.find((d) => (d.origin || "local") === "local") || matches[0] || null;
+
+  const byUri = documents.filter((d) => d.uri === wanted);
+  if (byUri.length > 0) return preferLocal(byUri);
+
+  const bare = wanted
+    .replace(/^(klappy|kb):\/\//, "")
+    .replace(/^odd:\/\//, "odd/")
+    .replace(/^\.?\//, "");
+  return preferLocal(documents.filter((d) => d.path === bare || d.path.replace(/\.[^./]+$/, "") === bare));
+}
+
+/**
+ * Every document in a document's supersedes lineage: what it supersedes,
+ * what supersedes it, transitively, plus docs sharing any URI on the way.
+ * Cycles terminate because each document joins the chain once.
+ */
+function supersedesChain(documents, sourceDoc) {
+  const uris = new Set([sourceDoc.uri, ...uriList(sourceDoc.supersedes)].filter(Boolean));
+  const chain = new Set();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const doc of documents) {
+      if (doc === sourceDoc || chain.has(doc)) continue;
+      const supersedes = uriList(doc.supersedes);
+      if ((doc.uri && uris.has(doc.uri)) || supersedes.some((u) => uris.has(u))) {
+        chain.add(doc);
+        for (const u of [doc.uri, ...supersedes]) if (u) uris.add(u);
+        grew = true;
+      }
+    }
+  }
+  return [...chain];
+}
+
+/**
+ * Outgoing links and backlinks of an indexed document (resolved at index
+ * time, see index/buildIndex.js linkDocuments).
+ */
+function docLinkGraph(index, doc) {
+  return {
+    outgoing: (doc.links || []).map(({ kind, target, text, line, anchor, resolved }) => ({
+      kind,
+      target,
+      text,
+      line,
+      anchor,
+      resolved: resolved || null,
+    })),
+    backlinks: index.backlinks?.[doc.path] || [],
+  };
+}
+
+/**
+ * Score breakdown for one search hit (explain: true): the retrieval stage —
+ * BM25 per-term contributions, semantic cosine, or both plus the hybrid
+ * blend — then the overlay/baseline grouping decision. Search applies no
+ * epistemic or intent adjustments; those are librarian stages.
+ */
+function explainSearchHit(hit, ctx) {
+  const entry = sectionId(hit.path, hit.section?.anchor);
+  const explain = { retrieval: ctx.retrieval, entry, score: hit.score };
+  if (ctx.retrieval !== "semantic") explain.bm25 = explainBM25(ctx.bm25, ctx.parsedQuery, entry);
+  if (ctx.retrieval !== "bm25") explain.semantic = { cosine: ctx.semanticResults.find((r) => r.id === entry)?.score || 0 };
+  if (ctx.retrieval === "hybrid") explain.hybrid = explainHybrid(ctx.bm25Results, ctx.semanticResults, entry);
+
+  // score_order: merged ranking; overlay_first / after_overlay: partitioned
+  // within the grouping pool; beyond_pool: ranked past the pool, score order.
+  const scoreRank = ctx.scoreOrder.indexOf(hit) + 1;
+  let decision = "score_order";
+  if (ctx.grouping !== "merged") {
+    if (scoreRank > ctx.pool) decision = "beyond_pool";
+    else decision = (hit.origin || "local") !== "baseline" ? "overlay_first" : "after_overlay";
+  }
+  explain.grouping = {
+    mode: ctx.grouping,
+    origin: hit.origin || "local",
+    score_rank: scoreRank,
+    rank: ctx.ordered.indexOf(hit) + 1,
+    decision,
+  };
+  return explain;
+}
+
 // ──────────────────────────────────────────────────────────────────────────────
 // Response text builders
 // ──────────────────────────────────────────────────────────────────────────────
@@ -165,7 +543,7 @@ export function buildEncodeResponse(taskResult) {
 // ──────────────────────────────────────────────────────────────────────────────
 
 /**
- * Handle any of the 11 oddkit actions.
+ * Handle any oddkit action (VALID_ACTIONS).
  *
  * @param {Object} params
  * @param {string} params.action - One of VALID_ACTIONS
@@ -177,10 +555,22 @@ export function buildEncodeResponse(taskResult) {
  * @param {string} [params.repoRoot] - Repository root (defaults to cwd)
  * @param {Object} [params.state] - Optional state for threading (MCP orchestrator)
  * @param {"merged"|"overlay_first"|"grouped"} [params.result_grouping] - Search ranking policy (#150)
+ * @param {string|string[]} [params.tags] - Search filter: any of these tags (also authority_band,
+ *   intent, origin, path_prefix, evidence — see search/bm25.js filterClauses)
+ * @param {number} [params.limit] - Search page size, or related result count (1-50, default 5)
+ * @param {number} [params.offset] - Search page offset; mutually exclusive with cursor
+ * @param {string} [params.cursor] - Search next_cursor from a previous page
+ * @param {"bm25"|"semantic"|"hybrid"} [params.retrieval] - Search retrieval mode (default bm25)
+ * @param {boolean} [params.explain] - Attach a score breakdown to each search hit (the CLI
+ *   also saves it as the last result, for `oddkit explain`)
+ * @param {boolean} [params.include_links] - get: attach the doc's outgoing links and backlinks
+ * @param {boolean} [params.rewrite_wiki_links] - get: rewrite [[wiki-links]] in the content as
+ *   markdown links to the klappy:// URIs they resolve to
+ * @param {string|string[]} [params.paths] - audit: path prefixes to scan (overrides the input scope)
  * @returns {Object} { action, result, assistant_text, debug, state? }
  */
 export async function handleAction(params) {
-  const { action, input, context, mode, canon_url, state, include_metadata, section, reference, compare, result_grouping } = params;
+  const { action, input, context, mode, canon_url, state, include_metadata, include_links, rewrite_wiki_links, section, reference, compare, result_grouping } = params;
   const repoRoot = params.repoRoot || process.cwd();
   const baseline = canon_url || params.baseline;
   const startMs = Date.now();
@@ -190,10 +580,20 @@ export async function handleAction(params) {
   // every doc has origin: "local" and the partition is a no-op anyway.
   const resolvedGrouping = result_grouping ?? (baseline ? "overlay_first" : "merged");
 
+  // Why this call rebuilt the index (null when the saved one was used);
+  // undefined until an action opens it
+  let indexRebuildReason;
+  const openActionIndex = async () => {
+    const loaded = await loadSearchIndex(repoRoot, baseline);
+    indexRebuildReason = loaded.rebuildReason;
+    return loaded;
+  };
+
   // Helper: enrich debug output with baseline SHA for observability
   function makeDebug(extra = {}) {
     return {
       baseline_sha: getSessionSha(),
+      ...(indexRebuildReason !== undefined ? { index_rebuild_reason: indexRebuildReason } : {}),
       ...extra,
       duration_ms: Date.now() - startMs,
       generated_at: new Date().toISOString(),
@@ -281,66 +681,132 @@ export async function handleAction(params) {
       }
 
       case "search": {
-        const baselineResult = await ensureBaselineRepo(baseline);
-        const baselineAvailable = !!baselineResult.root;
-        const baselineSha = baselineResult.commitSha || null;
-
-        // Content-addressed index: rebuild if SHA changed or baseline availability changed
-        let index = loadIndex(repoRoot);
-        // Schema version gate: stale index shapes (e.g. missing frontmatter) silently
-        // break newer features. A version mismatch forces a full rebuild.
-        if (index && index.version !== INDEX_VERSION) {
-          index = null;
+        const { index, baselineSha } = await openActionIndex();
+        const { bm25, source: bm25Source, cacheKey: bm25CacheKey } = getBM25Index(index.documents, baselineSha, repoRoot);
+
+        // Query language: phrases, -negation, OR, and field filters (tag:, path:,
+        // authority:, intent:, origin:, uri:) — see search/bm25.js parseQuery.
+        // Structured filter params add required clauses on top of the query.
+        const parsedQuery = parseQuery(input);
+        const filterGroups = filterClauses({
+          tags: params.tags,
+          authority_band: params.authority_band,
+          intent: params.intent,
+          origin: params.origin,
+          path_prefix: params.path_prefix,
+          evidence: params.evidence,
+        });
+        parsedQuery.required.push(...filterGroups);
+
+        const retrieval = params.retrieval ?? "bm25";
+        if (!RETRIEVAL_MODES.includes(retrieval)) {
+          return {
+            action: "search",
+            result: { error: `Invalid "retrieval": ${retrieval}. Valid: ${RETRIEVAL_MODES.join(", ")}` },
+            assistant_text: `Error: invalid "retrieval" ${retrieval}. Use one of: ${RETRIEVAL_MODES.join(", ")}.`,
+            debug: makeDebug(),
+          };
         }
-        if (index) {
-          const hasBaselineDocs = index.documents.some((d) => d.origin === "baseline");
-          const indexSha = index.baselineCommitSha || null;
-          if (!baselineAvailable && hasBaselineDocs) index = null;
-          else if (baselineAvailable && !hasBaselineDocs) index = null;
-          else if (baselineSha && indexSha && baselineSha !== indexSha) index = null;
+
+        // Pagination: `cursor` (from a previous next_cursor) or `offset`, plus `limit`.
+        // Cursors are also bound to the corpus fingerprint (index build time
+        // when a pre-1.6.0 entry has no content hash).
+        const queryKey = searchQueryKey(input, filterGroups, resolvedGrouping, retrieval);
+        const indexKey = bm25CacheKey.fingerprint || index.generated || null;
+        const page = resolveSearchPage(
+          { limit: params.limit, offset: params.offset, cursor: params.cursor },
+          queryKey,
+          indexKey,
+        );
+        if (page.error) {
+          return {
+            action: "search",
+            result: { error: page.error },
+            assistant_text: `Error: ${page.error}`,
+            debug: makeDebug(),
+          };
+        }
+
+        // Query expansion (see search/bm25.js expandQueryTerms): synonyms from the
+        // canon synonym map and doc aliases, then typo/prefix expansion for
+        // terms with no postings. Both score below literal terms.
+        parsedQuery.expansion = expandQueryTerms(bm25, parsedQuery, { synonyms: synonymGroups(index) });
+
+        // Retrieval: BM25 (default), semantic vectors, or a blend of both.
+        let results = null;
+        let semanticSource = null;
+        let bm25Results = [];
+        let semanticResults = [];
+        if (retrieval === "bm25") {
+          results = bm25Results = searchBM25(bm25, parsedQuery, Infinity);
+        } else {
+          const { semantic, source } = getSemanticIndex(bm25, bm25CacheKey);
+          semanticSource = source;
+          semanticResults = searchSemantic(bm25, semantic, parsedQuery);
+          if (retrieval === "semantic") {
+            results = semanticResults;
+          } else {
+            bm25Results = searchBM25(bm25, parsedQuery, Infinity);
+            results = blendHybrid(bm25Results, semanticResults);
+          }
+        }
+        const collapsedHits = collapseSectionHits(results, index.documents);
+
+        // Facet counts span every matching document, before grouping/truncation.
+        const facets = computeFacets(collapsedHits);
+
+        const searchDebug = {
+          search_index_size: bm25.N,
+          search_index_docs: index.documents.length,
+          search_index_source: bm25Source,
+          retrieval,
+          result_grouping: resolvedGrouping,
+        };
+        if (semanticSource) searchDebug.semantic_index_source = semanticSource;
+        if (parsedQuery.hasOperators || filterGroups.length > 0) {
+          const { expansion, ...queryForDebug } = parsedQuery;
+          searchDebug.search_query = queryForDebug;
         }
-        if (!index) {
-          index = await buildIndex(repoRoot, baselineAvailable ? baselineResult.root : null, {
-            baselineStructureAgnostic: !!baseline,
-          });
-          index.baselineCommitSha = baselineSha;
-          saveIndex(index, repoRoot);
+        if (parsedQuery.expansion.corrections.length > 0) {
+          searchDebug.search_corrections = parsedQuery.expansion.corrections;
+        }
+        if (parsedQuery.expansion.synonyms.length > 0) {
+          searchDebug.search_synonyms = parsedQuery.expansion.synonyms;
         }
 
-        const bm25 = getBM25Index(index.documents, baselineSha);
-
-        // Issue #150 fix-forward: when grouping is active, retrieve a wider
-        // candidate pool from BM25 so overlay (local) docs ranked beyond
-        // position 5 in raw BM25 are not truncated before partitioning.
-        const FINAL_LIMIT = 5;
-        const candidateLimit = resolvedGrouping !== "merged" ? 50 : FINAL_LIMIT;
-        const results = searchBM25(bm25, input, candidateLimit);
-
-        const docMap = new Map(index.documents.map((d) => [d.path, d]));
-        const rawHits = results
-          .map((r) => {
-            const doc = docMap.get(r.id);
-            if (!doc) return null;
-            return { ...doc, score: r.score };
-          })
-          .filter(Boolean);
-
-        // Apply result_grouping partition. Single forward pass — no re-sort.
-        // After partitioning the wider candidate pool, truncate to FINAL_LIMIT.
-        let hits = rawHits;
+        // Issue #150 fix-forward: when grouping is active, partition a wider
+        // candidate pool so overlay (local) docs ranked beyond position 5 in
+        // raw BM25 are not truncated before partitioning. BM25 ranks sections,
+        // so the pool is collapsed to one hit per document first.
+        //
+        // Ordering contract (pages never overlap): matches are ordered by score
+        // desc, then path; with grouping, the top GROUPING_POOL candidates are
+        // partitioned overlay-first and the remainder follow in score order.
+        // The order depends only on query, filters and grouping — never on
+        // limit/offset — so consecutive pages tile the same list.
+        const GROUPING_POOL = 50;
+        let ordered = collapsedHits;
         let isGrouped = false;
         if (resolvedGrouping === "overlay_first" || resolvedGrouping === "grouped") {
-          const { overlay, baseline: baselineHits } = partitionByOrigin(rawHits);
-          hits = [...overlay, ...baselineHits].slice(0, FINAL_LIMIT);
+          const { overlay, baseline: baselineHits } = partitionByOrigin(collapsedHits.slice(0, GROUPING_POOL));
+          ordered = [...overlay, ...baselineHits, ...collapsedHits.slice(GROUPING_POOL)];
           isGrouped = resolvedGrouping === "grouped";
-        } else {
-          hits = rawHits.slice(0, FINAL_LIMIT);
         }
 
+        const totalMatches = ordered.length;
+        const hits = ordered.slice(page.offset, page.offset + page.limit);
+        const nextOffset = page.offset + hits.length;
+        const pagination = {
+          total_matches: totalMatches,
+          offset: page.offset,
+          limit: page.limit,
+          next_cursor: nextOffset < totalMatches ? encodeSearchCursor(nextOffset, queryKey, indexKey) : null,
+        };
+
         const updatedState = state ? addCanonRefs(initState(state), hits.map((h) => h.path)) : undefined;
 
-        if (hits.length === 0) {
-          const noMatchResult = { status: "NO_MATCH", docs_considered: index.documents.length, hits: [] };
+        if (totalMatches === 0) {
+          const noMatchResult = { status: "NO_MATCH", docs_considered: index.documents.length, hits: [], facets, ...pagination };
           if (isGrouped) {
             noMatchResult.overlay_hits = [];
             noMatchResult.baseline_hits = [];
@@ -350,22 +816,28 @@ export async function handleAction(params) {
             result: noMatchResult,
             state: updatedState,
             assistant_text: `Searched ${index.documents.length} documents but found no matches for "${input}". Try rephrasing or use action "catalog".`,
-            debug: makeDebug({ search_index_size: bm25.N, result_grouping: resolvedGrouping }),
+            debug: makeDebug(searchDebug),
           };
         }
 
         const evidence = hits.slice(0, 3).map((h) => ({
-          quote: (h.contentPreview || "").slice(0, 200),
-          citation: `${h.path}#${h.title || ""}`,
+          quote: sectionSnippet(h),
+          citation: `${h.path}#${h.section?.heading || h.title || ""}`,
           source: h.origin || "local",
         }));
 
         const assistantLines = [
-          `Found ${hits.length} result(s) for: "${input}"`, "",
+          totalMatches > hits.length || page.offset > 0
+            ? `Found ${totalMatches} result(s) for: "${input}" (${hits.length > 0 ? `showing ${page.offset + 1}–${page.offset + hits.length}` : `none at offset ${page.offset}`})`
+            : `Found ${hits.length} result(s) for: "${input}"`,
+          "",
           ...evidence.map((e) => `> ${e.quote}\n— ${e.citation} (${e.source})`), "",
           "Results:",
-          ...hits.map((r) => `- \`${r.path}\` — ${r.title || "(untitled)"} (score: ${r.score.toFixed(2)})`),
+          ...hits.map((r) => `- \`${r.path}${r.section?.anchor ? `#${r.section.anchor}` : ""}\` — ${r.title || "(untitled)"}${r.section?.heading ? ` › ${r.section.heading}` : ""} (score: ${r.score.toFixed(2)})`),
         ];
+        if (pagination.next_cursor) {
+          assistantLines.push("", `More results: pass cursor "${pagination.next_cursor}" for the next page.`);
+        }
 
         const hitObjects = hits.map((h) => {
           const hit = {
@@ -374,9 +846,24 @@ export async function handleAction(params) {
             title: h.title,
             tags: h.tags,
             score: h.score,
-            snippet: (h.contentPreview || "").slice(0, 200),
+            heading: h.section?.heading || null,
+            anchor: h.section?.anchor || null,
+            snippet: sectionSnippet(h),
             source: h.origin || "local",
           };
+          if (params.explain === true) {
+            hit.explain = explainSearchHit(h, {
+              retrieval,
+              bm25,
+              parsedQuery,
+              bm25Results,
+              semanticResults,
+              grouping: resolvedGrouping,
+              pool: GROUPING_POOL,
+              scoreOrder: collapsedHits,
+              ordered,
+            });
+          }
           if (include_metadata) {
             if (h.frontmatter) {
               hit.metadata = h.frontmatter;
@@ -400,13 +887,15 @@ export async function handleAction(params) {
           hits: hitObjects,
           evidence,
           docs_considered: index.documents.length,
+          facets,
+          ...pagination,
         };
 
         if (isGrouped) {
           const overlayHits = [];
           const baselineHits = [];
           for (const h of hitObjects) {
-            if (h.source === "local") overlayHits.push(h);
+            if (h.source !== "baseline") overlayHits.push(h);
             else baselineHits.push(h);
           }
           foundResult.overlay_hits = overlayHits;
@@ -418,7 +907,277 @@ export async function handleAction(params) {
           result: foundResult,
           state: updatedState,
           assistant_text: assistantLines.join("\n").trim(),
-          debug: makeDebug({ search_index_size: bm25.N, result_grouping: resolvedGrouping }),
+          debug: makeDebug(searchDebug),
+        };
+      }
+
+      case "related": {
+        const { index, baselineSha } = await openActionIndex();
+        const sourceDoc = findIndexedDoc(index.documents, input);
+        if (!sourceDoc) {
+          return {
+            action: "related",
+            result: { error: `Document not found: ${input}`, input },
+            state: state ? initState(state) : undefined,
+            assistant_text: `Document not found: \`${input}\`. Pass a URI or repo-relative path; use action "search" or "catalog" to find documents.`,
+            debug: makeDebug(),
+          };
+        }
+        const page = resolveSearchPage({ limit: params.limit }, null);
+        if (page.error) {
+          return {
+            action: "related",
+            result: { error: page.error },
+            assistant_text: `Error: ${page.error}`,
+            debug: makeDebug(),
+          };
+        }
+
+        const { bm25, source: bm25Source } = getBM25Index(index.documents, baselineSha, repoRoot);
+
+        // Query vector: the source doc's distinctive terms plus its tags and headings.
+        // The doc itself (every origin's copy of its path) and its supersedes
+        // lineage are never related results.
+        const chain = supersedesChain(index.documents, sourceDoc);
+        const excludedPaths = new Set([sourceDoc.path, ...chain.map((d) => d.path)]);
+        const sourceIds = new Set(docSections(sourceDoc).map((s) => sectionId(sourceDoc.path, s.anchor)));
+        const queryTerms = relatedQueryTerms(bm25, [...sourceIds], {
+          tags: sourceDoc.tags || [],
+          headings: (sourceDoc.headings || []).map((h) => h.text),
+          lang: sourceDoc.lang,
+        });
+        const results = searchRelated(bm25, queryTerms, sourceIds);
+        const sharedById = new Map(results.map((r) => [r.id, r.shared_terms]));
+        const related = collapseSectionHits(results, index.documents).filter((h) => !excludedPaths.has(h.path));
+        const hits = related.slice(0, page.limit);
+
+        const sourceRef = { uri: sourceDoc.uri, path: sourceDoc.path, title: sourceDoc.title };
+        const excluded = chain.map((d) => ({ uri: d.uri, path: d.path, origin: d.origin || "local" }));
+        const relatedDebug = {
+          search_index_source: bm25Source,
+          related_query_terms: queryTerms.map((t) => t.term),
+        };
+        const updatedState = state ? addCanonRefs(initState(state), [sourceDoc.path, ...hits.map((h) => h.path)]) : undefined;
+
+        if (hits.length === 0) {
+          return {
+            action: "related",
+            result: { status: "NO_MATCH", source: sourceRef, hits: [], excluded, docs_considered: index.documents.length },
+            state: updatedState,
+            assistant_text: `No documents related to \`${sourceDoc.path}\` found among ${index.documents.length} documents.`,
+            debug: makeDebug(relatedDebug),
+          };
+        }
+
+        const hitObjects = hits.map((h) => ({
+          uri: h.uri,
+          path: h.path,
+          title: h.title,
+          tags: h.tags,
+          score: h.score,
+          heading: h.section?.heading || null,
+          anchor: h.section?.anchor || null,
+          snippet: sectionSnippet(h),
+          source: h.origin || "local",
+          shared_terms: sharedById.get(sectionId(h.path, h.section?.anchor)) || [],
+        }));
+
+        const assistantLines = [
+          `Related to \`${sourceDoc.path}\` — ${sourceDoc.title || "(untitled)"}:`,
+          "",
+          ...hitObjects.map((h) => `- \`${h.path}\` — ${h.title || "(untitled)"} (score: ${h.score.toFixed(2)}; shared: ${h.shared_terms.join(", ")})`),
+        ];
+        if (excluded.length > 0) {
+          assistantLines.push("", `Excluded from its supersedes chain: ${excluded.map((d) => `\`${d.path}\``).join(", ")}`);
+        }
+
+        return {
+          action: "related",
+          result: {
+            status: "FOUND",
+            source: sourceRef,
+            hits: hitObjects,
+            excluded,
+            total_matches: related.length,
+            docs_considered: index.documents.length,
+          },
+          state: updatedState,
+          assistant_text: assistantLines.join("\n"),
+          debug: makeDebug(relatedDebug),
+        };
+      }
+
+      case "links": {
+        const { index } = await openActionIndex();
+        const doc = findIndexedDoc(index.documents, input);
+        if (!doc) {
+          return {
+            action: "links",
+            result: { error: `Document not found: ${input}`, input },
+            state: state ? initState(state) : undefined,
+            assistant_text: `Document not found: \`${input}\`. Pass a URI or repo-relative path; use action "search" or "catalog" to find documents.`,
+            debug: makeDebug(),
+          };
+        }
+
+        const { outgoing, backlinks } = docLinkGraph(index, doc);
+        const unresolved = outgoing.filter((l) => !l.resolved);
+        const cite = (l) => `\`${l.path}\`${l.origin === "baseline" ? " (baseline)" : ""} line ${l.line}`;
+        const assistantLines = [
+          `\`${doc.path}\` — ${doc.title || "(untitled)"}`,
+          "",
+          backlinks.length > 0 ? `Cited by ${backlinks.length} document(s):` : "Not cited by any indexed document.",
+          ...backlinks.map((l) => `- ${cite(l)}`),
+          "",
+          outgoing.length > 0 ? `Links to ${outgoing.length} target(s):` : "No outgoing links.",
+          ...outgoing.map((l) => `- ${l.target}${l.resolved ? ` → \`${l.resolved.path}\`` : " (unresolved)"}`),
+        ];
+        const updatedState = state
+          ? addCanonRefs(initState(state), [doc.path, ...backlinks.map((l) => l.path)])
+          : undefined;
+
+        return {
+          action: "links",
+          result: {
+            status: "FOUND",
+            source: { uri: doc.uri, path: doc.path, title: doc.title },
+            outgoing,
+            backlinks,
+            counts: { outgoing: outgoing.length, unresolved: unresolved.length, backlinks: backlinks.length },
+          },
+          state: updatedState,
+          assistant_text: assistantLines.join("\n"),
+          debug: makeDebug(),
+        };
+      }
+
+      case "resolve": {
+        const ref = typeof input === "string" ? input.trim() : "";
+        if (!ref) {
+          return {
+            action: "resolve",
+            result: { status: "INVALID_INPUT", error: "input must be a URI (klappy://, odd://, kb://) or repo path" },
+            state: state ? initState(state) : undefined,
+            assistant_text: "Invalid input: expected a URI (klappy://, odd://, kb://) or repo path.",
+            debug: makeDebug(),
+          };
+        }
+
+        // Walks superseded_by and supersedes across local and baseline docs
+        // (see resolve/resolveUri.js).
+        const { index } = await openActionIndex();
+        const resolution = resolveSupersession(createDocLookup(index.documents), ref);
+
+        if (resolution.status === "NOT_FOUND") {
+          return {
+            action: "resolve",
+            result: { status: "NOT_FOUND", input_uri: ref },
+            state: state ? initState(state) : undefined,
+            assistant_text: `URI not found in index: \`${ref}\`.`,
+            debug: makeDebug(),
+          };
+        }
+
+        if (resolution.status === "CIRCULAR_SUPERSESSION") {
+          return {
+            action: "resolve",
+            result: {
+              status: "CIRCULAR_SUPERSESSION",
+              input_uri: ref,
+              supersession_chain: resolution.chain,
+              message: resolution.message,
+            },
+            state: state ? initState(state) : undefined,
+            assistant_text: `Circular supersession detected starting from \`${ref}\`: ${resolution.chain.map((c) => `\`${c.uri}\``).join(" → ")}. This is a canon data error.`,
+            debug: makeDebug(),
+          };
+        }
+
+        const terminal = resolution.doc;
+        const terminalUri = canonicalUri(terminal);
+        const { chain } = resolution;
+        let assistantText =
+          chain.length === 0
+            ? `Resolved \`${ref}\` (no supersession).`
+            : `Resolved \`${ref}\` → \`${terminalUri}\` via ${chain.length} supersession step${chain.length === 1 ? "" : "s"}.`;
+        if (resolution.warning) assistantText += ` Warning: ${resolution.warning}.`;
+
+        return {
+          action: "resolve",
+          result: {
+            status: "FOUND",
+            input_uri: ref,
+            resolved: {
+              uri: terminalUri,
+              path: terminal.path,
+              title: terminal.title,
+              url: deriveUrl(terminalUri),
+              content_hash: terminal.content_hash,
+              origin: terminal.origin || "local",
+            },
+            supersession_chain: chain,
+            ...(resolution.warning ? { warning: resolution.warning } : {}),
+          },
+          state: state ? addCanonRefs(initState(state), [terminal.path]) : undefined,
+          assistant_text: assistantText,
+          debug: makeDebug(),
+        };
+      }
+
+      case "audit": {
+        // Scope: input as { paths } (object or JSON string, like the Worker),
+        // or `paths` directly (comma-separated on the CLI).
+        const scope = { ...parseAuditScope(input) };
+        if (params.paths) {
+          scope.paths = (Array.isArray(params.paths) ? params.paths : String(params.paths).split(","))
+            .map((p) => p.trim())
+            .filter(Boolean);
+        }
+
+        const { index } = await openActionIndex();
+        const result = auditLinks(index.documents, scope);
+        const { total_findings, by_severity, files_scanned, suppressed_count, truncated } = result.summary;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+        return {
+          action: "audit",
+          result,
+          state: state ? initState(state) : undefined,
+          assistant_text:
+            total_findings === 0
+              ? `Audited ${files_scanned} files. No findings.`
+              : `Audited ${files_scanned} files. ${plural(by_severity.error, "error")}, ${plural(by_severity.warning, "warning")}.` +
+                `${suppressed_count > 0 ? ` ${suppressed_count} suppressed.` : ""}` +
+                `${truncated ? ` Truncated at ${MAX_AUDIT_FINDINGS} findings.` : ""}`,
+          debug: makeDebug(),
+        };
+      }
+
+      case "index_report": {
+        const { index } = await openActionIndex();
+        const result = buildIndexReport(index);
+        const LABELS = {
+          missing_title: "without a title",
+          missing_uri: "without a URI",
+          duplicate_uris: "duplicate URI(s)",
+          uri_path_mismatches: "URI/path mismatch(es)",
+          empty_headings: "empty heading(s)",
+          excluded: "excluded file(s)",
+          unknown_authority_band: "unknown authority_band value(s)",
+          unknown_intent: "unknown intent value(s)",
+        };
+        const counts = Object.entries(LABELS)
+          .filter(([key]) => result.summary[key] > 0)
+          .map(([key, label]) => `${result.summary[key]} ${label}`);
+
+        return {
+          action: "index_report",
+          result,
+          state: state ? initState(state) : undefined,
+          assistant_text:
+            `Checked ${result.summary.docs_checked} local docs.` +
+            (counts.length > 0 ? ` ${counts.join(", ")}.` : " No findings."),
+          debug: makeDebug(),
         };
       }
 
@@ -426,7 +1185,23 @@ export async function handleAction(params) {
         const format = "markdown";
         const uri = input;
         try {
-          const result = await getDocByUri(uri, { format, baseline, include_metadata, section });
+          const result = await getDocByUri(uri, { format, baseline, include_metadata, section, repoRoot });
+          const rewriteWiki = rewrite_wiki_links && typeof result.content === "string";
+          if (include_links || rewriteWiki) {
+            const { index } = await openActionIndex();
+            const doc = findIndexedDoc(index.documents, uri);
+            if (include_links) result.links = doc ? docLinkGraph(index, doc) : null;
+            if (rewriteWiki) {
+              // Resolve as the index does, nearest note to this doc first
+              const resolveWiki = createWikiLinkResolver(index.documents);
+              const rewrite = rewriteWikiLinks(result.content, (name) => {
+                const target = resolveWiki(name, doc?.path);
+                return target ? canonicalUri(target) : null;
+              });
+              result.content = rewrite.content;
+              result.wiki_links = { rewritten: rewrite.rewritten, unresolved: rewrite.unresolved };
+            }
+          }
           const updatedState = state ? addCanonRefs(initState(state), [uri]) : undefined;
           return {
             action: "get",
@@ -497,7 +1272,7 @@ export async function handleAction(params) {
 
       case "version": {
         try {
-          const canonTarget = await resolveCanonTarget(baseline);
+          const canonTarget = await resolveCanonTarget(baseline, { repoRoot });
           return {
             action: "version",
             result: {
@@ -532,6 +1307,9 @@ export async function handleAction(params) {
         // fresh content is served automatically when the baseline SHA changes.
         cachedBM25 = null;
         cachedBM25Sha = null;
+        cachedBM25Fingerprint = null;
+        cachedSemantic = null;
+        cachedSemanticFor = null;
         return {
           action: "cleanup_storage",
           result: { success: true },
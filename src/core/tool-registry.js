@@ -1,7 +1,7 @@
 /**
  * Shared tool registry for oddkit
  *
- * Single source of truth for all 11 tool definitions.
+ * Single source of truth for every tool definition.
  * Both MCP server and CLI read from this registry.
  * Neither defines tool metadata independently.
  *
@@ -16,12 +16,17 @@
 function buildOrchestratorTool(actionNames) {
   return {
     name: "oddkit",
-    description: `Epistemic guide for Outcomes-Driven Development. Routes to orient, challenge, gate, encode, search, get, catalog, validate, preflight, version, or cleanup_storage actions.
+    description: `Epistemic guide for Outcomes-Driven Development. Routes to orient, challenge, gate, encode, search, get, resolve, related, links, audit, index_report, catalog, validate, preflight, version, or cleanup_storage actions.
 
 Use when:
 - Starting work: action="orient" to assess epistemic mode
 - Policy/canon questions: action="search" with your query
 - Fetching a specific doc: action="get" with URI
+- Following a URI to its current canonical doc: action="resolve" with URI
+- Finding docs like a given doc: action="related" with URI or path
+- Seeing what cites a doc before changing it: action="links" with URI or path
+- Auditing for dead klappy:// references: action="audit" (CI use)
+- Checking the local overlay's metadata health: action="index_report"
 - Pressure-testing claims: action="challenge"
 - Checking transition readiness: action="gate"
 - Recording decisions: action="encode"
@@ -61,10 +66,23 @@ Use when:
         type: "boolean",
         description: "When true, search/get responses include a metadata object with full parsed frontmatter. Default: false.",
       },
+      include_links: {
+        type: "boolean",
+        description: "When true, get responses include the doc's outgoing links and backlinks (docs citing it). Default: false.",
+      },
+      rewrite_wiki_links: {
+        type: "boolean",
+        description: "When true, get rewrites [[wiki-links]] in the content as markdown links to the klappy:// URIs they resolve to. Default: false.",
+      },
       section: {
         type: "string",
         description: "Optional: for action=\"get\", extract a single section by heading text (case-insensitive, partial match). Returns full file with warning if not found.",
       },
+      ...SEARCH_FILTER_PROPERTIES,
+      ...SEARCH_PAGE_PROPERTIES,
+      ...SEARCH_RETRIEVAL_PROPERTIES,
+      ...SEARCH_EXPLAIN_PROPERTIES,
+      ...AUDIT_SCOPE_PROPERTIES,
       state: {
         type: "object",
         description: "Optional client-side conversation state, passed back and forth.",
@@ -80,6 +98,43 @@ Use when:
   };
 }
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Search filter and paging parameters — shared by oddkit_search and the
+// orchestrator. Filter values within one filter are ORed; separate filters
+// are ANDed.
+// ──────────────────────────────────────────────────────────────────────────────
+
+const SEARCH_FILTER_PROPERTIES = {
+  tags: { type: "array", items: { type: "string" }, description: "Optional search filter: only docs carrying any of these tags." },
+  authority_band: { type: "string", description: "Optional search filter: authority band (governing, operational, non-governing). Comma-separate for several." },
+  intent: { type: "string", description: "Optional search filter: intent (promoted, pattern, operational, experiment, workaround). Comma-separate for several." },
+  origin: {
+    type: "string",
+    pattern: "^\\s*(local|ledger|baseline)\\s*(,\\s*(local|ledger|baseline)\\s*)*$",
+    description: "Optional search filter: document origin (local, ledger, baseline). Comma-separate for several (e.g. \"local,ledger\").",
+  },
+  path_prefix: { type: "string", description: "Optional search filter: only docs whose path starts with this prefix (e.g. \"canon/constraints/\")." },
+  evidence: { type: "string", description: "Optional search filter: evidence level (none, weak, medium, strong). Comma-separate for several." },
+};
+
+const SEARCH_RETRIEVAL_PROPERTIES = {
+  retrieval: { type: "string", enum: ["bm25", "semantic", "hybrid"], description: "Optional: search retrieval mode. bm25 (default) matches terms; semantic ranks by offline vector similarity (finds paraphrases); hybrid blends both." },
+};
+
+const SEARCH_EXPLAIN_PROPERTIES = {
+  explain: { type: "boolean", description: "Optional: attach a score breakdown to each search hit (BM25 per-term tf/idf/length norm, semantic similarity, grouping decision)." },
+};
+
+const AUDIT_SCOPE_PROPERTIES = {
+  paths: { type: "array", items: { type: "string" }, description: "Optional: for action=\"audit\", path prefixes to scan (default: writings/). Same as input { paths }." },
+};
+
+const SEARCH_PAGE_PROPERTIES = {
+  limit: { type: "integer", minimum: 1, maximum: 50, description: "Optional: results per page for search, or number of related documents (1-50). Default: 5." },
+  offset: { type: "integer", minimum: 0, description: "Optional: zero-based offset into the ordered search results." },
+  cursor: { type: "string", description: "Optional: next_cursor from a previous search result, to fetch the following page." },
+};
+
 // ──────────────────────────────────────────────────────────────────────────────
 // Individual tools (Layer 2 — both CLI commands and MCP tools)
 // This is the single source of truth for action names, schemas, and metadata.
@@ -175,15 +230,30 @@ export const TOOLS = [
     inputSchema: {
       type: "object",
       properties: {
-        input: { type: "string", description: "Natural language query or tags to search for." },
+        input: { type: "string", description: "Natural language query or tags to search for. Supports \"quoted phrases\", -negation, OR, and field filters: tag:, path:, authority:, intent:, origin:, uri:, lang: (e.g. tag:constraints authority:governing \"definition of done\" -draft)." },
         canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
         include_metadata: { type: "boolean", description: "When true, each hit includes a metadata object with full parsed frontmatter. Default: false." },
+        ...SEARCH_FILTER_PROPERTIES,
+        ...SEARCH_PAGE_PROPERTIES,
+        ...SEARCH_RETRIEVAL_PROPERTIES,
+        ...SEARCH_EXPLAIN_PROPERTIES,
       },
       required: ["input"],
     },
     annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
     cliFlags: {
-      input: { flag: "-i, --input <text>", description: "Natural language query or tags to search for", required: true },
+      input: { flag: "-i, --input <text>", description: "Query: words, \"phrases\", -negation, OR, field filters (tag:, path:, authority:, intent:, origin:, uri:)", required: true },
+      tags: { flag: "--tags <list>", description: "Only docs with any of these tags (comma-separated)" },
+      authority_band: { flag: "--authority-band <list>", description: "Only docs in these authority bands (comma-separated)" },
+      intent: { flag: "--intent <list>", description: "Only docs with these intents (comma-separated)" },
+      origin: { flag: "--origin <list>", description: "Only docs from these origins: local, ledger, baseline (comma-separated)" },
+      path_prefix: { flag: "--path-prefix <list>", description: "Only docs under these path prefixes (comma-separated)" },
+      evidence: { flag: "--evidence <list>", description: "Only docs with these evidence levels (comma-separated)" },
+      limit: { flag: "--limit <n>", description: "Results per page (1-50, default 5)" },
+      offset: { flag: "--offset <n>", description: "Zero-based offset into the ordered results" },
+      cursor: { flag: "--cursor <token>", description: "next_cursor from a previous search, for the following page" },
+      retrieval: { flag: "--retrieval <mode>", description: "Retrieval mode: bm25 (default), semantic, or hybrid" },
+      explain: { flag: "--explain", description: "Attach a score breakdown to each hit" },
     },
   },
   {
@@ -197,6 +267,8 @@ export const TOOLS = [
         canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
         include_metadata: { type: "boolean", description: "When true, response includes a metadata object with full parsed frontmatter. Default: false." },
         section: { type: "string", description: "Optional: heading text to extract a single section (e.g., \"Chapter 5\"). Case-insensitive, supports partial matches. Returns full file with warning if not found." },
+        include_links: { type: "boolean", description: "When true, response includes a links object: outgoing links (resolved to indexed docs where possible) and backlinks. Default: false." },
+        rewrite_wiki_links: { type: "boolean", description: "When true, [[wiki-links]] in the content become markdown links to the klappy:// URIs they resolve to; unresolved ones are listed in wiki_links.unresolved. Default: false." },
       },
       required: ["input"],
     },
@@ -204,7 +276,96 @@ export const TOOLS = [
     cliFlags: {
       input: { flag: "-i, --input <text>", description: "Canonical URI (e.g., klappy://canon/values/orientation)", required: true },
       section: { flag: "-s, --section <heading>", description: "Extract a single section by heading text (case-insensitive, partial match supported)" },
+      include_links: { flag: "--include-links", description: "Include outgoing links and backlinks" },
+      rewrite_wiki_links: { flag: "--rewrite-wiki-links", description: "Rewrite [[wiki-links]] as klappy:// links" },
+    },
+  },
+  {
+    name: "resolve",
+    mcpName: "oddkit_resolve",
+    description: "Resolve a URI to its current canonical document, walking supersession chains (superseded_by on the old doc, supersedes on the new one) across local and baseline docs. Returns the resolved URI, path, url, and supersession_chain; detects cycles.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        input: { type: "string", description: "URI to resolve (e.g., klappy://canon/values/orientation) or repo-relative path." },
+        canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
+      },
+      required: ["input"],
+    },
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+    cliFlags: {
+      input: { flag: "-i, --input <uri>", description: "URI (or repo-relative path) to resolve", required: true },
+    },
+  },
+  {
+    name: "related",
+    mcpName: "oddkit_related",
+    description: "Find documents related to a given document (\"more like this\"). Builds a query from the document's distinctive terms, tags, and headings; excludes the document itself and its supersedes chain.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        input: { type: "string", description: "URI (e.g., klappy://canon/values/orientation) or repo-relative path of the source document." },
+        canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
+        limit: { type: "integer", minimum: 1, maximum: 50, description: "Optional: number of related documents to return (1-50). Default: 5." },
+      },
+      required: ["input"],
+    },
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+    cliFlags: {
+      input: { flag: "-i, --input <uri-or-path>", description: "URI or repo-relative path of the source document", required: true },
+      limit: { flag: "--limit <n>", description: "Number of related documents (1-50, default 5)" },
+    },
+  },
+  {
+    name: "links",
+    mcpName: "oddkit_links",
+    description: "Show a document's link graph: the docs it links to (markdown links and klappy:// / odd:// references) and the docs that cite it. Use before proposing to change a constraint.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        input: { type: "string", description: "URI (e.g., klappy://canon/values/orientation) or repo-relative path of the document." },
+        canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
+      },
+      required: ["input"],
+    },
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+    cliFlags: {
+      input: { flag: "-i, --input <uri-or-path>", description: "URI or repo-relative path of the document", required: true },
+    },
+  },
+  {
+    name: "audit",
+    mcpName: "oddkit_audit",
+    cliName: "audit-links", // `oddkit audit` is the epoch audit command group
+    description: "Walk every klappy:// URI linked from markdown files within the configured scope (default: writings/) across the local repo and baseline, and emit findings for those that don't resolve, plus any legacy markdown link patterns (/page/..., ./*.md) in writings/. Returns structured findings with rule_id, severity, location, occurrence, message. Works offline; designed for CI use.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        input: { type: ["string", "object"], description: "Optional scope: { paths: string[] }. Default scope: writings/. Pass as object or JSON string." },
+        canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
+        ...AUDIT_SCOPE_PROPERTIES,
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+    cliFlags: {
+      input: { flag: "-i, --input <scope>", description: "Optional scope as JSON, e.g. '{\"paths\":[\"canon/\"]}'" },
+      paths: { flag: "--paths <list>", description: "Path prefixes to audit (comma-separated, default writings/)" },
+    },
+  },
+  {
+    name: "index_report",
+    mcpName: "oddkit_index_report",
+    description: "Index health report for the local repo: docs without titles or URIs, URIs declared by more than one doc (including across local and baseline), URIs that don't match their file path, empty headings, files excluded by .noindex or exposure: noindex, and unknown authority_band / intent values. Works offline. CLI: oddkit index --report.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        canon_url: { type: "string", description: "Optional: GitHub repo URL for canon override." },
+      },
+      required: [],
     },
+    annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    cliFlags: {},
   },
   {
     name: "catalog",
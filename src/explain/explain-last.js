@@ -86,6 +86,9 @@ function renderNextSteps(result, tool) {
     } else if (result.verdict === "PASS") {
       lines.push("- Validation passed. You may proceed.");
     }
+  } else if (tool === "search") {
+    lines.push("- Use the score breakdown to see which terms and stages drove the ranking.");
+    lines.push("- Refine the query or filters, then re-run with --explain.");
   } else if (tool === "index") {
     lines.push("- Index is ready. Run `oddkit librarian` to query.");
   }
@@ -153,6 +156,86 @@ function renderSupersedesOverrides(suppressed) {
   return lines;
 }
 
+// Search grouping decisions (see core/actions.js explainSearchHit)
+const GROUPING_DECISIONS = {
+  score_order: "score order",
+  overlay_first: "overlay hit, placed before baseline hits",
+  after_overlay: "baseline hit, placed after overlay hits",
+  beyond_pool: "beyond the grouping pool, kept in score order",
+};
+
+/** Format a score component: integers as-is, everything else to 3 places */
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : Number(n).toFixed(3);
+}
+
+/**
+ * Render per-hit score breakdowns (search or librarian run with explain)
+ */
+function renderScoreBreakdown(result) {
+  const lines = [];
+
+  for (const hit of result.hits || []) {
+    if (!hit.explain) continue;
+    const e = hit.explain;
+    lines.push(`### \`${hit.path}\`${hit.heading ? ` › ${hit.heading}` : ""} — score ${fmt(e.score)} (${e.retrieval})`);
+    if (e.bm25) {
+      for (const t of e.bm25.terms) {
+        const weight = t.weight !== 1 ? ` ×${fmt(t.weight)}` : "";
+        lines.push(
+          `- term \`${t.term}\`${weight}: tf ${t.tf}, idf ${fmt(t.idf)}, length norm ${fmt(t.length_norm)} → ${fmt(t.contribution)}`,
+        );
+      }
+      if (e.bm25.phrase_boost?.boost) {
+        lines.push(`- phrase boost (${e.bm25.phrase_boost.kind}): +${fmt(e.bm25.phrase_boost.boost)}`);
+      }
+    }
+    if (e.semantic) {
+      lines.push(`- semantic cosine: ${fmt(e.semantic.cosine)}`);
+    }
+    if (e.hybrid) {
+      const h = e.hybrid;
+      lines.push(
+        `- hybrid: ${fmt(h.bm25_weight)} × ${fmt(h.bm25_normalized)} (normalized BM25) + ${fmt(h.semantic_weight)} × ${fmt(h.cosine)} (cosine)`,
+      );
+    }
+    const g = e.grouping;
+    lines.push(
+      `- grouping (${g.mode}): ${GROUPING_DECISIONS[g.decision] || g.decision} — score rank ${g.score_rank}, final rank ${g.rank}`,
+    );
+    lines.push("");
+  }
+
+  for (const c of result.arbitration?.candidates_considered || []) {
+    if (!c.explain) continue;
+    const e = c.explain;
+    lines.push(`### \`${c.path}\` — score ${fmt(e.score)}`);
+    const fields = Object.entries(e.base)
+      .filter(([, f]) => f.matches > 0)
+      .map(([name, f]) => `${name} ${f.matches}×${f.weight}`);
+    lines.push(`- base: ${fmt(e.base_score)}${fields.length > 0 ? ` (${fields.join(", ")})` : ""}`);
+    const m = e.multipliers;
+    lines.push(
+      `- multipliers: authority ×${fmt(m.authority.value)} (${m.authority.authority_band || "none"}), ` +
+        `intent ×${fmt(m.intent.value)} (${m.intent.intent || "none"}), ` +
+        `evidence ×${fmt(m.evidence.value)} (${m.evidence.evidence || "none"}), ` +
+        `origin ×${fmt(m.origin.value)} (${m.origin.origin})`,
+    );
+    if (m.epistemic.mode) {
+      const matched = m.epistemic.reason ? `matched ${m.epistemic.reason}` : "no criteria matched";
+      lines.push(`- epistemic ×${fmt(m.epistemic.value)} (mode ${m.epistemic.mode}, ${matched})`);
+    }
+    const p = e.precedence;
+    const veto = p.vetoed
+      ? ` — vetoed, ranked above ${p.outranked.map((o) => `\`${o.path}\` [${o.intent}]`).join(", ")}`
+      : "";
+    lines.push(`- intent precedence: rank ${p.scored_rank} → ${p.final_rank}${veto}`);
+    lines.push("");
+  }
+
+  return lines.length > 0 ? ["## Score breakdown", "", ...lines] : null;
+}
+
 /**
  * Render debug section
  */
@@ -460,6 +543,12 @@ function renderMarkdown(result) {
     lines.push("");
   }
 
+  // Score breakdown (explain runs)
+  const breakdownLines = renderScoreBreakdown(result);
+  if (breakdownLines) {
+    lines.push(...breakdownLines);
+  }
+
   // What to do next
   lines.push("## What to do next");
   lines.push(...renderNextSteps(result, tool));
@@ -0,0 +1,19 @@
+/**
+ * Arbitration vocabulary shared by the indexer, project config validation
+ * and the index report. Has no imports, so any module can depend on it.
+ */
+
+/**
+ * Intent hierarchy values (per canon/weighted-relevance-and-arbitration.md)
+ * Lower = less durable, higher = more durable
+ */
+export const INTENT_HIERARCHY = {
+  workaround: 1,
+  experiment: 2,
+  operational: 3,
+  pattern: 4,
+  promoted: 5,
+};
+
+// Authority bands the arbitration rules know; other frontmatter values pass through
+export const AUTHORITY_BANDS = ["governing", "operational", "non-governing"];
@@ -1,10 +1,17 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from "fs";
-import { join, relative, dirname } from "path";
+import { join, relative, dirname, posix } from "path";
 import { homedir } from "os";
 import { createHash } from "crypto";
 import fg from "fast-glob";
-import matter from "gray-matter";
 import { extractHeadings } from "../utils/extractHeadings.js";
+import { extractSections } from "../utils/extractSections.js";
+import { extractLinks, uriToIndexPaths } from "../utils/extractLinks.js";
+import { computeMinHash } from "../utils/minhash.js";
+import { LEDGERS, readLedgerFile, renderLedgerEntry } from "./ledger.js";
+import { parseSource, sourceGlob, sourcePathCandidates } from "./parsers.js";
+import { INTENT_HIERARCHY } from "./arbitration.js";
+import { configHash, loadProjectConfig, matchPathRule } from "../config/projectConfig.js";
+import { ANALYZER_VERSION, detectLanguage, normalizeLanguage } from "../search/analyzer.js";
 
 /**
  * Compute content hash for identity dedup (non-URI fallback)
@@ -16,16 +23,38 @@ function computeContentHash(content) {
   return createHash("sha256").update(normalized).digest("hex").slice(0, 8);
 }
 
-// Schema version — bump when the shape of indexed documents changes.
-// A version mismatch triggers a full rebuild so stale fields don't linger.
-export const INDEX_VERSION = "1.4.0"; // 1.4.0: structure-agnostic indexing for canon_url repos
+// Schema version — bump when the shape of indexed documents changes, and
+// register the step from the previous version in INDEX_MIGRATIONS so saved
+// indexes are brought forward instead of rebuilt.
+export const INDEX_VERSION = "1.17.0"; // 1.17.0: no MinHash for very short bodies
 
-const INCLUDE_PATTERNS = ["canon/**/*.md", "odd/**/*.md", "docs/**/*.md", "writings/**/*.md"];
+/**
+ * Whether a loaded index can be used as-is: same schema version and built
+ * under the current text analyzer (search/analyzer.js). Anything else forces
+ * a full rebuild. Given `repoRoot`, the index must also have been built under
+ * the repo's current .oddkit/config.json.
+ */
+export function isIndexCurrent(index, repoRoot) {
+  if (!index || index.version !== INDEX_VERSION || index.analyzer !== ANALYZER_VERSION) return false;
+  return repoRoot === undefined || (index.sources?.local?.config_hash ?? null) === configHash(repoRoot);
+}
 
-// Structure-agnostic pattern: index all markdown files, let frontmatter drive exclusion
-const STRUCTURE_AGNOSTIC_PATTERNS = ["**/*.md"];
+// Directories indexed by default, for every source format in parsers.js;
+// a project's .oddkit/config.json `include` replaces them
+const INCLUDE_DIRS = ["canon", "odd", "docs", "writings"];
 
-// Default exclude patterns
+/**
+ * The glob patterns a repo's local docs are indexed from: the project
+ * config's `include`, else the defaults.
+ */
+export function localIncludePatterns(config) {
+  return config?.include || INCLUDE_DIRS.map(sourceGlob);
+}
+
+// Structure-agnostic pattern: index all source files, let frontmatter drive exclusion
+const structureAgnosticPatterns = () => [sourceGlob("")];
+
+// Default exclude patterns; config `exclude` adds to them
 const EXCLUDE_PATTERNS = ["**/node_modules/**", "**/public/**", "**/.git/**", "**/.oddkit/**"];
 
 /**
@@ -48,23 +77,154 @@ function isExcludedByNoindex(relFilePath, rootPath) {
   return false;
 }
 
+// Optional synonym map shipped with canon (local repo and/or baseline).
+export const SYNONYMS_PATH = "canon/meta/synonyms.json";
+
+/** Normalize a frontmatter value that may be a string or a list into string[] */
+function toStringList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Load synonym groups from SYNONYMS_PATH under a root, if present.
+ *
+ * Accepted shapes:
+ *   [["DoD", "definition of done", "done criteria"], ...]
+ *   { "groups": [[...], ...] }
+ *   { "DoD": ["definition of done", "done criteria"], ... }
+ *
+ * Every member of a group expands to every other member. A malformed file is
+ * ignored — search works without synonyms.
+ *
+ * @returns {Array<{ terms: string[], source: string }>}
+ */
+function loadSynonyms(rootPath, origin) {
+  const filePath = join(rootPath, SYNONYMS_PATH);
+  if (!existsSync(filePath)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch {
+    return [];
+  }
+
+  let groups = [];
+  if (Array.isArray(data)) groups = data;
+  else if (Array.isArray(data?.groups)) groups = data.groups;
+  else if (data && typeof data === "object") {
+    groups = Object.entries(data).map(([term, synonyms]) => [term, ...toStringList(synonyms)]);
+  }
+
+  return groups
+    .map(toStringList)
+    .filter((terms) => terms.length > 1)
+    .map((terms) => ({ terms, source: `${origin}:${SYNONYMS_PATH}` }));
+}
+
+/**
+ * Compute a hash of the raw file bytes (frontmatter included).
+ * Unlike content_hash (identity dedup, body only), this changes on any edit,
+ * so it decides whether a cached index entry can be reused.
+ */
+function computeFileHash(raw) {
+  return createHash("sha256").update(raw).digest("hex").slice(0, 16);
+}
+
+/**
+ * Parse one source file into an index entry, through the parser for its
+ * extension (see parsers.js; metadata from AsciiDoc headers and rST field
+ * lists counts as frontmatter). Returns null when frontmatter opts the file
+ * out (`exposure: noindex`). `config` supplies the project's authority/intent
+ * path rules (local files).
+ */
+function parseDocument(filePath, absolutePath, origin, raw, stat, config = null) {
+  const { data: frontmatter, content, format } = parseSource(filePath, raw);
+
+  // Explicit opt-out via frontmatter
+  if (frontmatter.exposure === "noindex") return null;
+
+  const headings = extractHeadings(content);
+
+  return {
+    path: filePath,
+    absolutePath,
+    origin,
+    format,
+    uri: frontmatter.uri || null,
+    title: frontmatter.title || null,
+    subtitle: frontmatter.subtitle || null,
+    tags: frontmatter.tags || [],
+    // Alternative names for this doc (e.g. "DoD"); search treats them as synonyms of the title
+    aliases: toStringList(frontmatter.aliases),
+    // Analysis language: frontmatter `lang:` (or `language:`), else detected from the body
+    lang: normalizeLanguage(frontmatter.lang ?? frontmatter.language) || detectLanguage(content),
+    supersedes: frontmatter.supersedes || null,
+    authority_band: inferAuthorityBand(filePath, frontmatter, config),
+    // Arbitration signals (per canon/weighted-relevance-and-arbitration.md)
+    scope: frontmatter.scope || null, // attempt | feature | prd | lane | repo
+    scope_key: frontmatter.scope_key || null, // identifier for scope
+    intent: inferIntent(filePath, frontmatter, config), // workaround | experiment | operational | pattern | promoted
+    evidence: frontmatter.evidence || "none", // none | weak | medium | strong
+    // Start here metadata (for catalog ordering)
+    start_here: frontmatter.start_here === true,
+    start_here_order:
+      typeof frontmatter.start_here_order === "number" ? frontmatter.start_here_order : null,
+    start_here_label: frontmatter.start_here_label || null,
+    // Identity for dedup (per user critique: path-only is unsafe across repos)
+    content_hash: computeContentHash(content), // 8-char SHA-256 of normalized content
+    // Shingle signature for near-duplicate detection (edited copies; see utils/minhash.js)
+    minhash: computeMinHash(content),
+    // Change detection for incremental rebuilds (see indexRoot)
+    file_hash: computeFileHash(raw),
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    // Full parsed frontmatter for include_metadata support
+    frontmatter: Object.keys(frontmatter).length > 0 ? frontmatter : null,
+    headings,
+    // Full body chunked by heading, so search can rank below-the-fold passages
+    sections: extractSections(content, headings),
+    // Outgoing references (markdown links, canon URIs); resolved per build in linkDocuments.
+    // Link lines count from the top of the file, frontmatter included
+    links: extractLinks(content, filePath, raw.split("\n").length - content.split("\n").length),
+    contentLength: content.length,
+    contentPreview: content.slice(0, 500),
+  };
+}
+
 /**
  * Build index for a single root directory
+ *
+ * Incremental: when `previous` holds entries from an earlier index of the same
+ * schema version, a file whose mtime and size are unchanged is reused without
+ * being read; a file whose bytes hash to the same file_hash is reused without
+ * being re-parsed. Everything else is parsed fresh, as are entries a
+ * migration marked `reparse`. Previous entries whose file no longer exists
+ * are dropped (counted in `stats.removed`).
+ *
+ * Files left out by `.noindex` sentinels or `exposure: noindex` frontmatter
+ * are listed in `excluded` (for the index report).
+ *
  * @param {string} rootPath - Root directory to index
  * @param {string} origin - "local" or "baseline"
  * @param {Object} [options]
- * @param {boolean} [options.structureAgnostic=false] - When true, index all markdown files
+ * @param {boolean} [options.structureAgnostic=false] - When true, index all source files
  *   instead of hardcoded directory patterns. Used for canon_url repos with unknown structure.
- * @returns {{ docs: Array, excludedByNoindex: number }}
+ * @param {Map<string, Object>} [options.previous] - Prior entries for this root, keyed by absolutePath
+ * @param {Object} [options.config] - Project config (include/exclude globs, path rules)
+ * @returns {{ docs: Array, excludedByNoindex: number, excluded: Array<{ path: string, reason: "noindex-sentinel"|"exposure-noindex" }>, stats: { reused: number, parsed: number, removed: number } }}
  */
-async function indexRoot(rootPath, origin, { structureAgnostic = false } = {}) {
+async function indexRoot(rootPath, origin, { structureAgnostic = false, previous = null, config = null } = {}) {
   const docs = [];
   let excludedByNoindex = 0;
+  const excluded = [];
+  const stats = { reused: 0, parsed: 0, removed: 0 };
 
-  const patterns = structureAgnostic ? STRUCTURE_AGNOSTIC_PATTERNS : INCLUDE_PATTERNS;
+  const patterns = structureAgnostic ? structureAgnosticPatterns() : localIncludePatterns(config);
   const files = await fg(patterns, {
     cwd: rootPath,
-    ignore: EXCLUDE_PATTERNS,
+    ignore: [...EXCLUDE_PATTERNS, ...(config?.exclude || [])],
     absolute: false,
   });
 
@@ -72,87 +232,250 @@ async function indexRoot(rootPath, origin, { structureAgnostic = false } = {}) {
   const filteredFiles = files.filter((f) => {
     if (isExcludedByNoindex(f, rootPath)) {
       excludedByNoindex++;
+      excluded.push({ path: f, reason: "noindex-sentinel" });
       return false;
     }
     return true;
   });
 
+  const seen = new Set();
+
   for (const filePath of filteredFiles) {
     const absolutePath = join(rootPath, filePath);
+    seen.add(absolutePath);
 
     try {
-      const raw = readFileSync(absolutePath, "utf-8");
-      const { data: frontmatter, content } = matter(raw);
+      const stat = statSync(absolutePath);
+      const prior = previous?.get(absolutePath) || null;
+      const cached = prior && !prior.reparse ? prior : null;
+      let doc = null;
+
+      if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        doc = cached;
+        stats.reused++;
+      } else {
+        const raw = readFileSync(absolutePath, "utf-8");
+        if (cached && cached.file_hash === computeFileHash(raw)) {
+          // Touched but not edited — keep the parsed entry, refresh its stat
+          doc = { ...cached, mtimeMs: stat.mtimeMs, size: stat.size };
+          stats.reused++;
+        } else {
+          doc = parseDocument(filePath, absolutePath, origin, raw, stat, config);
+          stats.parsed++;
+        }
+      }
+
+      if (!doc) {
+        excluded.push({ path: filePath, reason: "exposure-noindex" });
+        continue;
+      }
 
       // Frontmatter-driven inclusion: for structure-agnostic repos (supplementary
       // repos via canon_url), only index files that declare a title in YAML
-      // frontmatter. This is the sole inclusion gate — mirrors the Worker at
+      // frontmatter (or the format's own document title; see parsers.js). This
+      // is the sole inclusion gate — mirrors the Worker at
       // zip-baseline-fetcher.ts:478.
-      if (structureAgnostic && !frontmatter.title) continue;
-
-      // Explicit opt-out via frontmatter
-      if (frontmatter.exposure === "noindex") continue;
-
-      const headings = extractHeadings(content);
-
-      docs.push({
-        path: filePath,
-        absolutePath,
-        origin,
-        uri: frontmatter.uri || null,
-        title: frontmatter.title || null,
-        subtitle: frontmatter.subtitle || null,
-        tags: frontmatter.tags || [],
-        supersedes: frontmatter.supersedes || null,
-        authority_band: inferAuthorityBand(filePath, frontmatter),
-        // Arbitration signals (per canon/weighted-relevance-and-arbitration.md)
-        scope: frontmatter.scope || null, // attempt | feature | prd | lane | repo
-        scope_key: frontmatter.scope_key || null, // identifier for scope
-        intent: inferIntent(filePath, frontmatter), // workaround | experiment | operational | pattern | promoted
-        evidence: frontmatter.evidence || "none", // none | weak | medium | strong
-        // Start here metadata (for catalog ordering)
-        start_here: frontmatter.start_here === true,
-        start_here_order:
-          typeof frontmatter.start_here_order === "number" ? frontmatter.start_here_order : null,
-        start_here_label: frontmatter.start_here_label || null,
-        // Identity for dedup (per user critique: path-only is unsafe across repos)
-        content_hash: computeContentHash(content), // 8-char SHA-256 of normalized content
-        // Full parsed frontmatter for include_metadata support
-        frontmatter: Object.keys(frontmatter).length > 0 ? frontmatter : null,
-        headings,
-        contentLength: content.length,
-        contentPreview: content.slice(0, 500),
-      });
+      if (structureAgnostic && !doc.title) continue;
+
+      docs.push(doc);
     } catch (err) {
       // Skip files that can't be read
       console.error(`Warning: Could not index ${filePath}: ${err.message}`);
     }
   }
 
-  return { docs, excludedByNoindex };
+  if (previous) {
+    for (const absolutePath of previous.keys()) {
+      if (!seen.has(absolutePath)) stats.removed++;
+    }
+  }
+
+  return { docs, excludedByNoindex, excluded, stats };
 }
 
 /**
- * Intent hierarchy values (per canon/weighted-relevance-and-arbitration.md)
- * Lower = less durable, higher = more durable
+ * Index the local repo's ledgers (see ledger.js): one document per entry,
+ * with `origin: "ledger"` and the entry's line in `ledger_line`. Ledgers are
+ * small, so they are re-read on every build. Lines that aren't valid entries
+ * are skipped and listed; a `.noindex` sentinel above a ledger excludes it.
+ *
+ * @returns {{ docs: Array, files: string[], skipped: Array<{ path: string, line: number, message: string }> }}
  */
-export const INTENT_HIERARCHY = {
-  workaround: 1,
-  experiment: 2,
-  operational: 3,
-  pattern: 4,
-  promoted: 5,
-};
+function indexLedgers(repoRoot) {
+  const docs = [];
+  const files = [];
+  const skipped = [];
+  for (const [ledger, filePath] of Object.entries(LEDGERS)) {
+    const absolutePath = join(repoRoot, filePath);
+    if (!existsSync(absolutePath) || isExcludedByNoindex(filePath, repoRoot)) continue;
+    try {
+      const stat = statSync(absolutePath);
+      const { entries, errors } = readLedgerFile(absolutePath);
+      files.push(filePath);
+      skipped.push(...errors.map((e) => ({ path: filePath, ...e })));
+      for (const { entry, line } of entries) {
+        const raw = renderLedgerEntry(ledger, entry);
+        const doc = parseDocument(`odd/ledger/${ledger}/${entry.id}`, absolutePath, "ledger", raw, stat);
+        if (doc) docs.push({ ...doc, ledger_line: line });
+      }
+    } catch (err) {
+      console.error(`Warning: Could not index ${filePath}: ${err.message}`);
+    }
+  }
+  return { docs, files, skipped };
+}
+
+/**
+ * Group a previous index's entries by origin for reuse by indexRoot.
+ * Indexes from another schema version are never reused, and local entries
+ * built under a different project config are dropped (their authority and
+ * intent may come from changed path rules).
+ */
+function previousEntriesByOrigin(previous, localConfigHash) {
+  const byOrigin = { local: new Map(), baseline: new Map() };
+  if (!isIndexCurrent(previous) || !Array.isArray(previous.documents)) {
+    return null;
+  }
+  const reuseLocal = (previous.sources?.local?.config_hash ?? null) === localConfigHash;
+  for (const doc of previous.documents) {
+    if (doc.origin === "local" && !reuseLocal) continue;
+    if (doc.absolutePath && byOrigin[doc.origin]) byOrigin[doc.origin].set(doc.absolutePath, doc);
+  }
+  return byOrigin;
+}
+
+/**
+ * Build a resolver for Obsidian-style wiki-links (`[[Note Name]]`) over a
+ * set of indexed documents. A name matches, in order of preference:
+ *
+ * 1. a vault path — the document's path without its extension, equal to the
+ *    name or ending in `/<name>` (`[[guides/setup]]`)
+ * 2. a filename — the path's last segment without its extension
+ * 3. a title, or one of the frontmatter `aliases`
+ *
+ * all case-insensitively. Among several matches, a document in the linking
+ * document's directory wins, then local over baseline, then the shortest
+ * path — the nearest-note rule Obsidian applies to duplicate names.
+ *
+ * @param {Array} documents - Indexed documents
+ * @returns {(name: string, fromPath?: string) => Object|null} The matching document, or null
+ */
+export function createWikiLinkResolver(documents) {
+  const byStem = new Map();
+  const byTitle = new Map();
+  const add = (map, key, doc) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(doc);
+  };
+  for (const doc of documents) {
+    const stem = posix.basename(doc.path).replace(/\.[^./]+$/, "").toLowerCase();
+    add(byStem, stem, doc);
+    const aliases = doc.frontmatter?.aliases;
+    for (const title of [doc.title, ...(Array.isArray(aliases) ? aliases : [aliases])]) {
+      if (title) add(byTitle, String(title).trim().toLowerCase(), doc);
+    }
+  }
+
+  const pick = (candidates, fromPath) => {
+    if (!candidates || candidates.length === 0) return null;
+    const dir = fromPath ? posix.dirname(fromPath) : null;
+    const rank = (doc) => [
+      posix.dirname(doc.path) === dir ? 0 : 1,
+      doc.origin === "local" ? 0 : doc.origin === "baseline" ? 2 : 1,
+      doc.path.length,
+    ];
+    return [...candidates].sort((a, b) => {
+      const ra = rank(a);
+      const rb = rank(b);
+      return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2] || a.path.localeCompare(b.path);
+    })[0];
+  };
+
+  return (name, fromPath) => {
+    const key = String(name || "").trim().replace(/^\/+/, "").toLowerCase();
+    if (!key) return null;
+    if (key.includes("/")) {
+      const stem = posix.basename(key);
+      const byPath = (byStem.get(stem) || []).filter((doc) => {
+        const bare = doc.path.replace(/\.[^./]+$/, "").toLowerCase();
+        return bare === key || bare.endsWith(`/${key}`);
+      });
+      if (byPath.length > 0) return pick(byPath, fromPath);
+    }
+    return pick(byStem.get(key), fromPath) || pick(byTitle.get(key), fromPath);
+  };
+}
+
+/**
+ * Resolve every document's outgoing links to indexed documents and compute
+ * the backlink map. Runs on every build, reused entries included: a link's
+ * target can appear or disappear without the linking file changing.
+ *
+ * URI links resolve by declared `uri`, then by the path the URI names (an
+ * extensionless URI may name any source format, markdown first); path links
+ * resolve by path, with a source extension appended when the link omits it;
+ * wiki-links resolve by note path, filename or title (createWikiLinkResolver).
+ * Local documents win over baseline documents at the same path.
+ *
+ * Sets `link.resolved` ({ path, uri, origin } or null) on each link. A
+ * document citing a target several times yields one backlink (its first).
+ *
+ * @param {Array} docs - Indexed documents (mutated)
+ * @returns {Object<string, Array<{ path: string, origin: string, uri: string|null, text: string|null, line: number }>>}
+ *   Backlinks keyed by target path
+ */
+function linkDocuments(docs) {
+  const byUri = new Map();
+  const byPath = new Map();
+  for (const doc of docs) {
+    if (doc.uri && (!byUri.has(doc.uri) || doc.origin === "local")) byUri.set(doc.uri, doc);
+    if (!byPath.has(doc.path) || doc.origin === "local") byPath.set(doc.path, doc);
+  }
+
+  const resolveWiki = createWikiLinkResolver(docs);
+
+  const firstByPath = (paths) => paths.map((p) => byPath.get(p)).find(Boolean) || null;
+  const resolve = (link, fromPath) => {
+    if (link.kind === "wiki") return resolveWiki(link.name, fromPath);
+    if (link.kind === "uri") return byUri.get(link.uri) || firstByPath(uriToIndexPaths(link.uri));
+    if (!link.path) return null;
+    return byPath.get(link.path) || firstByPath(sourcePathCandidates(link.path));
+  };
+
+  const backlinks = {};
+  for (const doc of docs) {
+    const cited = new Set(); // one backlink per source doc and target
+    doc.links = (doc.links || []).map((link) => {
+      const target = resolve(link, doc.path);
+      if (target && target !== doc && !cited.has(target)) {
+        cited.add(target);
+        (backlinks[target.path] ||= []).push({
+          path: doc.path,
+          origin: doc.origin,
+          uri: doc.uri,
+          text: link.text,
+          line: link.line,
+        });
+      }
+      return { ...link, resolved: target ? { path: target.path, uri: target.uri, origin: target.origin } : null };
+    });
+  }
+  return backlinks;
+}
 
 /**
- * Infer intent from path and frontmatter
+ * Infer intent from frontmatter, project path rules, then path
  */
-function inferIntent(filePath, frontmatter) {
+function inferIntent(filePath, frontmatter, config = null) {
   // Frontmatter override
   if (frontmatter.intent && INTENT_HIERARCHY[frontmatter.intent] !== undefined) {
     return frontmatter.intent;
   }
 
+  // Project path rules (.oddkit/config.json `intents`)
+  const configured = config ? matchPathRule(config.intents, filePath) : null;
+  if (configured) return configured;
+
   // Path-based inference
   if (filePath.startsWith("canon/")) {
     return "promoted"; // Canon is governing, always promoted
@@ -175,14 +498,18 @@ function inferIntent(filePath, frontmatter) {
 }
 
 /**
- * Infer authority band from path and frontmatter
+ * Infer authority band from frontmatter, project path rules, then path
  */
-function inferAuthorityBand(filePath, frontmatter) {
+function inferAuthorityBand(filePath, frontmatter, config = null) {
   // Frontmatter override
   if (frontmatter.authority_band) {
     return frontmatter.authority_band;
   }
 
+  // Project path rules (.oddkit/config.json `authority_bands`)
+  const configured = config ? matchPathRule(config.authority_bands, filePath) : null;
+  if (configured) return configured;
+
   // Path-based inference
   if (
     filePath.startsWith("canon/") ||
@@ -199,54 +526,143 @@ function inferAuthorityBand(filePath, frontmatter) {
 
 /**
  * Build complete index for local repo + baseline
+ *
+ * The local and baseline halves are invalidated independently. Local files are
+ * checked one by one against `previous` (see indexRoot). The baseline half is a
+ * SHA-keyed checkout, so when `previous` was built from the same baseline root,
+ * commit and structure mode, its baseline documents are reused wholesale
+ * without touching the filesystem; otherwise the baseline is re-indexed
+ * per file like the local half.
+ *
  * @param {string} repoRoot - Local repository root
  * @param {string|null} baselineRoot - Baseline repository root
  * @param {Object} [options]
- * @param {boolean} [options.baselineStructureAgnostic=false] - When true, index all markdown
+ * @param {boolean} [options.baselineStructureAgnostic=false] - When true, index all source
  *   files in the baseline repo instead of hardcoded directory patterns. Set to true for
  *   canon_url repos with unknown directory structure.
+ * @param {string|null} [options.baselineCommitSha=null] - Baseline commit the index is keyed to
+ * @param {Object|null} [options.previous=null] - Previously saved index to reuse entries from
+ * @throws {Error} code "INVALID_CONFIG" when the repo's .oddkit/config.json is invalid
  */
 export async function buildIndex(
   repoRoot,
   baselineRoot = null,
-  { baselineStructureAgnostic = false } = {},
+  { baselineStructureAgnostic = false, baselineCommitSha = null, previous = null } = {},
 ) {
-  const localResult = await indexRoot(repoRoot, "local");
+  const config = loadProjectConfig(repoRoot);
+  const prevEntries = previousEntriesByOrigin(previous, config.hash);
+
+  const localResult = await indexRoot(repoRoot, "local", { previous: prevEntries?.local, config });
   const localDocs = localResult.docs;
   const localExcluded = localResult.excludedByNoindex;
+  const ledgerResult = indexLedgers(repoRoot);
+  const ledgerDocs = ledgerResult.docs;
 
   let baselineDocs = [];
   let baselineExcluded = 0;
+  let baselineExcludedFiles = [];
+  let baselineStats = null;
   if (baselineRoot) {
-    const baselineResult = await indexRoot(baselineRoot, "baseline", {
-      structureAgnostic: baselineStructureAgnostic,
-    });
-    baselineDocs = baselineResult.docs;
-    baselineExcluded = baselineResult.excludedByNoindex;
+    const prevBaseline = prevEntries ? previous.sources?.baseline : null;
+    const baselineUnchanged =
+      prevBaseline &&
+      ![...prevEntries.baseline.values()].some((doc) => doc.reparse) &&
+      baselineCommitSha &&
+      prevBaseline.root === baselineRoot &&
+      prevBaseline.commit === baselineCommitSha &&
+      prevBaseline.structure_agnostic === baselineStructureAgnostic;
+
+    if (baselineUnchanged) {
+      baselineDocs = [...prevEntries.baseline.values()];
+      baselineExcluded = prevBaseline.excluded_by_noindex || 0;
+      baselineExcludedFiles = prevBaseline.excluded || [];
+      baselineStats = { reused: baselineDocs.length, parsed: 0, removed: 0, reused_half: true };
+    } else {
+      const baselineResult = await indexRoot(baselineRoot, "baseline", {
+        structureAgnostic: baselineStructureAgnostic,
+        previous: prevEntries?.baseline,
+      });
+      baselineDocs = baselineResult.docs;
+      baselineExcluded = baselineResult.excludedByNoindex;
+      baselineExcludedFiles = baselineResult.excluded;
+      baselineStats = { ...baselineResult.stats, reused_half: false };
+    }
   }
 
-  const allDocs = [...localDocs, ...baselineDocs];
+  const allDocs = [...localDocs, ...ledgerDocs, ...baselineDocs];
+  const backlinks = linkDocuments(allDocs);
+  const synonyms = [
+    ...loadSynonyms(repoRoot, "local"),
+    ...(baselineRoot ? loadSynonyms(baselineRoot, "baseline") : []),
+  ];
 
   const index = {
     version: INDEX_VERSION,
+    analyzer: ANALYZER_VERSION,
     generated: new Date().toISOString(),
+    baselineCommitSha,
+    sources: {
+      local: {
+        root: repoRoot,
+        excluded_by_noindex: localExcluded,
+        excluded: localResult.excluded,
+        config_path: config.path,
+        config_hash: config.hash,
+      },
+      ledger: {
+        files: ledgerResult.files,
+        entries: ledgerDocs.length,
+        skipped: ledgerResult.skipped,
+      },
+      baseline: baselineRoot
+        ? {
+            root: baselineRoot,
+            commit: baselineCommitSha,
+            structure_agnostic: baselineStructureAgnostic,
+            excluded_by_noindex: baselineExcluded,
+            excluded: baselineExcludedFiles,
+          }
+        : null,
+    },
     stats: {
-      total: allDocs.length,
-      local: localDocs.length,
-      baseline: baselineDocs.length,
+      ...documentStats(allDocs),
       excluded_by_noindex: localExcluded + baselineExcluded,
-      byAuthority: {
-        governing: allDocs.filter((d) => d.authority_band === "governing").length,
-        operational: allDocs.filter((d) => d.authority_band === "operational").length,
-        "non-governing": allDocs.filter((d) => d.authority_band === "non-governing").length,
+      incremental: {
+        local: localResult.stats,
+        baseline: baselineStats,
       },
     },
+    synonyms,
+    backlinks,
     documents: allDocs,
   };
 
   return index;
 }
 
+/**
+ * Document, authority and link counts for an index's `stats`.
+ */
+function documentStats(documents) {
+  const allLinks = documents.flatMap((d) => d.links || []);
+  const count = (predicate) => documents.filter(predicate).length;
+  return {
+    total: documents.length,
+    local: count((d) => d.origin === "local"),
+    ledger: count((d) => d.origin === "ledger"),
+    baseline: count((d) => d.origin === "baseline"),
+    byAuthority: {
+      governing: count((d) => d.authority_band === "governing"),
+      operational: count((d) => d.authority_band === "operational"),
+      "non-governing": count((d) => d.authority_band === "non-governing"),
+    },
+    links: {
+      total: allLinks.length,
+      resolved: allLinks.filter((l) => l.resolved).length,
+    },
+  };
+}
+
 /**
  * Save index to disk
  */
@@ -298,6 +714,226 @@ export function loadIndex(repoRoot) {
   }
 }
 
+/**
+ * Re-link a migrated index's documents and refresh its backlinks and counts.
+ */
+function relinkIndex(index) {
+  index.backlinks = linkDocuments(index.documents);
+  index.stats = { ...index.stats, ...documentStats(index.documents) };
+}
+
+/**
+ * Recompute a migrated index's MinHash signatures from the stored sections:
+ * the shingler drops markdown punctuation, so heading text plus section text
+ * yields the body's words.
+ */
+function recomputeMinHashes(index) {
+  for (const doc of index.documents) {
+    const body = (doc.sections || [])
+      .map((s) => (s.heading !== null && s.heading !== undefined ? `${s.heading}\n${s.text}` : s.text))
+      .join("\n");
+    doc.minhash = computeMinHash(body);
+  }
+}
+
+/**
+ * Re-glob a migrated index's local repo and baseline in place: files the old
+ * schema didn't pick up are parsed, deleted files are dropped, and the
+ * excluded-file lists are recomputed. Entries whose file is unchanged are
+ * reused as they are (indexRoot), so only new or edited files are read. A
+ * root that no longer exists keeps its entries; the staleness checks in
+ * openIndex decide what to do with them.
+ */
+async function rescanIndex(index) {
+  for (const origin of ["local", "baseline"]) {
+    const source = index.sources?.[origin];
+    if (!source?.root || !existsSync(source.root)) continue;
+    const previous = new Map(
+      index.documents.filter((d) => d.origin === origin && d.absolutePath).map((d) => [d.absolutePath, d]),
+    );
+    const result = await indexRoot(source.root, origin, {
+      structureAgnostic: origin === "baseline" && !!source.structure_agnostic,
+      previous,
+      config: origin === "local" ? loadProjectConfig(source.root) : null,
+    });
+    index.documents = [...index.documents.filter((d) => d.origin !== origin), ...result.docs];
+    source.excluded_by_noindex = result.excludedByNoindex;
+    source.excluded = result.excluded;
+  }
+  relinkIndex(index);
+}
+
+// Source formats whose parser strips YAML frontmatter from the body
+const FRONTMATTER_FORMATS = new Set(["markdown", "mdx", "text"]);
+
+/**
+ * Migrations between saved index schema versions, keyed by the version they
+ * upgrade from; each step rewrites a loaded index in place to its `to`
+ * version, and the steps chain up to INDEX_VERSION. A step works from the
+ * data the index holds, re-globbing the repo (rescanIndex) when the new
+ * schema indexes files the old one didn't. When a bump needs new data from
+ * files already indexed, the step sets `reparse` on just the affected
+ * entries: openIndex then rebuilds incrementally, re-parsing those and
+ * reusing the rest. Versions before 1.9.0 predate stored sections and links
+ * and are rebuilt instead.
+ */
+export const INDEX_MIGRATIONS = {
+  "1.9.0": {
+    to: "1.10.0",
+    migrate: recomputeMinHashes,
+  },
+  // Excluded-file lists (for the index report) come from a fresh glob
+  "1.10.0": {
+    to: "1.11.0",
+    migrate: rescanIndex,
+  },
+  // Indexes from before .oddkit/config.json were built without one
+  "1.11.0": {
+    to: "1.12.0",
+    migrate(index) {
+      if (index.sources?.local) {
+        index.sources.local.config_path = null;
+        index.sources.local.config_hash = null;
+      }
+    },
+  },
+  // Ledger entries are rendered from the repo's ledger files
+  "1.12.0": {
+    to: "1.13.0",
+    migrate(index) {
+      const root = index.sources?.local?.root;
+      const ledger = root ? indexLedgers(root) : { docs: [], files: [], skipped: [] };
+      index.documents = [...index.documents.filter((d) => d.origin !== "ledger"), ...ledger.docs];
+      index.sources = {
+        ...index.sources,
+        ledger: { files: ledger.files, entries: ledger.docs.length, skipped: ledger.skipped },
+      };
+      relinkIndex(index);
+    },
+  },
+  // Every entry so far was markdown; a re-glob picks up the other formats
+  "1.13.0": {
+    to: "1.14.0",
+    async migrate(index) {
+      for (const doc of index.documents) doc.format ||= "markdown";
+      await rescanIndex(index);
+    },
+  },
+  // Wiki-links weren't extracted: re-parse only entries whose text holds
+  // one; the rebuild re-resolves every link and the backlinks
+  "1.14.0": {
+    to: "1.15.0",
+    migrate(index) {
+      for (const doc of index.documents) {
+        if ((doc.sections || []).some((s) => `${s.heading ?? ""}\n${s.text}`.includes("[["))) doc.reparse = true;
+      }
+    },
+  },
+  // Link lines were counted from below the frontmatter: re-parse entries
+  // with links in the formats that strip one
+  "1.15.0": {
+    to: "1.16.0",
+    migrate(index) {
+      for (const doc of index.documents) {
+        if (doc.links?.length && FRONTMATTER_FORMATS.has(doc.format)) doc.reparse = true;
+      }
+    },
+  },
+  // Bodies too short for a meaningful signature no longer get one
+  "1.16.0": {
+    to: "1.17.0",
+    migrate: recomputeMinHashes,
+  },
+};
+
+/**
+ * Bring a loaded index up to INDEX_VERSION through INDEX_MIGRATIONS.
+ *
+ * @param {Object} index - Loaded index (mutated)
+ * @returns {Promise<boolean>} Whether the index is now at INDEX_VERSION
+ */
+export async function migrateIndex(index) {
+  if (!index || !Array.isArray(index.documents)) return false;
+  while (index.version !== INDEX_VERSION) {
+    const migration = INDEX_MIGRATIONS[index.version];
+    if (!migration) return false;
+    await migration.migrate(index);
+    index.version = migration.to;
+  }
+  return true;
+}
+
+/**
+ * Why a loaded (and migrated) index can't serve the current repo and
+ * baseline, or null when it can. The checks every task shares:
+ *
+ * - index_version_changed: schema version with no migration path
+ * - analyzer_changed: built under another text analyzer (search/analyzer.js)
+ * - config_changed: built under another .oddkit/config.json
+ * - entries_need_reparse: a migration marked entries for re-parse (the
+ *   rebuild reuses everything else)
+ * - baseline_now_unavailable / baseline_now_available: baseline docs
+ *   present without a baseline, or missing with one
+ * - baseline_commit_changed: baseline docs from another commit
+ */
+function staleIndexReason(index, repoRoot, { baselineRoot, baselineCommitSha }) {
+  if (index.version !== INDEX_VERSION) return "index_version_changed";
+  if (index.analyzer !== ANALYZER_VERSION) return "analyzer_changed";
+  if ((index.sources?.local?.config_hash ?? null) !== configHash(repoRoot)) return "config_changed";
+  if (index.documents.some((d) => d.reparse)) return "entries_need_reparse";
+
+  const hasBaselineDocs = index.documents.some((d) => d.origin === "baseline");
+  if (!baselineRoot && hasBaselineDocs) return "baseline_now_unavailable";
+  if (baselineRoot && !hasBaselineDocs) return "baseline_now_available";
+  const indexSha = index.baselineCommitSha || null;
+  if (baselineCommitSha && indexSha && baselineCommitSha !== indexSha) return "baseline_commit_changed";
+  return null;
+}
+
+/**
+ * Open the repo's index for a task: load `.oddkit/index.json`, migrate it
+ * forward if it is from an older schema, and rebuild it (incrementally,
+ * reusing unchanged entries) when it is missing or stale for the current
+ * baseline. Migrated and rebuilt indexes are saved.
+ *
+ * @param {string} repoRoot - Local repository root
+ * @param {Object} [options]
+ * @param {string|null} [options.baselineRoot=null] - Baseline root, or null when unavailable
+ * @param {string|null} [options.baselineCommitSha=null] - Baseline commit
+ * @param {boolean} [options.baselineStructureAgnostic=false] - See buildIndex
+ * @param {boolean} [options.force=false] - Rebuild from scratch, ignoring the saved index
+ * @returns {Promise<{ index: Object, rebuildReason: string|null, migratedFrom: string|null }>}
+ *   `rebuildReason` is null when the saved index was used; "no_index",
+ *   "forced" or a staleness reason (see staleIndexReason) otherwise
+ * @throws {Error} code "INVALID_CONFIG" when the repo's .oddkit/config.json is invalid
+ */
+export async function openIndex(
+  repoRoot,
+  { baselineRoot = null, baselineCommitSha = null, baselineStructureAgnostic = false, force = false } = {},
+) {
+  const cached = force ? null : loadIndex(repoRoot);
+  let rebuildReason = force ? "forced" : "no_index";
+  let migratedFrom = null;
+
+  if (cached && Array.isArray(cached.documents)) {
+    const loadedVersion = cached.version;
+    if ((await migrateIndex(cached)) && loadedVersion !== INDEX_VERSION) migratedFrom = loadedVersion;
+    rebuildReason = staleIndexReason(cached, repoRoot, { baselineRoot, baselineCommitSha });
+    if (!rebuildReason) {
+      if (migratedFrom) saveIndex(cached, repoRoot);
+      return { index: cached, rebuildReason: null, migratedFrom };
+    }
+  }
+
+  const index = await buildIndex(repoRoot, baselineRoot, {
+    baselineStructureAgnostic,
+    baselineCommitSha,
+    previous: cached,
+  });
+  saveIndex(index, repoRoot);
+  return { index, rebuildReason, migratedFrom };
+}
+
 /**
  * Load baseline index from cache (SHA-keyed).
  * When commitSha is provided, loads content-addressed index.
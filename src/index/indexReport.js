@@ -0,0 +1,107 @@
+import { AUTHORITY_BANDS, INTENT_HIERARCHY } from "./arbitration.js";
+import { uriToIndexPath, uriToIndexPaths } from "../utils/extractLinks.js";
+
+/**
+ * Index health report: metadata problems in the local overlay, computed from
+ * what buildIndex already records. Local documents are checked; baseline
+ * documents only take part in the duplicate-URI check, since the overlay is
+ * what the caller can fix.
+ *
+ * - missing_title / missing_uri: no `title` / `uri` frontmatter
+ * - duplicate_uris: a URI declared by more than one document (local or baseline)
+ * - uri_path_mismatches: a declared URI that names a different path than the
+ *   file's own (klappy://canon/x ↔ canon/x.md)
+ * - empty_headings: headings with no text, or with no content before the next
+ *   heading at the same or a higher level
+ * - excluded: files left out by `.noindex` sentinels or `exposure: noindex`
+ * - unknown_authority_band / unknown_intent: frontmatter values the
+ *   arbitration rules don't recognize (unknown intents fall back to the
+ *   path-inferred one)
+ *
+ * @param {Object} index - A built index
+ * @returns {{ status: "OK"|"FINDINGS", summary: Object }} plus one list per check
+ */
+export function buildIndexReport(index) {
+  const documents = index.documents || [];
+  const local = documents.filter((d) => d.origin === "local");
+  const ref = (doc) => ({ path: doc.path, origin: doc.origin });
+
+  const missingTitle = local.filter((d) => !d.title).map(ref);
+  const missingUri = local.filter((d) => !d.uri).map(ref);
+
+  const byUri = new Map();
+  for (const doc of documents) {
+    if (!doc.uri) continue;
+    if (!byUri.has(doc.uri)) byUri.set(doc.uri, []);
+    byUri.get(doc.uri).push(doc);
+  }
+  const duplicateUris = [...byUri]
+    .filter(([, docs]) => docs.length > 1 && docs.some((d) => d.origin === "local"))
+    .map(([uri, docs]) => ({
+      uri,
+      cross_origin: new Set(docs.map((d) => d.origin)).size > 1,
+      docs: docs.map(ref),
+    }));
+
+  const uriPathMismatches = local
+    .filter((d) => d.uri && /^(klappy|odd|kb):\/\//.test(d.uri) && !uriToIndexPaths(d.uri).includes(d.path))
+    .map((d) => ({ ...ref(d), uri: d.uri, expected_path: uriToIndexPath(d.uri) }));
+
+  const emptyHeadings = [];
+  for (const doc of local) {
+    const sections = (doc.sections || []).filter((s) => s.heading !== null);
+    sections.forEach((section, i) => {
+      const next = sections[i + 1];
+      const hasSubsections = next && next.level > section.level;
+      if (section.heading === "" || (!section.text && !hasSubsections)) {
+        emptyHeadings.push({
+          ...ref(doc),
+          heading: section.heading,
+          level: section.level,
+          line: section.startLine + 1,
+          reason: section.heading === "" ? "no-text" : "no-content",
+        });
+      }
+    });
+  }
+
+  const excluded = ["local", "baseline"].flatMap((origin) =>
+    (index.sources?.[origin]?.excluded || []).map((e) => ({ ...e, origin })),
+  );
+
+  const unknownAuthority = local
+    .filter((d) => d.authority_band && !AUTHORITY_BANDS.includes(d.authority_band))
+    .map((d) => ({ ...ref(d), value: d.authority_band }));
+  const unknownIntent = local
+    .filter((d) => d.frontmatter?.intent != null && INTENT_HIERARCHY[d.frontmatter.intent] === undefined)
+    .map((d) => ({ ...ref(d), value: d.frontmatter.intent, using: d.intent }));
+
+  const summary = {
+    docs_checked: local.length,
+    missing_title: missingTitle.length,
+    missing_uri: missingUri.length,
+    duplicate_uris: duplicateUris.length,
+    uri_path_mismatches: uriPathMismatches.length,
+    empty_headings: emptyHeadings.length,
+    excluded: excluded.length,
+    unknown_authority_band: unknownAuthority.length,
+    unknown_intent: unknownIntent.length,
+  };
+  // Exclusions are deliberate; everything else is something to fix
+  const problems = Object.entries(summary)
+    .filter(([key]) => key !== "docs_checked" && key !== "excluded")
+    .reduce((n, [, count]) => n + count, 0);
+
+  return {
+    status: problems === 0 ? "OK" : "FINDINGS",
+    summary,
+    missing_title: missingTitle,
+    missing_uri: missingUri,
+    duplicate_uris: duplicateUris,
+    uri_path_mismatches: uriPathMismatches,
+    empty_headings: emptyHeadings,
+    excluded,
+    unknown_authority_band: unknownAuthority,
+    unknown_intent: unknownIntent,
+  };
+}
@@ -0,0 +1,206 @@
+import { readFileSync, existsSync } from "fs";
+import { join } from "path";
+import matter from "gray-matter";
+
+/**
+ * Ledger entries as documents.
+ *
+ * `odd/ledger/decisions.jsonl` and `learnings.jsonl` hold one JSON entry per
+ * line (schemas in odd/ledger/README.md). Each entry is rendered as a virtual
+ * markdown document — frontmatter with its metadata, the entry's fields as
+ * sections — and indexed like a file with `origin: "ledger"`:
+ *
+ * - uri: odd://ledger/<ledger>/<id> (e.g. odd://ledger/decisions/dec-20260129-0001)
+ * - path: odd/ledger/<ledger>/<id>, which the URI maps to
+ * - supersedes / superseded_by ids become ledger URIs, so resolve walks them
+ *
+ * Ledgers are append-only, so a later line with the same id replaces the
+ * earlier entry. Only the local repo's ledgers are indexed.
+ */
+
+export const LEDGERS = {
+  decisions: "odd/ledger/decisions.jsonl",
+  learnings: "odd/ledger/learnings.jsonl",
+};
+
+const LEDGER_URI_RE = /^odd:\/\/ledger\/(decisions|learnings)\/([^/?#]+)$/;
+
+// Entry fields rendered as sections, in order; the first is the lead
+// paragraph under the title, and the rest (besides metadata) follow under
+// their own names
+const BODY_FIELDS = {
+  decisions: ["decision", "context", "options_considered", "rationale", "consequences", "evidence", "links"],
+  learnings: ["impact", "sources", "evidence", "candidate_targets"],
+};
+
+// Entry fields carried as frontmatter metadata instead of body text
+const METADATA_FIELDS = [
+  "id",
+  "timestamp",
+  "title",
+  "summary",
+  "status",
+  "trigger",
+  "confidence",
+  "proposed_escalation",
+  "candidate_promotion",
+  "supersedes",
+  "superseded_by",
+];
+
+/**
+ * The ledger URI for an entry.
+ */
+export function ledgerUri(ledger, id) {
+  return `odd://ledger/${ledger}/${id}`;
+}
+
+/**
+ * Split a ledger URI into its ledger and entry id, or null for other URIs.
+ *
+ * @param {string} uri
+ * @returns {{ ledger: "decisions"|"learnings", id: string }|null}
+ */
+export function parseLedgerUri(uri) {
+  const match = LEDGER_URI_RE.exec(uri || "");
+  return match ? { ledger: match[1], id: decodeURIComponent(match[2]) } : null;
+}
+
+function humanize(key) {
+  const text = key.replace(/_/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function renderItem(item) {
+  if (item === null || typeof item !== "object") return String(item);
+  if (typeof item.option === "string") {
+    const list = (label, values) => (Array.isArray(values) && values.length > 0 ? [`${label}: ${values.join("; ")}.`] : []);
+    const notes = [...list("Pros", item.pros), ...list("Cons", item.cons)];
+    return `**${item.option}**${notes.length > 0 ? ` — ${notes.join(" ")}` : ""}`;
+  }
+  if (typeof item.ref === "string") return item.type ? `${item.type}: ${item.ref}` : item.ref;
+  return JSON.stringify(item);
+}
+
+function renderValue(value) {
+  if (Array.isArray(value)) return value.map((item) => `- ${renderItem(item)}`).join("\n");
+  return renderItem(value);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+// Entry references (ids or URIs) as ledger URIs
+function refsToUris(ledger, value) {
+  const toUri = (ref) => (ref.includes("://") ? ref : ledgerUri(ledger, ref));
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string" && v.length > 0).map(toUri);
+  return typeof value === "string" && value.length > 0 ? toUri(value) : null;
+}
+
+/**
+ * Render a ledger entry as a markdown document with frontmatter.
+ *
+ * Decisions are titled by `title` and open with the `decision` text;
+ * learnings are titled by `summary` and open with their `impact`. Accepted
+ * decisions are operational; everything else is non-governing, since ledger
+ * entries only gain authority by promotion into canon.
+ *
+ * @param {"decisions"|"learnings"} ledger
+ * @param {Object} entry - Parsed ledger line (must have an `id`)
+ * @returns {string} Markdown with YAML frontmatter
+ */
+export function renderLedgerEntry(ledger, entry) {
+  const isDecision = ledger === "decisions";
+  const accepted = isDecision && entry.status === "accepted";
+  const title = (isDecision ? entry.title : entry.summary) || entry.title || entry.summary || entry.id;
+
+  const frontmatter = {
+    uri: ledgerUri(ledger, entry.id),
+    title,
+    ledger,
+    tags: ["ledger", isDecision ? "decision" : "learning"],
+    authority_band: accepted ? "operational" : "non-governing",
+    intent: accepted ? "operational" : "experiment",
+  };
+  for (const key of METADATA_FIELDS) {
+    if (key === "title" || isEmpty(entry[key])) continue;
+    if (key === "supersedes" || key === "superseded_by") {
+      const uris = refsToUris(ledger, entry[key]);
+      if (!isEmpty(uris)) frontmatter[key] = uris;
+    } else if (key !== "summary" || isDecision) {
+      frontmatter[key] = entry[key];
+    }
+  }
+
+  const bodyFields = BODY_FIELDS[ledger] || [];
+  const extraFields = Object.keys(entry).filter((key) => !bodyFields.includes(key) && !METADATA_FIELDS.includes(key));
+  const lines = [`# ${title}`, ""];
+  for (const key of [...bodyFields, ...extraFields]) {
+    if (isEmpty(entry[key])) continue;
+    if (key === bodyFields[0]) lines.push(renderValue(entry[key]), "");
+    else lines.push(`## ${humanize(key)}`, "", renderValue(entry[key]), "");
+  }
+
+  return matter.stringify(lines.join("\n"), frontmatter);
+}
+
+/**
+ * Read a ledger file into its entries, last line per id winning.
+ *
+ * @param {string} absolutePath
+ * @returns {{ entries: Array<{ entry: Object, line: number }>, errors: Array<{ line: number, message: string }> }}
+ */
+export function readLedgerFile(absolutePath) {
+  const byId = new Map();
+  const errors = [];
+  readFileSync(absolutePath, "utf-8")
+    .split("\n")
+    .forEach((text, i) => {
+      if (!text.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch (err) {
+        errors.push({ line: i + 1, message: `not valid JSON: ${err.message}` });
+        return;
+      }
+      if (!entry || typeof entry.id !== "string" || !entry.id) {
+        errors.push({ line: i + 1, message: "entry has no id" });
+        return;
+      }
+      byId.delete(entry.id); // keep file order of the latest version
+      byId.set(entry.id, { entry, line: i + 1 });
+    });
+  return { entries: [...byId.values()], errors };
+}
+
+/**
+ * Render one entry of a ledger file, or null when it isn't there.
+ *
+ * @param {string} absolutePath - Ledger file
+ * @param {string} uri - odd://ledger/<ledger>/<id>
+ * @returns {{ content: string, line: number }|null}
+ */
+export function readLedgerEntry(absolutePath, uri) {
+  const parsed = parseLedgerUri(uri);
+  if (!parsed || !existsSync(absolutePath)) return null;
+  const found = readLedgerFile(absolutePath).entries.find(({ entry }) => entry.id === parsed.id);
+  return found ? { content: renderLedgerEntry(parsed.ledger, found.entry), line: found.line } : null;
+}
+
+/**
+ * The rendered markdown for a ledger URI in a repo, or null when the ledger
+ * or entry doesn't exist.
+ *
+ * @param {string} repoRoot
+ * @param {string} uri - odd://ledger/<ledger>/<id>
+ * @returns {{ content: string, path: string, line: number }|null}
+ */
+export function getLedgerDocument(repoRoot, uri) {
+  const parsed = parseLedgerUri(uri);
+  if (!parsed) return null;
+  const path = LEDGERS[parsed.ledger];
+  const found = readLedgerEntry(join(repoRoot, path), uri);
+  return found ? { ...found, path } : null;
+}
@@ -0,0 +1,304 @@
+import { extname } from "path";
+import matter from "gray-matter";
+
+/**
+ * Source formats the indexer understands.
+ *
+ * Each parser turns a file's raw text into gray-matter's shape:
+ *
+ * - data: frontmatter-equivalent metadata (YAML frontmatter, AsciiDoc header
+ *   attributes, reStructuredText field lists), including a `title` when the
+ *   format declares one
+ * - content: the body as markdown-equivalent text — section titles become
+ *   `#` headings and other lines that would read as headings are indented —
+ *   with one line per source line, so heading line numbers stay valid
+ *
+ * Everything downstream (headings, sections, links, quotes, `get` sections)
+ * works on `content`. To index another format, add a parser keyed by its
+ * extension; the default include globs pick the extension up. Files with an
+ * unregistered extension (matched by a custom `include`) parse as markdown.
+ */
+
+// Lines extractHeadings would take for a heading
+const MARKDOWN_HEADING_RE = /^#{1,6}\s/;
+
+// Frontmatter-equivalent fields whose native form is a comma-separated list
+const LIST_FIELDS = new Set(["tags", "aliases"]);
+
+// Header/field-list values are text; read booleans, numbers and list fields
+// the way YAML frontmatter would (start_here: true, start_here_order: 2)
+function fieldValue(key, value) {
+  const text = value.trim();
+  if (LIST_FIELDS.has(key)) return text.split(",").map((v) => v.trim()).filter(Boolean);
+  if (text === "true" || text === "false") return text === "true";
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+}
+
+// Keep a non-heading line from reading as a markdown heading
+function escapeHeadingLike(line) {
+  return MARKDOWN_HEADING_RE.test(line) ? ` ${line}` : line;
+}
+
+function parseMarkdown(raw) {
+  const { data, content } = matter(raw);
+  return { data, content };
+}
+
+/**
+ * MDX (Docusaurus): markdown plus ESM import/export statements and JSX.
+ * Statements and lines holding only component tags are blanked; the title
+ * falls back to the first H1, as Docusaurus does.
+ */
+function parseMdx(raw) {
+  const { data, content } = matter(raw);
+  const lines = content.split("\n");
+  let fence = null;
+  let depth = 0;
+  let inStatement = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!inStatement) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1].startsWith(fence)) fence = null;
+        continue;
+      }
+      if (fence) continue;
+      if (/^\s*<\/?[A-Z][\w.]*(\s[^<>]*)?\/?>\s*$/.test(line)) {
+        lines[i] = "";
+        continue;
+      }
+      if (!/^(import|export)\s/.test(line)) continue;
+      inStatement = true;
+      depth = 0;
+    }
+    depth += (line.match(/[{([]/g) || []).length - (line.match(/[})\]]/g) || []).length;
+    lines[i] = "";
+    if (depth <= 0 && !/[,=]$/.test(line.trimEnd())) inStatement = false;
+  }
+
+  const body = lines.join("\n");
+  if (!data.title) {
+    const h1 = body.match(/^#\s+(.+)$/m);
+    if (h1) data.title = h1[1].trim();
+  }
+  return { data, content: body };
+}
+
+/**
+ * Plain text: optional YAML frontmatter, no headings.
+ */
+function parseText(raw) {
+  const { data, content } = matter(raw);
+  return { data, content: content.split("\n").map(escapeHeadingLike).join("\n") };
+}
+
+// AsciiDoc delimited blocks (listing, literal, passthrough, example, sidebar,
+// quote, comment) and open blocks; section titles can't appear inside them
+const ADOC_DELIMITER_RE = /^(-{4,}|\.{4,}|\+{4,}|={4,}|\*{4,}|_{4,}|\/{4,}|--)$/;
+
+/**
+ * AsciiDoc: the document header (`= Title`, author and revision lines,
+ * `:name: value` attribute entries) becomes metadata; `==` section titles
+ * become `##` headings; comments are blanked.
+ */
+function parseAsciiDoc(raw) {
+  const lines = raw.split("\n");
+  const data = {};
+  let inHeader = true;
+  let titleLine = -1;
+  let block = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, "");
+
+    if (block) {
+      if (line === block) block = null;
+      lines[i] = block === "////" || line === "////" ? "" : escapeHeadingLike(line);
+      continue;
+    }
+    if (ADOC_DELIMITER_RE.test(line)) {
+      block = line;
+      inHeader = false;
+      lines[i] = line === "////" ? "" : line;
+      continue;
+    }
+    if (/^\/\/(?!\/)/.test(line)) {
+      lines[i] = "";
+      continue;
+    }
+
+    if (inHeader) {
+      const attribute = line.match(/^:([\w][\w-]*):\s*(.*)$/);
+      if (attribute) {
+        const key = attribute[1].toLowerCase();
+        data[key] = fieldValue(key, attribute[2]);
+        lines[i] = "";
+        continue;
+      }
+      const docTitle = titleLine === -1 ? line.match(/^=\s+(.+?)(\s+=)?$/) : null;
+      if (docTitle) {
+        titleLine = i;
+        lines[i] = `# ${docTitle[1]}`;
+        continue;
+      }
+      if (titleLine !== -1 && line.trim() && i - titleLine <= 2 && !/^=/.test(line)) {
+        // Author line, then revision line
+        data[data.author === undefined ? "author" : "revision"] = line.trim();
+        lines[i] = "";
+        continue;
+      }
+      if (line.trim() || titleLine !== -1) inHeader = false;
+      else continue;
+    }
+
+    const section = line.match(/^(={1,6})\s+(.+?)(\s+=+)?$/);
+    lines[i] = section ? `${"#".repeat(section[1].length)} ${section[2]}` : line;
+  }
+
+  if (!data.title && (data.doctitle || titleLine !== -1)) data.title = data.doctitle || lines[titleLine].slice(2);
+  return { data, content: lines.join("\n") };
+}
+
+// reStructuredText adornment: one punctuation character repeated
+const RST_ADORNMENT_RE = /^([!-/:-@[-`{-~])\1+\s*$/;
+
+/**
+ * reStructuredText: section titles (underlined, optionally overlined) become
+ * headings, levels in order of first appearance; a leading field list
+ * (`:tags: a, b`) before or right after the first title becomes metadata, and
+ * that title is the document title.
+ */
+function parseRst(raw) {
+  const lines = raw.split("\n").map((line) => line.replace(/\r$/, ""));
+  const out = lines.map(escapeHeadingLike);
+  const data = {};
+  const styles = [];
+  let firstTitle = null;
+  let headings = 0;
+  let sawBody = false;
+
+  const blank = (line) => line === undefined || line.trim() === "";
+  const adornment = (line) => line !== undefined && RST_ADORNMENT_RE.test(line);
+  const heading = (style, text) => {
+    headings++;
+    if (!styles.includes(style)) styles.push(style);
+    const level = Math.min(styles.indexOf(style) + 1, 6);
+    if (firstTitle === null && !sawBody) firstTitle = text;
+    return `${"#".repeat(level)} ${text}`;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (blank(line)) continue;
+
+    // Fields are metadata only before any body text and the second title
+    const fieldsOpen = !sawBody && headings <= 1;
+    const field = fieldsOpen ? line.match(/^:([^:\s][^:]*):\s*(.*)$/) : null;
+    if (field) {
+      const key = field[1].trim().toLowerCase();
+      let value = field[2];
+      out[i] = "";
+      while (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1])) {
+        value += ` ${lines[++i].trim()}`;
+        out[i] = "";
+      }
+      data[key] = fieldValue(key, value);
+      continue;
+    }
+
+    const next = lines[i + 1];
+    const overlined =
+      adornment(line) &&
+      !blank(next) &&
+      lines[i + 2]?.trimEnd() === line.trimEnd() &&
+      next.trim().length <= line.trimEnd().length;
+    if (overlined) {
+      out[i] = "";
+      out[i + 1] = heading(`over${line[0]}`, next.trim());
+      out[i + 2] = "";
+      i += 2;
+      continue;
+    }
+
+    const underlined =
+      !/^\s/.test(line) &&
+      !adornment(line) &&
+      adornment(next) &&
+      next.trimEnd().length >= line.trimEnd().length &&
+      blank(lines[i - 1]);
+    if (underlined) {
+      out[i] = heading(`under${next[0]}`, line.trim());
+      out[i + 1] = "";
+      i += 1;
+      continue;
+    }
+
+    if (!/^\.\.(\s|$)/.test(line)) sawBody = true;
+  }
+
+  if (!data.title && firstTitle) data.title = firstTitle;
+  return { data, content: out.join("\n") };
+}
+
+/**
+ * Parsers by file extension. Add an entry to index another format.
+ */
+export const DOCUMENT_PARSERS = {
+  ".md": { format: "markdown", parse: parseMarkdown },
+  ".mdx": { format: "mdx", parse: parseMdx },
+  ".txt": { format: "text", parse: parseText },
+  ".adoc": { format: "asciidoc", parse: parseAsciiDoc },
+  ".rst": { format: "rst", parse: parseRst },
+};
+
+function parserFor(filePath) {
+  return DOCUMENT_PARSERS[extname(filePath || "").toLowerCase()] || null;
+}
+
+/**
+ * Whether a path has an extension with a registered parser.
+ */
+export function isSourceFile(filePath) {
+  return parserFor(filePath) !== null;
+}
+
+/**
+ * A path without its source-format extension (canon/x.adoc → canon/x);
+ * other paths are returned unchanged. Canon URIs name documents this way.
+ */
+export function stripSourceExtension(filePath) {
+  return isSourceFile(filePath) ? filePath.slice(0, -extname(filePath).length) : filePath;
+}
+
+/**
+ * The paths an extensionless reference may name, one per registered
+ * format, markdown first (canon/x → canon/x.md, canon/x.mdx, ...).
+ */
+export function sourcePathCandidates(barePath) {
+  return Object.keys(DOCUMENT_PARSERS).map((ext) => `${barePath}${ext}`);
+}
+
+/**
+ * Glob for every registered source format under a directory
+ * (sourceGlob("canon") → canon/**\/*.{md,mdx,...}; "" for any directory).
+ */
+export function sourceGlob(dir) {
+  const extensions = Object.keys(DOCUMENT_PARSERS).map((ext) => ext.slice(1));
+  const name = extensions.length === 1 ? `*.${extensions[0]}` : `*.{${extensions.join(",")}}`;
+  return dir ? `${dir}/**/${name}` : `**/${name}`;
+}
+
+/**
+ * Parse a source file by its extension (markdown when unregistered).
+ *
+ * @param {string|null} filePath - Used only for its extension
+ * @param {string} raw - File contents
+ * @returns {{ data: Object, content: string, format: string }}
+ */
+export function parseSource(filePath, raw) {
+  const parser = parserFor(filePath) || DOCUMENT_PARSERS[".md"];
+  return { ...parser.parse(raw), format: parser.format };
+}
@@ -0,0 +1,171 @@
+import { watch, existsSync } from "fs";
+import { join, basename } from "path";
+import { buildIndex, loadIndex, migrateIndex, saveIndex, localIncludePatterns, SYNONYMS_PATH } from "./buildIndex.js";
+import { LEDGERS } from "./ledger.js";
+import { isSourceFile } from "./parsers.js";
+import { CONFIG_PATH, inspectProjectConfig } from "../config/projectConfig.js";
+
+/**
+ * Watch mode: keep a repo's saved index current while files change, for
+ * `oddkit index --watch` and long-running MCP sessions (ODDKIT_WATCH=1).
+ *
+ * Only the local half is watched. Each burst of changes is debounced into one
+ * incremental rebuild from the saved index, which keeps that index's baseline
+ * (root, commit, structure-agnostic flag) so the baseline half is reused
+ * wholesale. buildIndex still applies the include/exclude patterns; the
+ * watcher just decides which events are worth a rebuild.
+ */
+
+export const WATCH_DEBOUNCE_MS = 300;
+
+// Directories never indexed (see EXCLUDE_PATTERNS in buildIndex.js)
+const IGNORED_SEGMENTS = new Set(["node_modules", ".git", "public", ".oddkit"]);
+
+/**
+ * Whether a file name is an editor's temp, swap, backup or lock file
+ * (vim .swp/.swx/4913 probes, emacs .#lock and #autosave#, trailing ~
+ * backups, JetBrains ___jb_ files, LibreOffice .~lock, .tmp/.crdownload).
+ */
+export function isEditorTempFile(name) {
+  return (
+    /^\.#/.test(name) ||
+    /^#.*#$/.test(name) ||
+    /~$/.test(name) ||
+    /\.(swp|swx|swo|tmp|temp|bak|crdownload)$/i.test(name) ||
+    /___jb_\w+___$/.test(name) ||
+    /^\.~lock\./.test(name) ||
+    name === "4913" ||
+    name === ".DS_Store"
+  );
+}
+
+/**
+ * Whether a change at a repo-relative path can affect the local index:
+ * source files (see parsers.js), `.noindex` sentinels, the synonym map, the ledgers and the
+ * project config, outside the always-excluded directories.
+ */
+export function isIndexRelevantChange(relPath) {
+  const path = relPath.split("\\").join("/");
+  if (path === CONFIG_PATH || Object.values(LEDGERS).includes(path)) return true;
+  if (path.split("/").some((segment) => IGNORED_SEGMENTS.has(segment))) return false;
+  const name = basename(path);
+  if (isEditorTempFile(name)) return false;
+  return isSourceFile(name) || name === ".noindex" || path === SYNONYMS_PATH;
+}
+
+/**
+ * Directories to watch for a set of include patterns: each pattern's static
+ * prefix (canon/**\/*.{md,rst} → canon), or the repo root for patterns that start
+ * with a glob.
+ */
+function watchRoots(patterns) {
+  const roots = new Set();
+  for (const pattern of patterns) {
+    const segments = pattern.split("/");
+    const staticSegments = [];
+    for (const segment of segments.slice(0, -1)) {
+      if (/[*?[\]{}()!]/.test(segment)) break;
+      staticSegments.push(segment);
+    }
+    roots.add(staticSegments.join("/"));
+  }
+  // The root covers everything else
+  return roots.has("") ? [""] : [...roots];
+}
+
+/**
+ * Rebuild the saved index incrementally, keeping its baseline.
+ *
+ * @param {string} repoRoot
+ * @returns {Promise<Object|null>} The new index, or null when none is saved yet
+ *   (the next command builds one)
+ */
+export async function refreshIndex(repoRoot) {
+  const previous = loadIndex(repoRoot);
+  if (!previous || !(await migrateIndex(previous))) return null;
+  const baseline = previous.sources?.baseline || null;
+  const index = await buildIndex(repoRoot, baseline?.root || null, {
+    baselineStructureAgnostic: !!baseline?.structure_agnostic,
+    baselineCommitSha: previous.baselineCommitSha || null,
+    previous,
+  });
+  saveIndex(index, repoRoot);
+  return index;
+}
+
+/**
+ * Watch a repo and refresh its saved index when indexed files are added,
+ * edited or deleted. Changes are collected for `debounceMs` after the last
+ * event, then applied in one rebuild; rebuilds never overlap (changes that
+ * arrive during one are applied by the next).
+ *
+ * The watched directories come from the include patterns at start. Each
+ * rebuild re-reads .oddkit/config.json, so include/exclude edits apply
+ * within those directories; a new top-level directory needs a restart.
+ *
+ * @param {string} repoRoot
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=WATCH_DEBOUNCE_MS]
+ * @param {(update: { index: Object|null, changed: string[] }) => void} [options.onUpdate]
+ *   Called after each rebuild; `index` is null when no index was saved yet
+ * @param {(err: Error, changed: string[]) => void} [options.onError] - Called when a rebuild fails
+ *   (e.g. an invalid .oddkit/config.json); watching continues
+ * @returns {{ close: () => void, roots: string[] }} `roots` are the watched directories
+ */
+export function watchIndex(repoRoot, { debounceMs = WATCH_DEBOUNCE_MS, onUpdate = () => {}, onError = () => {} } = {}) {
+  const { config } = inspectProjectConfig(repoRoot);
+  const ledgerDirs = Object.values(LEDGERS).map((path) => path.slice(0, path.lastIndexOf("/")));
+  const roots = [...new Set([...watchRoots(localIncludePatterns(config)), ...ledgerDirs, ".oddkit"])];
+
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  const flush = async () => {
+    timer = null;
+    if (running || closed || pending.size === 0) return;
+    running = true;
+    const changed = [...pending].sort();
+    pending.clear();
+    try {
+      onUpdate({ index: await refreshIndex(repoRoot), changed });
+    } catch (err) {
+      onError(err, changed);
+    } finally {
+      running = false;
+      if (pending.size > 0 && !closed) schedule();
+    }
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const watchers = [];
+  for (const root of roots) {
+    const dir = join(repoRoot, root);
+    if (!existsSync(dir)) continue;
+    // The config dir holds the index itself; only config edits matter there
+    const recursive = root !== ".oddkit";
+    const watcher = watch(dir, { recursive }, (_event, filename) => {
+      if (!filename) return;
+      const relPath = [root, filename.toString()].filter(Boolean).join("/");
+      if (!isIndexRelevantChange(relPath)) return;
+      pending.add(relPath);
+      schedule();
+    });
+    watcher.on("error", (err) => onError(err, []));
+    watchers.push(watcher);
+  }
+
+  return {
+    roots: roots.filter((root) => existsSync(join(repoRoot, root))).map((root) => root || "."),
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
@@ -33,7 +33,8 @@ import { dirname, join } from "path";
 import { readFileSync } from "fs";
 import { listPrompts, getPrompt } from "./prompts.js";
 import { getOddkitInstructions } from "./instructions.js";
-import { handleAction } from "../core/actions.js";
+import { handleAction, refreshSearchIndex } from "../core/actions.js";
+import { watchIndex } from "../index/watchIndex.js";
 import { ALL_MCP_TOOLS, MCP_NAME_TO_ACTION } from "../core/tool-registry.js";
 
 // Read version from package.json to keep MCP server version in sync
@@ -112,6 +113,34 @@ Call 2: oddkit({ action: "challenge", input: "...", state: <state from call 1> }
 → Returns: { ..., state: { phase: "exploration", unresolved: [...], ... } }`.trim();
 }
 
+// ──────────────────────────────────────────────────────────────────────────────
+// Index watcher (opt-in: ODDKIT_WATCH=1)
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Keep the working directory's index and in-memory BM25 current while the
+ * session runs, so local doc edits show up without a restart. Without it,
+ * edits are only picked up when the saved index is rebuilt for another reason.
+ */
+function startIndexWatcher(repoRoot) {
+  const log = (message) => {
+    if (process.env.ODDKIT_DEBUG_MCP) console.error(`oddkit: ${message}`);
+  };
+  const watcher = watchIndex(repoRoot, {
+    onUpdate: ({ index, changed }) => {
+      if (!index) return; // Nothing saved yet; the next tool call builds it
+      const { parsed, removed } = index.stats.incremental.local;
+      const bm25Source = refreshSearchIndex(index, repoRoot);
+      log(`index refreshed (${changed.length} change(s), ${parsed} parsed, ${removed} removed, bm25 ${bm25Source})`);
+    },
+    onError: (err) => log(`index refresh failed: ${err.message}`),
+  });
+  log(`watching ${watcher.roots.join(", ")} under ${repoRoot}`);
+  // The watcher would otherwise keep the process alive after the host disconnects
+  process.stdin.once("end", () => watcher.close());
+  process.stdin.once("close", () => watcher.close());
+}
+
 // ──────────────────────────────────────────────────────────────────────────────
 // MCP Server setup
 // ──────────────────────────────────────────────────────────────────────────────
@@ -193,6 +222,20 @@ async function main() {
         baseline: args.canon_url,
         include_metadata: args.include_metadata,
         section: args.section,
+        tags: args.tags,
+        authority_band: args.authority_band,
+        intent: args.intent,
+        origin: args.origin,
+        path_prefix: args.path_prefix,
+        evidence: args.evidence,
+        limit: args.limit,
+        offset: args.offset,
+        cursor: args.cursor,
+        retrieval: args.retrieval,
+        explain: args.explain,
+        include_links: args.include_links,
+        rewrite_wiki_links: args.rewrite_wiki_links,
+        paths: args.paths,
       });
       return {
         content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
@@ -213,6 +256,20 @@ async function main() {
         section: args.section,
         reference: args.reference,
         compare: args.compare,
+        tags: args.tags,
+        authority_band: args.authority_band,
+        intent: args.intent,
+        origin: args.origin,
+        path_prefix: args.path_prefix,
+        evidence: args.evidence,
+        limit: args.limit,
+        offset: args.offset,
+        cursor: args.cursor,
+        retrieval: args.retrieval,
+        explain: args.explain,
+        include_links: args.include_links,
+        rewrite_wiki_links: args.rewrite_wiki_links,
+        paths: args.paths,
         // No state for individual tools
       });
       return {
@@ -225,6 +282,8 @@ async function main() {
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
+
+  if (process.env.ODDKIT_WATCH === "1") startIndexWatcher(process.cwd());
 }
 
 /**
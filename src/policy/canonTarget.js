@@ -28,11 +28,13 @@ import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
  * Resolve the authoritative canon target.
  *
  * @param {string | null} baselineOverride - CLI override for baseline
+ * @param {Object} [options]
+ * @param {string} [options.repoRoot] - Local repo whose .oddkit/config.json may set the baseline
  * @returns {Promise<CanonTarget>}
  */
-export async function resolveCanonTarget(baselineOverride = null) {
+export async function resolveCanonTarget(baselineOverride = null, { repoRoot = null } = {}) {
   try {
-    const baseline = await ensureBaselineRepo(baselineOverride);
+    const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
 
     if (baseline.error) {
       return {
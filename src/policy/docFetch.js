@@ -9,10 +9,11 @@ import { createHash } from "crypto";
 import { readFileSync, existsSync, readdirSync } from "fs";
 import { join } from "path";
 import path from "path";
-import matter from "gray-matter";
 import { resolveCanonTarget } from "./canonTarget.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { extractHeadings } from "../utils/extractHeadings.js";
+import { getLedgerDocument, parseLedgerUri } from "../index/ledger.js";
+import { DOCUMENT_PARSERS, isSourceFile, parseSource } from "../index/parsers.js";
 
 /**
  * Security: reject null bytes in URI paths
@@ -77,17 +78,15 @@ function safeSubpath(prefixDir, requested) {
  * @returns {string} Relative path (may need .md extension added)
  */
 function uriToPath(uri) {
+  // Add .md unless the path already names a source format (or JSON)
+  const withExtension = (p) => (isSourceFile(p) || p.endsWith(".json") ? p : p + ".md");
+
   // Handle odd:// URIs (portable ODD-level docs)
   // Maps odd://<path> -> odd/<path>.md (or .json)
   // odd:// is reserved for baseline-embedded ODD artifacts
   // and MUST stay within odd/
   if (uri.startsWith("odd://")) {
-    let p = uri.slice("odd://".length);
-
-    // Add extension if missing
-    if (!p.endsWith(".md") && !p.endsWith(".json")) {
-      p = p + ".md";
-    }
+    const p = withExtension(uri.slice("odd://".length));
 
     // Use safeSubpath to enforce containment within odd/
     return safeSubpath("odd", p);
@@ -96,11 +95,7 @@ function uriToPath(uri) {
   // Handle kb:// URIs (canon override repos with custom URI schemes)
   // Treated identically to klappy:// — strip scheme, resolve as path
   if (uri.startsWith("kb://")) {
-    let p = uri.slice("kb://".length);
-    if (!p.endsWith(".md") && !p.endsWith(".json")) {
-      p = p + ".md";
-    }
-    return safeSubpath("", p);
+    return safeSubpath("", withExtension(uri.slice("kb://".length)));
   }
 
   // Handle klappy:// URIs (instance-level docs)
@@ -108,12 +103,7 @@ function uriToPath(uri) {
     throw new Error(`Invalid URI: must start with klappy://, kb://, or odd:// (got: ${uri})`);
   }
 
-  let p = uri.slice("klappy://".length);
-
-  // Add .md extension if not present
-  if (!p.endsWith(".md") && !p.endsWith(".json")) {
-    p = p + ".md";
-  }
+  const p = withExtension(uri.slice("klappy://".length));
 
   // klappy:// is instance-level, but still must be a safe relative subpath
   // (no traversal outside baseline root)
@@ -134,6 +124,16 @@ function findDocPath(baseRoot, basePath) {
     return exactPath;
   }
 
+  // Extensionless URIs map to .md; the doc may be another source format
+  if (basePath.endsWith(".md")) {
+    for (const ext of Object.keys(DOCUMENT_PARSERS)) {
+      const otherPath = join(baseRoot, basePath.replace(/\.md$/, ext));
+      if (existsSync(otherPath)) {
+        return otherPath;
+      }
+    }
+  }
+
   // Try with different naming conventions
   // e.g., klappy://odd/getting-started/agents-and-mcp might be at odd/getting-started/odd-agents-and-mcp.md
   const dir = basePath.slice(0, basePath.lastIndexOf("/"));
@@ -188,21 +188,34 @@ function computeHash(content) {
 }
 
 /**
- * Extract a section from markdown content by heading text.
+ * The markdown-equivalent body of a document for heading lookups: frontmatter
+ * stripped, and other source formats' titles as `#` headings (see
+ * index/parsers.js). Falls back to the raw text when it doesn't parse.
+ */
+function documentBody(filePath, content) {
+  try {
+    return parseSource(filePath, content).content;
+  } catch {
+    return content;
+  }
+}
+
+/**
+ * Extract a section from a document by heading text.
  * Returns content from the matching heading through the line before
  * the next heading at the same or higher level.
  *
  * Matching: exact match first (case-insensitive), then partial.
  * If multiple partial matches, returns first with a warning listing alternatives.
  *
- * @param {string} content - Full markdown content
+ * @param {string|null} filePath - Document path, for its source format
+ * @param {string} content - Full document content
  * @param {string} sectionName - Heading text to match
  * @returns {{ content: string, matched: string, warning?: string } | null}
  */
-function extractSection(content, sectionName) {
-  // Strip YAML frontmatter so YAML comments (# ...) aren't parsed as headings
-  const fmMatch = content.match(/^---\n[\s\S]*?\n---\n/);
-  const body = fmMatch ? content.slice(fmMatch[0].length) : content;
+function extractSection(filePath, content, sectionName) {
+  // Strip frontmatter so YAML comments (# ...) aren't parsed as headings
+  const body = documentBody(filePath, content);
 
   const headings = extractHeadings(body);
   if (headings.length === 0) return null;
@@ -245,12 +258,14 @@ function extractSection(content, sectionName) {
 }
 
 /**
- * Fetch a document by klappy:// URI.
+ * Fetch a document by klappy:// URI. Ledger URIs (odd://ledger/<ledger>/<id>)
+ * return the rendered entry from the local repo, with `origin: "ledger"`.
  *
  * @param {string} uri - Canonical URI (e.g., klappy://canon/agents/odd-epistemic-guide)
  * @param {Object} options
  * @param {string} [options.format="markdown"] - Output format
  * @param {string} [options.baseline] - Optional baseline override
+ * @param {string} [options.repoRoot] - Local repo whose .oddkit/config.json may set the baseline
  * @returns {Promise<Object>} Document result
  */
 export async function getDocByUri(uri, options = {}) {
@@ -259,10 +274,31 @@ export async function getDocByUri(uri, options = {}) {
     baseline = null,
     include_metadata = false,
     section = null,
+    repoRoot = null,
   } = options;
 
+  // Ledger entries are rendered from the local repo's ledgers (see
+  // index/ledger.js), not read from the baseline
+  if (parseLedgerUri(uri)) {
+    const found = repoRoot ? getLedgerDocument(repoRoot, uri) : null;
+    if (!found) {
+      return {
+        uri,
+        canon_commit: null,
+        error: {
+          code: "DOC_NOT_FOUND",
+          message: `Ledger entry not found: ${uri}`,
+        },
+      };
+    }
+    const result = buildDocResult(uri, null, found.content, { commit: null }, { format, include_metadata, section });
+    result.origin = "ledger";
+    result.ledger = { path: found.path, line: found.line };
+    return result;
+  }
+
   // Resolve canon target
-  const canonTarget = await resolveCanonTarget(baseline);
+  const canonTarget = await resolveCanonTarget(baseline, { repoRoot });
 
   if (canonTarget.error) {
     return {
@@ -276,7 +312,7 @@ export async function getDocByUri(uri, options = {}) {
   }
 
   // Get baseline root
-  const baselineResult = await ensureBaselineRepo(baseline);
+  const baselineResult = await ensureBaselineRepo(baseline, { repoRoot });
 
   if (!baselineResult.root) {
     return {
@@ -319,6 +355,16 @@ export async function getDocByUri(uri, options = {}) {
     };
   }
 
+  return buildDocResult(uri, fullPath, content, canonTarget, { format, include_metadata, section });
+}
+
+/**
+ * Shape a fetched document for getDocByUri: content hash, optional section
+ * extraction, format and metadata. `filePath` picks the source format's
+ * parser (markdown when null); sections of other formats come back as their
+ * markdown-equivalent text.
+ */
+function buildDocResult(uri, filePath, content, canonTarget, { format, include_metadata, section }) {
   // Compute hash of full file (before section extraction)
   const contentHash = computeHash(content);
   const fullContent = content;
@@ -327,16 +373,14 @@ export async function getDocByUri(uri, options = {}) {
   let sectionWarning = null;
   let availableSections = null;
   if (section) {
-    const extracted = extractSection(content, section);
+    const extracted = extractSection(filePath, content, section);
     if (extracted) {
       content = extracted.content;
       if (extracted.warning) sectionWarning = extracted.warning;
     } else {
       // Section not found — return available ## headers for self-correction
       // instead of the full file (prevents context overflow on large docs).
-      const fmMatch = content.match(/^---\n[\s\S]*?\n---\n/);
-      const body = fmMatch ? content.slice(fmMatch[0].length) : content;
-      const headings = extractHeadings(body);
+      const headings = extractHeadings(documentBody(filePath, content));
       availableSections = headings.filter((h) => h.level === 2).map((h) => h.text);
       sectionWarning = `Section "${section}" not found.`;
       content = null;
@@ -375,10 +419,11 @@ export async function getDocByUri(uri, options = {}) {
     }
   }
 
-  // When include_metadata is true, parse full file for frontmatter
+  // When include_metadata is true, parse full file for frontmatter (or the
+  // source format's equivalent)
   if (include_metadata) {
     try {
-      const { data } = matter(fullContent);
+      const { data } = parseSource(filePath, fullContent);
       if (data && Object.keys(data).length > 0) {
         result.metadata = data;
       }
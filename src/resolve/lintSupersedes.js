@@ -0,0 +1,172 @@
+/**
+ * Supersedes graph lint.
+ *
+ * applySupersedes is deliberately forgiving: when two local docs supersede the
+ * same URI the last one wins, and targets that match nothing are ignored. This
+ * checker reports what it lets through:
+ *
+ * - conflicting-supersedes (error): several local docs supersede the same URI
+ * - dangling-supersedes (error): `supersedes` / `superseded_by` names a
+ *   reference that is not in the index
+ * - supersession-cycle (error): following the chain revisits a document (or
+ *   runs past MAX_SUPERSESSION_DEPTH)
+ * - local-supersedes-local (warning): a local doc supersedes another local
+ *   doc; only baseline docs are suppressed, so both stay in results
+ * - superseded-still-linked (warning): a baseline doc suppressed by a local
+ *   override is still linked from other docs
+ *
+ * Chains and references are resolved with the resolve action's rules (see
+ * resolveUri.js).
+ */
+
+import { applySupersedes } from "./applySupersedes.js";
+import { MAX_SUPERSESSION_DEPTH, canonicalUri, createDocLookup, resolveSupersession } from "./resolveUri.js";
+
+export const SUPERSEDES_RULES = {
+  "conflicting-supersedes": "error",
+  "dangling-supersedes": "error",
+  "supersession-cycle": "error",
+  "local-supersedes-local": "warning",
+  "superseded-still-linked": "warning",
+};
+
+function refList(value) {
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string" && v.length > 0);
+  return typeof value === "string" && value.length > 0 ? [value] : [];
+}
+
+/**
+ * Lint the supersedes graph of an index.
+ *
+ * @param {{ documents: Array, backlinks?: Object }} index - A built index
+ * @returns {{ status: "OK"|"FINDINGS", summary: Object, findings: Array }}
+ */
+export function lintSupersedes(index) {
+  const documents = index.documents || [];
+  const docLookup = createDocLookup(documents);
+  const findings = [];
+  const finding = (rule_id, doc, message, extra = {}) =>
+    findings.push({
+      rule_id,
+      severity: SUPERSEDES_RULES[rule_id],
+      location: { path: doc.path, origin: doc.origin || "local" },
+      message,
+      ...extra,
+    });
+
+  // Local docs shadow baseline docs at the same path (as in the index)
+  const byPath = new Map();
+  for (const doc of documents) {
+    if (!byPath.has(doc.path) || doc.origin === "local") byPath.set(doc.path, doc);
+  }
+  const visible = [...byPath.values()];
+
+  // Conflicts: applySupersedes keys on the declared string, last local doc wins
+  const claims = new Map(); // uri -> local docs declaring it, in index order
+  for (const doc of documents) {
+    if (doc.origin !== "local") continue;
+    for (const uri of refList(doc.supersedes)) {
+      if (!claims.has(uri)) claims.set(uri, []);
+      if (!claims.get(uri).includes(doc)) claims.get(uri).push(doc);
+    }
+  }
+  for (const [uri, docs] of claims) {
+    if (docs.length < 2) continue;
+    const winner = docs[docs.length - 1];
+    finding(
+      "conflicting-supersedes",
+      winner,
+      `${docs.length} local docs supersede \`${uri}\`; \`${winner.path}\` wins by index order`,
+      { target: uri, declared_by: docs.map((d) => d.path), winner: winner.path },
+    );
+  }
+
+  // Dangling targets and local → local supersession
+  for (const doc of visible) {
+    const refs = [
+      ...refList(doc.supersedes).map((ref) => ({ field: "supersedes", ref })),
+      ...refList(doc.frontmatter?.superseded_by).map((ref) => ({ field: "superseded_by", ref })),
+    ];
+    for (const { field, ref } of refs) {
+      const target = docLookup.lookup(ref);
+      if (!target) {
+        finding("dangling-supersedes", doc, `${field} points at \`${ref}\`, which is not in the index`, {
+          field,
+          target: ref,
+        });
+      } else if (field === "supersedes" && doc.origin === "local" && target.origin === "local" && target !== doc) {
+        finding(
+          "local-supersedes-local",
+          doc,
+          `supersedes local doc \`${target.path}\`; only baseline docs are suppressed, so both remain in results`,
+          { target: ref, target_path: target.path },
+        );
+      }
+    }
+  }
+
+  // Cycles, each reported once (keyed by its member paths)
+  const reportedCycles = new Set();
+  for (const doc of visible) {
+    const result = resolveSupersession(docLookup, canonicalUri(doc));
+    if (result.status !== "CIRCULAR_SUPERSESSION") continue;
+    const paths = result.chain.map((c) => c.path);
+    const start = paths.indexOf(paths[paths.length - 1]);
+    const cycle = start < paths.length - 1 ? paths.slice(start, -1) : paths;
+    const key = [...new Set(cycle)].sort().join("\n");
+    if (reportedCycles.has(key)) continue;
+    reportedCycles.add(key);
+    const first = byPath.get(cycle[0]) || doc;
+    const message =
+      cycle === paths
+        ? `supersession chain exceeds ${MAX_SUPERSESSION_DEPTH} steps: ${paths.join(" → ")}`
+        : `supersession chain cycles: ${[...cycle, cycle[0]].join(" → ")}`;
+    finding("supersession-cycle", first, message, { cycle });
+  }
+
+  // Suppressed baseline docs still linked from docs other than their
+  // superseders. Backlinks are keyed by path, so a local doc at the same path
+  // (shadowing) doesn't count, and neither do links from shadowed docs.
+  const { suppressed } = applySupersedes(documents);
+  const suppressedPaths = new Set();
+  for (const doc of documents) {
+    if (doc.origin === "baseline" && doc.uri && suppressed[doc.uri] && byPath.get(doc.path) === doc) {
+      suppressedPaths.add(doc.path);
+    }
+  }
+  for (const path of suppressedPaths) {
+    const doc = byPath.get(path);
+    const replacement = suppressed[doc.uri];
+    const superseders = new Set((claims.get(doc.uri) || []).map((d) => d.path));
+    const citers = (index.backlinks?.[path] || []).filter(
+      (b) => !superseders.has(b.path) && !suppressedPaths.has(b.path) && byPath.get(b.path)?.origin === b.origin,
+    );
+    if (citers.length === 0) continue;
+    finding(
+      "superseded-still-linked",
+      doc,
+      `\`${doc.uri}\` is superseded by \`${replacement}\` but still linked from ${citers.length} doc(s)`,
+      {
+        superseded_by: replacement,
+        linked_from: citers.map((b) => ({ path: b.path, origin: b.origin, line: b.line })),
+      },
+    );
+  }
+
+  const byRule = {};
+  for (const f of findings) byRule[f.rule_id] = (byRule[f.rule_id] || 0) + 1;
+
+  return {
+    status: findings.length === 0 ? "OK" : "FINDINGS",
+    summary: {
+      total_findings: findings.length,
+      by_severity: {
+        error: findings.filter((f) => f.severity === "error").length,
+        warning: findings.filter((f) => f.severity === "warning").length,
+      },
+      by_rule: byRule,
+      docs_checked: visible.length,
+    },
+    findings,
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Resolve a reference to its current canonical document, walking
+ * supersession chains — the Node counterpart of the Worker's runResolve
+ * (workers/src/orchestrate.ts).
+ *
+ * The Worker follows `superseded_by` only. Here a document is superseded by
+ * either declaration, across local and baseline documents:
+ * - `superseded_by: <ref>` on the old document, or
+ * - `supersedes: <uri>` (string or list) on the new one — the field
+ *   applySupersedes uses for local → baseline overrides.
+ *
+ * Local documents shadow baseline documents at the same path or URI.
+ */
+
+import { uriToIndexPaths } from "../utils/extractLinks.js";
+import { isSourceFile, sourcePathCandidates, stripSourceExtension } from "../index/parsers.js";
+
+// Safety net against malformed canon; deeper chains count as circular
+export const MAX_SUPERSESSION_DEPTH = 16;
+
+/**
+ * A document's canonical URI: its declared `uri`, else derived from its path
+ * the way the Worker's index derives it (canon/x.md → klappy://canon/x), for
+ * every source format (docs/guide.adoc → klappy://docs/guide).
+ */
+export function canonicalUri(doc) {
+  return doc.uri || `klappy://${stripSourceExtension(doc.path)}`;
+}
+
+/**
+ * Public-friendly URL for a klappy:// URI (klappy://canon/x → /canon/x).
+ * Other schemes are returned unchanged.
+ */
+export function deriveUrl(uri) {
+  return uri.startsWith("klappy://") ? `/${uri.slice("klappy://".length)}` : uri;
+}
+
+function refList(value) {
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string" && v.length > 0);
+  return typeof value === "string" && value.length > 0 ? [value] : [];
+}
+
+/**
+ * Index documents for reference lookup and supersession.
+ *
+ * `lookup(ref)` accepts the shapes canon authors use (see the Worker's
+ * lookupSuccessor): a declared or path-derived URI, a repo path with or
+ * without its extension (".md" or another source format), or any klappy:// /
+ * odd:// / kb:// URI naming a path.
+ *
+ * `successorOf(doc)` returns the document that supersedes `doc`, if any:
+ * its own `superseded_by` wins; otherwise a document declaring `supersedes`
+ * for it (local first, then by path). `ref` is what the chain points at,
+ * and `doc` is null when that reference is not in the index.
+ *
+ * @param {Array} documents - Index documents
+ * @returns {{ lookup: (ref: string) => Object|null, successorOf: (doc: Object) => ({ via: "superseded_by"|"supersedes", ref: string, doc: Object|null, superseded_at?: string }|null) }}
+ */
+export function createDocLookup(documents) {
+  const byPath = new Map();
+  for (const doc of documents) {
+    if (!byPath.has(doc.path) || doc.origin === "local") byPath.set(doc.path, doc);
+  }
+  const byUri = new Map();
+  for (const doc of byPath.values()) {
+    const uri = canonicalUri(doc);
+    if (!byUri.has(uri) || doc.origin === "local") byUri.set(uri, doc);
+  }
+
+  const firstByPath = (paths) => paths.map((p) => byPath.get(p)).find(Boolean) || null;
+  const lookup = (ref) => {
+    if (!ref) return null;
+    const entry = byUri.get(ref) || byPath.get(ref);
+    if (entry) return entry;
+    if (/^(klappy|odd|kb):\/\//.test(ref)) return firstByPath(uriToIndexPaths(ref));
+    if (!isSourceFile(ref)) return firstByPath(sourcePathCandidates(ref)) || byUri.get(`klappy://${ref}`) || null;
+    return byUri.get(`klappy://${stripSourceExtension(ref)}`) || null;
+  };
+
+  // Superseded doc path → docs declaring `supersedes` for it
+  const supersededBy = new Map();
+  for (const doc of byPath.values()) {
+    for (const ref of refList(doc.supersedes)) {
+      const target = lookup(ref);
+      if (!target || target === doc) continue;
+      if (!supersededBy.has(target.path)) supersededBy.set(target.path, []);
+      supersededBy.get(target.path).push(doc);
+    }
+  }
+  for (const successors of supersededBy.values()) {
+    successors.sort(
+      (a, b) =>
+        (a.origin === "local" ? 0 : 1) - (b.origin === "local" ? 0 : 1) || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0),
+    );
+  }
+
+  const successorOf = (doc) => {
+    const fm = doc.frontmatter || {};
+    // YAML dates parse to Date on a fresh build and to ISO strings from a saved index
+    const at = fm.superseded_at instanceof Date ? fm.superseded_at.toISOString() : fm.superseded_at;
+    const supersededAt = typeof at === "string" ? { superseded_at: at } : {};
+    if (typeof fm.superseded_by === "string" && fm.superseded_by.length > 0) {
+      return { via: "superseded_by", ref: fm.superseded_by, doc: lookup(fm.superseded_by), ...supersededAt };
+    }
+    const successor = supersededBy.get(doc.path)?.[0];
+    if (successor) return { via: "supersedes", ref: canonicalUri(successor), doc: successor, ...supersededAt };
+    return null;
+  };
+
+  return { lookup, successorOf };
+}
+
+/**
+ * Walk a reference's supersession chain to its terminus.
+ *
+ * - NOT_FOUND: the reference names no indexed document
+ * - CIRCULAR_SUPERSESSION: the chain revisits a document, or is deeper than
+ *   MAX_SUPERSESSION_DEPTH
+ * - FOUND: `doc` is the terminus. When a successor reference is not in the
+ *   index, the chain stops at the last known document with a `warning`.
+ *
+ * Chain entries are the superseded documents in order, each with how it was
+ * superseded (`via`); a circular chain ends with the revisited document.
+ *
+ * @param {{ lookup: Function, successorOf: Function }} docLookup - From createDocLookup
+ * @param {string} ref
+ * @returns {{ status: "FOUND"|"NOT_FOUND"|"CIRCULAR_SUPERSESSION", doc?: Object, chain?: Array, warning?: string, message?: string }}
+ */
+export function resolveSupersession({ lookup, successorOf }, ref) {
+  const start = lookup(ref);
+  if (!start) return { status: "NOT_FOUND" };
+
+  const link = (doc, extra = {}) => ({ uri: canonicalUri(doc), path: doc.path, origin: doc.origin || "local", ...extra });
+  const chain = [];
+  const visited = new Set([start.path]);
+  let current = start;
+
+  for (let depth = 0; depth < MAX_SUPERSESSION_DEPTH; depth++) {
+    const next = successorOf(current);
+    if (!next) return { status: "FOUND", doc: current, chain };
+
+    if (!next.doc) {
+      return {
+        status: "FOUND",
+        doc: current,
+        chain,
+        warning: `${next.via} points at \`${next.ref}\` which is not in the index; chain truncated`,
+      };
+    }
+
+    chain.push(link(current, { via: next.via, ...(next.superseded_at ? { superseded_at: next.superseded_at } : {}) }));
+    if (visited.has(next.doc.path)) {
+      return { status: "CIRCULAR_SUPERSESSION", chain: [...chain, link(next.doc)], message: "supersession chain cycles" };
+    }
+    visited.add(next.doc.path);
+    current = next.doc;
+  }
+
+  if (successorOf(current)) {
+    return { status: "CIRCULAR_SUPERSESSION", chain, message: `chain exceeded MAX_DEPTH=${MAX_SUPERSESSION_DEPTH}` };
+  }
+  return { status: "FOUND", doc: current, chain };
+}
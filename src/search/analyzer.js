@@ -0,0 +1,240 @@
+/**
+ * Text analyzer for oddkit (Node CLI / stdio server)
+ *
+ * The single place text becomes match tokens. BM25 search (search/bm25.js)
+ * and the heuristic scorer behind orient/challenge/gate/encode/librarian
+ * (utils/scoring.js) both analyze through here, so they agree on what
+ * "matches" means.
+ *
+ * Pipeline: NFC-normalize and lowercase → split on whitespace, punctuation,
+ * hyphens, underscores and slashes (Unicode-aware, so accented letters are
+ * kept) → drop short tokens and stop words → Snowball stem.
+ *
+ * Analysis is per language. Documents carry a `lang` (frontmatter `lang:` or
+ * detected, see buildIndex.js) and are analyzed with that language's stop
+ * words and stemmer. Queries have no language, so they are analyzed under
+ * every language in play and matched against each document in its own.
+ *
+ * ANALYZER_VERSION is stamped into the index and the BM25 cache key; bump it
+ * whenever this pipeline's output can change so stale indexes rebuild.
+ */
+
+import { germanStem, porter2Stem, spanishStem } from "./stemmers.js";
+
+export { porter2Stem };
+
+export const ANALYZER_VERSION = "snowball-2";
+
+export const DEFAULT_LANGUAGE = "en";
+
+const DEFAULT_MIN_LENGTH = 2;
+
+// Common English stop words
+export const DEFAULT_STOP_WORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "been", "being",
+  "have", "has", "had", "do", "does", "did", "will", "would", "shall",
+  "should", "may", "might", "must", "can", "could", "of", "in", "to",
+  "for", "with", "on", "at", "by", "from", "as", "into", "through",
+  "and", "but", "or", "nor", "not", "no", "so", "if", "then", "than",
+  "that", "this", "it", "its", "we", "you", "he", "she", "they",
+]);
+
+const SPANISH_STOP_WORDS = new Set([
+  "de", "la", "que", "el", "en", "y", "a", "los", "del", "se", "las", "por", "un", "para", "con", "no",
+  "una", "su", "al", "lo", "como", "más", "pero", "sus", "le", "ya", "o", "u", "e", "este", "porque",
+  "esta", "entre", "cuando", "muy", "sin", "sobre", "también", "me", "hasta", "hay", "donde", "quien",
+  "desde", "todo", "nos", "durante", "todos", "uno", "les", "ni", "contra", "otros", "ese", "eso",
+  "ante", "ellos", "esto", "mí", "antes", "algunos", "qué", "unos", "yo", "otro", "otras", "otra", "él",
+  "tanto", "esa", "estos", "mucho", "quienes", "nada", "muchos", "cual", "poco", "ella", "estar",
+  "estas", "algunas", "algo", "nosotros", "mi", "mis", "tú", "te", "ti", "tu", "tus", "ellas", "os",
+  "es", "son", "fue", "era", "ser", "ha", "han", "he", "hemos", "está", "están", "estoy", "sí", "si",
+]);
+
+const GERMAN_STOP_WORDS = new Set([
+  "aber", "alle", "allem", "allen", "aller", "alles", "als", "also", "am", "an", "andere", "anderen",
+  "auch", "auf", "aus", "bei", "bin", "bis", "bist", "da", "damit", "dann", "der", "den", "des", "dem",
+  "die", "das", "dass", "daß", "dein", "deine", "dich", "dir", "doch", "dort", "du", "durch", "ein",
+  "eine", "einem", "einen", "einer", "eines", "er", "es", "euer", "eure", "für", "hat", "haben",
+  "hatte", "hier", "ich", "ihr", "ihre", "ihm", "ihn", "im", "in", "ist", "ja", "jede", "jedem",
+  "jeden", "jeder", "jedes", "kann", "kein", "keine", "man", "mein", "meine", "mich", "mir", "mit",
+  "muss", "nach", "nicht", "noch", "nun", "nur", "ob", "oder", "ohne", "sehr", "sein", "seine", "sich",
+  "sie", "sind", "so", "über", "um", "und", "uns", "unser", "unter", "vom", "von", "vor", "war",
+  "waren", "was", "weil", "wenn", "wer", "wie", "wir", "wird", "wo", "zu", "zum", "zur", "zwar",
+]);
+
+// Stop words and stemmer per supported language
+const LANGUAGES = {
+  en: { stopWords: DEFAULT_STOP_WORDS, stem: porter2Stem },
+  es: { stopWords: SPANISH_STOP_WORDS, stem: spanishStem },
+  de: { stopWords: GERMAN_STOP_WORDS, stem: germanStem },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Language names accepted in frontmatter besides ISO 639-1 codes
+const LANGUAGE_NAMES = {
+  english: "en",
+  spanish: "es",
+  español: "es",
+  espanol: "es",
+  castellano: "es",
+  german: "de",
+  deutsch: "de",
+};
+
+/**
+ * Normalize a frontmatter language value to a primary language code
+ * ("es-MX" → "es", "Deutsch" → "de"). Unsupported codes are kept as-is and
+ * analyzed without stemming or stop words.
+ *
+ * @param {*} value
+ * @returns {string|null} null when the value is empty or not a string
+ */
+export function normalizeLanguage(value) {
+  if (typeof value !== "string") return null;
+  const lower = value.trim().toLowerCase();
+  if (!lower) return null;
+  if (LANGUAGE_NAMES[lower]) return LANGUAGE_NAMES[lower];
+  return lower.split(/[-_]/)[0];
+}
+
+// Detection samples this many words and needs this many stop-word hits
+const DETECT_SAMPLE_WORDS = 400;
+const DETECT_MIN_HITS = 5;
+
+/**
+ * Guess a document's language from stop-word frequency. English wins unless
+ * another supported language clearly has more hits, so short or ambiguous
+ * text stays on the default analyzer.
+ *
+ * @param {string} text
+ * @returns {string} Language code from SUPPORTED_LANGUAGES
+ */
+export function detectLanguage(text) {
+  const sample = surfaceWords(text, 1).slice(0, DETECT_SAMPLE_WORDS);
+  const hits = Object.fromEntries(SUPPORTED_LANGUAGES.map((lang) => [lang, 0]));
+  for (const word of sample) {
+    for (const lang of SUPPORTED_LANGUAGES) {
+      if (LANGUAGES[lang].stopWords.has(word)) hits[lang]++;
+    }
+  }
+  let best = DEFAULT_LANGUAGE;
+  for (const lang of SUPPORTED_LANGUAGES) {
+    if (hits[lang] >= DETECT_MIN_HITS && hits[lang] > hits[best] * 1.5) best = lang;
+  }
+  return best;
+}
+
+/** Lowercased words split on punctuation, hyphens, underscores and slashes */
+function surfaceWords(text, minLength, joinCompounds = false) {
+  if (!text) return [];
+  const out = [];
+  const cleaned = String(text)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/[^\p{L}\p{M}\p{N}\s\-_/']/gu, " ");
+  for (const chunk of cleaned.split(/\s+/)) {
+    const parts = chunk.split(/[-_/]+/).map((p) => p.replace(/^'+|'+$/g, "")).filter(Boolean);
+    if (joinCompounds && parts.length > 1) parts.push(parts.join(""));
+    for (const part of parts) {
+      if (part.length >= minLength) out.push(part);
+    }
+  }
+  return out;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Analyzer
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an analyzer.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.lang="en"] - Language whose stop words and stemmer apply
+ * @param {Set<string>} [options.stopWords] - Override the language's stop words
+ * @param {number} [options.minLength=2] - Shortest token kept
+ * @param {boolean} [options.stem=true] - Apply the language's stemmer
+ * @param {boolean} [options.joinCompounds=false] - Also emit hyphen/underscore
+ *   compounds joined ("anti-pattern" → "anti", "pattern", "antipattern")
+ * @returns {{ lang: string, stopWords: Set<string>, words: (text: string) => string[], tokenize: (text: string) => string[], stem: (word: string) => string }}
+ */
+export function createAnalyzer({
+  lang = DEFAULT_LANGUAGE,
+  stopWords = LANGUAGES[lang]?.stopWords || new Set(),
+  minLength = DEFAULT_MIN_LENGTH,
+  stem = true,
+  joinCompounds = false,
+} = {}) {
+  const stemWord = stem && LANGUAGES[lang] ? LANGUAGES[lang].stem : (w) => w;
+
+  /** Surface words, split and stop-word filtered but not stemmed */
+  const words = (text) => surfaceWords(text, minLength, joinCompounds).filter((w) => !stopWords.has(w));
+
+  return {
+    lang,
+    stopWords,
+    words,
+    tokenize: (text) => words(text).map(stemWord),
+    stem: stemWord,
+  };
+}
+
+/** The analyzer for documents without a language */
+export const defaultAnalyzer = createAnalyzer();
+
+const analyzers = new Map([[DEFAULT_LANGUAGE, defaultAnalyzer]]);
+
+/** Shared default-options analyzer for a language (falls back to English when unset) */
+export function analyzerFor(lang) {
+  const key = lang || DEFAULT_LANGUAGE;
+  if (!analyzers.has(key)) analyzers.set(key, createAnalyzer({ lang: key }));
+  return analyzers.get(key);
+}
+
+/** Tokenize and stem text with a language's analyzer (English by default) */
+export function tokenize(text, lang) {
+  return analyzerFor(lang).tokenize(text);
+}
+
+/** Stem a single lowercase word with the default analyzer's stemmer */
+export function stem(word) {
+  return defaultAnalyzer.stem(word);
+}
+
+/**
+ * Analyze query text under several languages at once. Each surface word
+ * yields its distinct stems across `langs`; a word that is a stop word in any
+ * of them is dropped, so language-specific expansions (typo correction,
+ * prefixes) never fire on another language's function words.
+ *
+ * @param {string} text
+ * @param {string[]} [langs=["en"]]
+ * @returns {Array<{ word: string, variants: string[] }>}
+ */
+export function analyzeQuery(text, langs = [DEFAULT_LANGUAGE]) {
+  const active = langs.map(analyzerFor);
+  const out = [];
+  for (const word of surfaceWords(text, DEFAULT_MIN_LENGTH)) {
+    if (active.some((a) => a.stopWords.has(word))) continue;
+    out.push({ word, variants: [...new Set(active.map((a) => a.stem(word)))] });
+  }
+  return out;
+}
+
+/**
+ * Query tokens for the heuristic scorer: every stem the query's words take in
+ * any supported language, so documents match in their own language. Stop
+ * words are dropped per language; a document never indexes its own.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeQuery(text) {
+  const tokens = new Set();
+  for (const lang of SUPPORTED_LANGUAGES) {
+    for (const token of analyzerFor(lang).tokenize(text)) tokens.add(token);
+  }
+  return [...tokens];
+}
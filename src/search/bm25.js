@@ -1,130 +1,671 @@
 /**
  * Minimal BM25 search implementation for oddkit (Node/stdio server)
  *
- * Indexes documents by title, path, tags, and content excerpt.
- * Uses Porter-style stemming and BM25 scoring.
+ * Indexes {id, text} entries — callers chunk documents by heading section
+ * (see core/actions.js getBM25Index), so ids are section ids, not paths.
+ * Text is analyzed by search/analyzer.js (Porter2 stemming) and ranked by BM25.
  */
 
+import { DEFAULT_LANGUAGE, analyzeQuery, analyzerFor, stem, tokenize } from "./analyzer.js";
+
 // BM25 parameters
 const K1 = 1.2;
 const B = 0.75;
 
-// Common English stop words to filter
-const STOP_WORDS = new Set([
-  "a", "an", "the", "is", "are", "was", "were", "be", "been", "being",
-  "have", "has", "had", "do", "does", "did", "will", "would", "shall",
-  "should", "may", "might", "must", "can", "could", "of", "in", "to",
-  "for", "with", "on", "at", "by", "from", "as", "into", "through",
-  "and", "but", "or", "nor", "not", "no", "so", "if", "then", "than",
-  "that", "this", "it", "its", "we", "you", "he", "she", "they",
-]);
-
-/** Minimal Porter-style stemmer */
-export function stem(word) {
-  if (word.length < 4) return word;
-  return word
-    .replace(/ies$/, "y")
-    .replace(/ied$/, "y")
-    .replace(/([^aeiou])ed$/, "$1")
-    .replace(/(ing|tion|ment|ness|able|ible)$/, "")
-    .replace(/s$/, "");
-}
-
-/** Tokenize and stem text, removing stop words */
-export function tokenize(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, " ")
-    .split(/[\s\-_/]+/)
-    .filter((t) => t.length > 1 && !STOP_WORDS.has(t))
-    .map(stem);
+// Tokenization and stemming live in the shared analyzer (search/analyzer.js);
+// re-exported so existing importers keep working.
+export { stem, tokenize };
+
+/** Languages present in a set of entries, English first, then alphabetical */
+function indexLanguages(docs) {
+  const langs = new Set(docs.map((d) => d.lang));
+  return [...langs].sort((a, b) => (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : a < b ? -1 : 1));
 }
 
-/** Build BM25 index from {id, text} pairs */
+/**
+ * Build BM25 index from {id, text, lang?, fields?} entries. Each entry is
+ * analyzed in its own language (default English). `fields` holds the
+ * filterable metadata the query language matches against (see QUERY_FIELDS).
+ */
 export function buildBM25Index(documents) {
   const docs = [];
   const df = new Map();
   let totalLength = 0;
 
   for (const doc of documents) {
-    const terms = tokenize(doc.text);
-    docs.push({ id: doc.id, terms, length: terms.length, originalText: doc.text });
+    const lang = doc.lang || DEFAULT_LANGUAGE;
+    const terms = tokenize(doc.text, lang);
+    const tf = new Map();
+    for (const term of terms) {
+      tf.set(term, (tf.get(term) || 0) + 1);
+    }
+    docs.push({ id: doc.id, lang, tf, length: terms.length, originalText: doc.text, fields: doc.fields || {} });
     totalLength += terms.length;
 
-    const seen = new Set();
-    for (const term of terms) {
-      if (!seen.has(term)) {
-        seen.add(term);
-        df.set(term, (df.get(term) || 0) + 1);
-      }
+    for (const term of tf.keys()) {
+      df.set(term, (df.get(term) || 0) + 1);
     }
   }
 
   return {
     docs,
     df,
+    langs: indexLanguages(docs),
     avgdl: documents.length > 0 ? totalLength / documents.length : 0,
     N: documents.length,
   };
 }
 
+/**
+ * Serialize a BM25 index to a JSON-safe object: per-entry term frequencies
+ * (postings), lengths and text, plus the corpus document frequencies.
+ * Round-trips through deserializeBM25Index.
+ */
+export function serializeBM25Index(index) {
+  return {
+    N: index.N,
+    avgdl: index.avgdl,
+    df: Object.fromEntries(index.df),
+    docs: index.docs.map((d) => ({
+      id: d.id,
+      lang: d.lang,
+      length: d.length,
+      tf: Object.fromEntries(d.tf),
+      text: d.originalText,
+      fields: d.fields,
+    })),
+  };
+}
+
+/** Rebuild a searchable BM25 index from serializeBM25Index output */
+export function deserializeBM25Index(data) {
+  const docs = data.docs.map((d) => ({
+    id: d.id,
+    lang: d.lang || DEFAULT_LANGUAGE,
+    length: d.length,
+    tf: new Map(Object.entries(d.tf)),
+    originalText: d.text,
+    fields: d.fields || {},
+  }));
+  return {
+    N: data.N,
+    avgdl: data.avgdl,
+    df: new Map(Object.entries(data.df)),
+    langs: indexLanguages(docs),
+    docs,
+  };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Query language
+//
+//   deploy rollback            free terms — ranked by BM25 (any may match)
+//   "definition of done"       phrase — must appear (whitespace/punctuation-insensitive)
+//   tag:constraints            field filter — must match (see QUERY_FIELDS)
+//   -draft  -"old name"        negation — entries matching are excluded
+//   tag:a OR tag:b             OR — at least one side must match
+//
+// Phrases and field filters are required; free terms only rank, unless they
+// sit in an OR group with a required clause (then the group is satisfied by
+// any member). A query of only filters returns every matching entry.
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Field prefix (and aliases) → field name on indexed entries
+const QUERY_FIELDS = {
+  tag: "tags",
+  tags: "tags",
+  path: "path",
+  authority: "authority_band",
+  authority_band: "authority_band",
+  intent: "intent",
+  origin: "origin",
+  uri: "uri",
+  evidence: "evidence",
+  lang: "lang",
+};
+
+// path and uri filters match by prefix; every other field matches exactly
+const PREFIX_FIELDS = new Set(["path", "uri"]);
+
+const QUERY_TOKEN_RE = /(-?)(?:([A-Za-z_]+):)?(?:"([^"]*)"|(\S+))/g;
+
+/** Lowercase and collapse punctuation/whitespace so phrases match across formatting */
+function normalizePhraseText(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}_]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Parse a search query into scoring text and match constraints.
+ *
+ * @param {string} query
+ * @returns {{
+ *   text: string,
+ *   required: Array<Array<{ kind: "term"|"phrase"|"field", field?: string, value: string }>>,
+ *   excluded: Array<{ kind: "term"|"phrase"|"field", field?: string, value: string }>,
+ *   freeText: boolean,
+ *   hasOperators: boolean,
+ * }}
+ *   `text` is the positive term/phrase text fed to BM25; `required` is a list of
+ *   OR groups that must each match; `freeText` is true when some scoring text
+ *   sits outside every required group (those entries must then score > 0).
+ */
+export function parseQuery(query) {
+  const groups = [];
+  const excluded = [];
+  let pendingOr = false;
+  let hasOperators = false;
+
+  for (const m of String(query || "").matchAll(QUERY_TOKEN_RE)) {
+    const [raw, neg, prefix, quoted, bare] = m;
+    const field = prefix ? QUERY_FIELDS[prefix.toLowerCase()] : null;
+
+    if (!neg && !prefix && quoted === undefined && bare === "OR") {
+      pendingOr = groups.length > 0;
+      hasOperators = true;
+      continue;
+    }
+
+    let clause;
+    if (field) {
+      const value = quoted ?? bare;
+      if (!value) continue;
+      clause = { kind: "field", field, value: value.toLowerCase() };
+    } else if (prefix) {
+      // Unknown prefix (e.g. "note:" or a URI scheme) — keep it as plain text
+      clause = { kind: "term", value: raw.slice(neg.length) };
+    } else if (quoted !== undefined) {
+      if (!normalizePhraseText(quoted)) continue;
+      clause = { kind: "phrase", value: quoted };
+    } else {
+      clause = { kind: "term", value: bare };
+    }
+    if (clause.kind !== "term") hasOperators = true;
+
+    if (neg) {
+      hasOperators = true;
+      excluded.push(clause);
+      pendingOr = false;
+      continue;
+    }
+
+    if (pendingOr) groups[groups.length - 1].push(clause);
+    else groups.push([clause]);
+    pendingOr = false;
+  }
+
+  const required = groups.filter((g) => g.some((c) => c.kind !== "term"));
+  const scoring = (g) => g.filter((c) => c.kind !== "field").map((c) => c.value);
+  const text = groups.flatMap(scoring).join(" ");
+  const freeText = groups
+    .filter((g) => !required.includes(g))
+    .some((g) => tokenize(scoring(g).join(" ")).length > 0);
+
+  return { text, required, excluded, freeText, hasOperators };
+}
+
+// Structured filter parameter → indexed field (search action filter params)
+const FILTER_PARAMS = {
+  tags: "tags",
+  authority_band: "authority_band",
+  intent: "intent",
+  origin: "origin",
+  path_prefix: "path",
+  evidence: "evidence",
+};
+
+/**
+ * Turn structured filter parameters into required clause groups, in the same
+ * shape parseQuery produces. Each filter may be a string, a comma-separated
+ * string, or an array: values within one filter are ORed, separate filters
+ * are ANDed.
+ *
+ * @param {Object} filters - Any of tags, authority_band, intent, origin, path_prefix, evidence
+ * @returns {Array<Array<{ kind: "field", field: string, value: string }>>}
+ */
+export function filterClauses(filters = {}) {
+  const groups = [];
+  for (const [param, field] of Object.entries(FILTER_PARAMS)) {
+    const raw = filters[param];
+    if (raw == null) continue;
+    const values = (Array.isArray(raw) ? raw : String(raw).split(","))
+      .map((v) => String(v).trim().toLowerCase())
+      .filter(Boolean);
+    if (values.length > 0) groups.push(values.map((value) => ({ kind: "field", field, value })));
+  }
+  return groups;
+}
+
+/**
+ * Does an indexed entry satisfy a parsed query's required groups and
+ * exclusions? Scoring is separate — see searchBM25 and search/semantic.js.
+ */
+export function matchesConstraints(parsed, doc) {
+  if (parsed.excluded.some((c) => clauseMatches(c, doc))) return false;
+  return parsed.required.every((group) => group.some((c) => clauseMatches(c, doc)));
+}
+
+/** Does a single query clause match an indexed entry? */
+function clauseMatches(clause, doc) {
+  if (clause.kind === "term") {
+    const terms = tokenize(clause.value, doc.lang);
+    return terms.length > 0 && terms.every((t) => doc.tf.has(t));
+  }
+  if (clause.kind === "phrase") {
+    return ` ${normalizePhraseText(doc.originalText)} `.includes(` ${normalizePhraseText(clause.value)} `);
+  }
+  const raw = doc.fields?.[clause.field];
+  const values = (Array.isArray(raw) ? raw : [raw]).filter((v) => v != null).map((v) => String(v).toLowerCase());
+  return PREFIX_FIELDS.has(clause.field)
+    ? values.some((v) => v.startsWith(clause.value))
+    : values.includes(clause.value);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Typo and prefix tolerance
+//
+// A query term with no postings is expanded against the corpus term dictionary
+// (the df keys): first to dictionary terms it is a prefix of, then to terms
+// within a bounded edit distance. Expanded terms score at a fraction of an
+// exact match, so corrected hits rank below exact ones.
+// ──────────────────────────────────────────────────────────────────────────────
+
+const PREFIX_WEIGHT = 0.6;
+const FUZZY_WEIGHTS = [1, 0.5, 0.3]; // by edit distance (0 = exact)
+const MAX_EXPANSIONS = 3;
+const MIN_PREFIX_LENGTH = 3;
+const MIN_FUZZY_LENGTH = 4;
+
+// Typical suffix length stem() strips ("ation", "ment", ...). A typo inside a
+// suffix stops the stemmer from removing it ("exploraton" stays unstemmed while
+// "exploration" indexes as "explor"), so a query term that extends a
+// dictionary stem by at most this many characters counts as one edit away.
+const MAX_STEM_SUFFIX = 4;
+
+/** Max edit distance allowed for a term of this length */
+function maxEditDistance(length) {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length >= 8 ? 2 : 1;
+}
+
+/**
+ * Optimal-string-alignment distance (Levenshtein plus adjacent transposition),
+ * abandoned early once every cell in a row exceeds `max`.
+ * Returns max + 1 when the distance is larger than `max`.
+ */
+export function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Synonym expansions (canon synonym map, frontmatter aliases) score at this
+// fraction of a literal term, so literal matches always rank first.
+const SYNONYM_WEIGHT = 0.5;
+
+/**
+ * Index of `needle` as a consecutive run inside `haystack`, or -1. Both are
+ * analyzeQuery() words; two words match when they share a stem variant.
+ */
+function findWordRun(haystack, needle) {
+  outer: for (let i = 0; i + needle.length <= haystack.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (!haystack[i + j].variants.some((v) => needle[j].variants.includes(v))) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Prefix or edit-distance correction for a query term with no postings.
+ *
+ * @returns {{ term: string, kind: "prefix"|"fuzzy", expanded: Array, weights: number[] }|null}
+ */
+function correctTerm(index, qterm) {
+  if (qterm.length >= MIN_PREFIX_LENGTH) {
+    const prefixed = [];
+    for (const [term, n] of index.df) {
+      if (term.startsWith(qterm)) prefixed.push({ term, n });
+    }
+    if (prefixed.length > 0) {
+      prefixed.sort((a, b) => b.n - a.n || (a.term < b.term ? -1 : 1));
+      return {
+        term: qterm,
+        kind: "prefix",
+        expanded: prefixed.slice(0, MAX_EXPANSIONS).map(({ term }) => ({ term })),
+        weights: prefixed.slice(0, MAX_EXPANSIONS).map(() => PREFIX_WEIGHT),
+      };
+    }
+  }
+
+  const max = maxEditDistance(qterm.length);
+  if (max === 0) return null;
+  const near = [];
+  for (const [term, n] of index.df) {
+    let distance = boundedEditDistance(qterm, term, max);
+    const overhang = qterm.length - term.length;
+    if (distance > 1 && overhang > 0 && overhang <= MAX_STEM_SUFFIX && term.length >= MIN_FUZZY_LENGTH && qterm.startsWith(term)) {
+      distance = 1;
+    }
+    if (distance <= max) near.push({ term, n, distance });
+  }
+  if (near.length === 0) return null;
+  near.sort((a, b) => a.distance - b.distance || b.n - a.n || (a.term < b.term ? -1 : 1));
+  const best = near.slice(0, MAX_EXPANSIONS);
+  return {
+    term: qterm,
+    kind: "fuzzy",
+    expanded: best.map(({ term, distance }) => ({ term, distance })),
+    weights: best.map(({ distance }) => FUZZY_WEIGHTS[distance]),
+  };
+}
+
+/**
+ * Weight query terms for scoring: literal terms at full weight, synonyms of
+ * literal phrases below them, and typo/prefix expansions for terms with no
+ * postings (and no synonym) below that.
+ *
+ * The query is analyzed under every language in the index (see
+ * analyzer.js analyzeQuery); a word counts as literal when any of its
+ * language stems has postings, and is only corrected when none does.
+ *
+ * @param {Object} index - BM25 index
+ * @param {Object} parsed - parseQuery() result
+ * @param {Object} [options]
+ * @param {Array<{ terms: string[], source: string }>} [options.synonyms] - Synonym groups;
+ *   a query containing any member (as a token run) also searches the other members
+ * @returns {{
+ *   terms: Array<{ term: string, weight: number }>,
+ *   corrections: Array<{ term: string, kind: "prefix"|"fuzzy", expanded: Array<{ term: string, distance?: number }> }>,
+ *   synonyms: Array<{ matched: string, expanded: string[], source: string }>,
+ * }}
+ */
+export function expandQueryTerms(index, parsed, { synonyms = [] } = {}) {
+  const langs = index.langs || [DEFAULT_LANGUAGE];
+  const queryWords = analyzeQuery(parsed.text, langs);
+  const queryVariants = new Set(queryWords.flatMap((w) => w.variants));
+  const terms = [];
+  const corrections = [];
+  const synonymsFired = [];
+
+  // Synonyms first, on the literal query: note which words they explain
+  const coveredWords = new Set();
+  const synonymTerms = new Set();
+  for (const group of synonyms) {
+    const members = group.terms.map((t) => ({ text: t, words: analyzeQuery(t, langs) })).filter((m) => m.words.length > 0);
+    for (const member of members) {
+      const at = findWordRun(queryWords, member.words);
+      if (at === -1) continue;
+      for (let i = at; i < at + member.words.length; i++) coveredWords.add(queryWords[i].word);
+      const others = members.filter((m) => m !== member);
+      for (const other of others) {
+        for (const t of other.words.flatMap((w) => w.variants)) {
+          if (!queryVariants.has(t) && index.df.has(t)) synonymTerms.add(t);
+        }
+      }
+      synonymsFired.push({ matched: member.text, expanded: others.map((m) => m.text), source: group.source });
+      break;
+    }
+  }
+  const correctionCache = new Map();
+
+  for (const { word, variants } of queryWords) {
+    const literal = variants.filter((v) => index.df.has(v));
+    if (literal.length > 0) {
+      for (const term of literal) terms.push({ term, weight: 1 });
+      continue;
+    }
+    if (coveredWords.has(word)) continue;
+
+    if (!correctionCache.has(word)) {
+      let correction = null;
+      for (const variant of variants) {
+        correction = correctTerm(index, variant);
+        if (correction) break;
+      }
+      correctionCache.set(word, correction);
+      if (correction) {
+        const { weights, ...reported } = correction;
+        corrections.push(reported);
+      }
+    }
+
+    const correction = correctionCache.get(word);
+    if (correction) {
+      correction.expanded.forEach(({ term }, i) => terms.push({ term, weight: correction.weights[i] }));
+    }
+  }
+
+  for (const term of synonymTerms) terms.push({ term, weight: SYNONYM_WEIGHT });
+
+  return { terms, corrections, synonyms: synonymsFired };
+}
+
 // Phrase boost constants — supplement BM25, never replace it.
 // Exact: full query string found as substring in doc text.
 // Partial: any consecutive two-word query bigram found in doc text.
 const PHRASE_BOOST_EXACT = 5.0;
 const PHRASE_BOOST_PARTIAL = 2.0;
 
-/** Search BM25 index, return sorted {id, score} pairs */
-export function searchBM25(index, query, limit = 5) {
-  const queryTerms = tokenize(query);
-  if (queryTerms.length === 0) return [];
+/** Per-query phrase matching inputs, computed once outside the per-doc loop */
+function phraseContext(parsed) {
+  // Bigram words are per language: each language drops its own stop words.
+  const wordsByLang = new Map();
+  return {
+    queryLower: parsed.text.toLowerCase(),
+    wordsFor(lang) {
+      if (!wordsByLang.has(lang)) wordsByLang.set(lang, analyzerFor(lang).words(parsed.text));
+      return wordsByLang.get(lang);
+    },
+  };
+}
+
+/** BM25 idf for a term found in `n` entries */
+function inverseDocFrequency(index, n) {
+  return Math.log((index.N - n + 0.5) / (n + 0.5) + 1);
+}
+
+/**
+ * Score one entry. When `explain` is an object it is filled with the
+ * per-term breakdown and phrase boost (see explainBM25). A null `phrase`
+ * skips the phrase boost.
+ */
+function scoreEntry(index, doc, queryTerms, phrase, explain = null) {
+  let score = 0;
+  const tf = doc.tf;
+  const lengthNorm = 1 - B + (B * doc.length) / index.avgdl;
+
+  for (const { term: qterm, weight } of queryTerms) {
+    const n = index.df.get(qterm) || 0;
+    if (n === 0) continue;
+
+    const idf = inverseDocFrequency(index, n);
+    const freq = tf.get(qterm) || 0;
+    const tfNorm = (freq * (K1 + 1)) / (freq + K1 * lengthNorm);
+
+    score += weight * idf * tfNorm;
+    explain?.terms.push({ term: qterm, weight, tf: freq, df: n, idf, length_norm: lengthNorm, tf_norm: tfNorm, contribution: weight * idf * tfNorm });
+  }
 
-  // Pre-compute phrase matching inputs once, outside the per-doc loop.
-  const queryLower = query.toLowerCase();
-  const queryWords = queryLower.replace(/[^\w\s-]/g, " ").split(/[\s\-_/]+/).filter((w) => w.length > 1 && !STOP_WORDS.has(w));
+  // Phrase boost: supplement BM25 — never replace it.
+  // Only apply when the document already has genuine BM25 relevance.
+  let boost = 0;
+  let boostKind = null;
+  if (score > 0 && phrase) {
+    const docLower = doc.originalText.toLowerCase();
+    const queryWords = phrase.wordsFor(doc.lang);
+    if (docLower.includes(phrase.queryLower)) {
+      boost = PHRASE_BOOST_EXACT;
+      boostKind = "exact";
+    } else if (queryWords.length >= 2) {
+      for (let i = 0; i < queryWords.length - 1; i++) {
+        const bigram = queryWords[i] + " " + queryWords[i + 1];
+        if (docLower.includes(bigram)) {
+          boost = PHRASE_BOOST_PARTIAL;
+          boostKind = `bigram:${bigram}`;
+          break;
+        }
+      }
+    }
+  }
+  if (explain) explain.phrase_boost = { kind: boostKind, boost };
+
+  return score + boost;
+}
 
+/**
+ * Search BM25 index, return sorted {id, score} pairs.
+ *
+ * @param {Object} index - From buildBM25Index / deserializeBM25Index
+ * @param {string|Object} query - Raw query string, or a parseQuery() result
+ *   (optionally carrying a precomputed `expansion` from expandQueryTerms)
+ * @param {number} [limit=5]
+ */
+export function searchBM25(index, query, limit = 5) {
+  const parsed = typeof query === "string" ? parseQuery(query) : query;
+  const queryTerms = (parsed.expansion || expandQueryTerms(index, parsed)).terms;
+  if (queryTerms.length === 0 && parsed.required.length === 0 && parsed.excluded.length === 0) {
+    return [];
+  }
+
+  const phrase = phraseContext(parsed);
   const scores = [];
 
   for (const doc of index.docs) {
-    let score = 0;
+    if (!matchesConstraints(parsed, doc)) continue;
 
-    const tf = new Map();
-    for (const term of doc.terms) {
-      tf.set(term, (tf.get(term) || 0) + 1);
-    }
+    const score = scoreEntry(index, doc, queryTerms, phrase);
 
-    for (const qterm of queryTerms) {
-      const n = index.df.get(qterm) || 0;
-      if (n === 0) continue;
+    // Entries admitted purely by required clauses (filter-only queries, or
+    // OR groups satisfied by a filter) are kept even without a BM25 score.
+    if (score > 0 || !parsed.freeText) scores.push({ id: doc.id, score });
+  }
 
-      const idf = Math.log((index.N - n + 0.5) / (n + 0.5) + 1);
-      const freq = tf.get(qterm) || 0;
-      const tfNorm =
-        (freq * (K1 + 1)) /
-        (freq + K1 * (1 - B + (B * doc.length) / index.avgdl));
+  // Ties break on id so ordering is stable across processes (pagination relies on it)
+  return scores
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .slice(0, limit);
+}
 
-      score += idf * tfNorm;
-    }
+/**
+ * Explain an entry's BM25 score: each query term's weight, tf, df, idf,
+ * length normalization (1 - b + b·|d|/avgdl) and contribution, plus the
+ * phrase boost. Contributions and boost sum to `score`, which equals the
+ * entry's searchBM25 score.
+ *
+ * @param {Object} index - BM25 index
+ * @param {string|Object} query - As for searchBM25
+ * @param {string} id - Entry id
+ * @returns {Object|null} null when the id is not in the index
+ */
+export function explainBM25(index, query, id) {
+  const doc = index.docs.find((d) => d.id === id);
+  if (!doc) return null;
+  const parsed = typeof query === "string" ? parseQuery(query) : query;
+  const queryTerms = (parsed.expansion || expandQueryTerms(index, parsed)).terms;
 
-    // Phrase boost: supplement BM25 — never replace it.
-    // Only apply when the document already has genuine BM25 relevance.
-    if (score > 0) {
-      const docLower = doc.originalText.toLowerCase();
-      if (docLower.includes(queryLower)) {
-        score += PHRASE_BOOST_EXACT;
-      } else if (queryWords.length >= 2) {
-        for (let i = 0; i < queryWords.length - 1; i++) {
-          const bigram = queryWords[i] + " " + queryWords[i + 1];
-          if (docLower.includes(bigram)) {
-            score += PHRASE_BOOST_PARTIAL;
-            break;
-          }
-        }
-      }
-    }
+  const explain = { terms: [], phrase_boost: null };
+  const score = scoreEntry(index, doc, queryTerms, phraseContext(parsed), explain);
+  return {
+    score,
+    k1: K1,
+    b: B,
+    doc_length: doc.length,
+    avgdl: index.avgdl,
+    N: index.N,
+    lang: doc.lang,
+    ...explain,
+  };
+}
 
-    if (score > 0) scores.push({ id: doc.id, score });
+// ──────────────────────────────────────────────────────────────────────────────
+// More like this — related documents
+// ──────────────────────────────────────────────────────────────────────────────
+
+const RELATED_MAX_TERMS = 25; // most distinctive body terms kept in the query
+const RELATED_FIELD_WEIGHT = 2; // tag and heading terms
+const RELATED_SHARED_TERMS = 5; // shared terms reported per result
+const RELATED_MAX_DF_RATIO = 0.8; // terms in more entries than this are boilerplate ("md", "canon")
+
+/**
+ * Build a "more like this" query from a document's own entries: its most
+ * distinctive terms (tf × idf summed over all of its sections), plus every
+ * tag and heading term at double weight. Terms found in nearly every entry
+ * (path boilerplate) are skipped, like MoreLikeThis's max doc frequency.
+ * Terms are analyzed in the source document's language.
+ *
+ * @param {Object} index - BM25 index
+ * @param {string[]} ids - Entry ids of the source document's sections
+ * @param {{ tags?: string[], headings?: string[], lang?: string }} [fields]
+ * @returns {Array<{ term: string, weight: number }>} Query terms, as in expandQueryTerms().terms
+ */
+export function relatedQueryTerms(index, ids, { tags = [], headings = [], lang } = {}) {
+  const wanted = new Set(ids);
+  const tf = new Map();
+  for (const doc of index.docs) {
+    if (!wanted.has(doc.id)) continue;
+    for (const [term, freq] of doc.tf) tf.set(term, (tf.get(term) || 0) + freq);
   }
 
-  return scores.sort((a, b) => b.score - a.score).slice(0, limit);
+  const maxDf = index.N * RELATED_MAX_DF_RATIO;
+  const distinctive = (term) => (index.df.get(term) || 0) <= maxDf;
+  const ranked = [...tf]
+    .filter(([term]) => distinctive(term))
+    .map(([term, freq]) => ({ term, weight: freq * inverseDocFrequency(index, index.df.get(term) || 0) }))
+    .sort((a, b) => b.weight - a.weight || (a.term < b.term ? -1 : a.term > b.term ? 1 : 0))
+    .slice(0, RELATED_MAX_TERMS);
+
+  const weights = new Map(ranked.map(({ term }) => [term, 1]));
+  for (const term of tokenize([...tags, ...headings].join(" "), lang)) {
+    if (index.df.has(term) && distinctive(term)) weights.set(term, RELATED_FIELD_WEIGHT);
+  }
+  return [...weights].map(([term, weight]) => ({ term, weight }));
+}
+
+/**
+ * Rank entries against a "more like this" query. The query is a term
+ * vector, not text, so no phrase boost applies. Each result lists the query
+ * terms that contributed most to its score.
+ *
+ * @param {Object} index - BM25 index
+ * @param {Array<{ term: string, weight: number }>} queryTerms - From relatedQueryTerms
+ * @param {Set<string>} [excludeIds] - Entry ids to skip (the source document's own)
+ * @returns {Array<{ id: string, score: number, shared_terms: string[] }>} Sorted like searchBM25
+ */
+export function searchRelated(index, queryTerms, excludeIds = new Set()) {
+  const results = [];
+  for (const doc of index.docs) {
+    if (excludeIds.has(doc.id)) continue;
+    const explain = { terms: [] };
+    const score = scoreEntry(index, doc, queryTerms, null, explain);
+    if (score <= 0) continue;
+    const shared = explain.terms
+      .filter((t) => t.tf > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, RELATED_SHARED_TERMS)
+      .map((t) => t.term);
+    results.push({ id: doc.id, score, shared_terms: shared });
+  }
+  return results.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
 }
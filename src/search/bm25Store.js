@@ -0,0 +1,163 @@
+/**
+ * On-disk search index cache for oddkit (Node CLI / stdio server)
+ *
+ * Serialized BM25 indexes (and semantic vectors, when requested) live next to
+ * the SHA-keyed baseline indexes under ~/.oddkit/cache/indexes/, so a fresh
+ * CLI process can search without re-tokenizing the corpus.
+ *
+ * Content-addressed: one slot per (kind, baseline SHA, repo root). The slot
+ * stores a fingerprint of every indexed document's content hash; a load only
+ * succeeds when the fingerprint (and serialization format) match exactly.
+ * No TTL: writing a slot removes the repo's slots for other baseline SHAs,
+ * so each repo keeps only its current index on disk.
+ */
+
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { join, resolve } from "path";
+import { serializeBM25Index, deserializeBM25Index } from "./bm25.js";
+import { SEMANTIC_FORMAT_VERSION, serializeSemanticIndex, deserializeSemanticIndex } from "./semantic.js";
+import { ANALYZER_VERSION } from "./analyzer.js";
+
+// Bump when the serialized shape or the way callers compose entry text
+// changes — stale files are then ignored and overwritten. Analyzer changes
+// are covered by ANALYZER_VERSION in the slot format below.
+export const BM25_FORMAT_VERSION = "5"; // 5: per-entry language
+
+const BM25_SLOT_FORMAT = `${BM25_FORMAT_VERSION}+${ANALYZER_VERSION}`;
+
+function getIndexCacheDir() {
+  return join(homedir(), ".oddkit", "cache", "indexes");
+}
+
+function repoCacheKey(repoRoot) {
+  return createHash("sha256").update(resolve(repoRoot)).digest("hex").slice(0, 12);
+}
+
+function cacheSlotPath(kind, baselineSha, repoRoot) {
+  return join(getIndexCacheDir(), `${kind}-${baselineSha || "local"}-${repoCacheKey(repoRoot)}.json`);
+}
+
+/** Remove this repo's slots of `kind` other than `keepPath` (older baseline SHAs) */
+function pruneSlots(kind, repoRoot, keepPath) {
+  const suffix = `-${repoCacheKey(repoRoot)}.json`;
+  const cacheDir = getIndexCacheDir();
+  for (const name of readdirSync(cacheDir)) {
+    const slotPath = join(cacheDir, name);
+    if (name.startsWith(`${kind}-`) && name.endsWith(suffix) && slotPath !== keepPath) {
+      rmSync(slotPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Fingerprint a corpus by path, origin and per-file content hash, in order,
+ * plus the authority band and intent each entry is filtered on: those can
+ * come from .oddkit/config.json path rules, which change without the file.
+ * Returns null when any document lacks a file_hash (pre-1.6.0 index entries),
+ * which disables the disk cache rather than risk serving stale postings.
+ *
+ * @param {Array} docs - Index documents
+ * @returns {string|null}
+ */
+export function corpusFingerprint(docs) {
+  const hash = createHash("sha256");
+  for (const doc of docs) {
+    if (!doc.file_hash) return null;
+    hash.update(`${doc.origin}\0${doc.path}\0${doc.file_hash}\0${doc.authority_band}\0${doc.intent}\n`);
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+/** Read a cache slot's payload if its format, SHA and fingerprint all match */
+function readSlot(kind, format, { baselineSha, repoRoot, fingerprint }) {
+  if (!fingerprint) return null;
+  const cachePath = cacheSlotPath(kind, baselineSha, repoRoot);
+  if (!existsSync(cachePath)) return null;
+
+  try {
+    const data = JSON.parse(readFileSync(cachePath, "utf-8"));
+    if (
+      data.format !== format ||
+      data.baseline_sha !== (baselineSha || null) ||
+      data.fingerprint !== fingerprint
+    ) {
+      return null;
+    }
+    return data.index;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cache slot, replacing whatever occupied this (kind, SHA, repo) slot
+ * and pruning the repo's slots for other SHAs.
+ * Best-effort: a read-only home directory must not break search.
+ */
+function writeSlot(kind, format, { baselineSha, repoRoot, fingerprint }, payload) {
+  if (!fingerprint) return null;
+
+  try {
+    const cacheDir = getIndexCacheDir();
+    if (!existsSync(cacheDir)) {
+      mkdirSync(cacheDir, { recursive: true });
+    }
+    const cachePath = cacheSlotPath(kind, baselineSha, repoRoot);
+    writeFileSync(
+      cachePath,
+      JSON.stringify({
+        format,
+        baseline_sha: baselineSha || null,
+        fingerprint,
+        index: payload,
+      }),
+    );
+    pruneSlots(kind, repoRoot, cachePath);
+    return cachePath;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a persisted BM25 index if it matches the baseline SHA and fingerprint.
+ *
+ * @returns {Object|null} Searchable BM25 index, or null on miss / stale / corrupt
+ */
+export function loadBM25Index(key) {
+  const data = readSlot("bm25", BM25_SLOT_FORMAT, key);
+  return data ? deserializeBM25Index(data) : null;
+}
+
+/**
+ * Persist a BM25 index for this (SHA, repo) slot.
+ *
+ * @returns {string|null} Path written, or null when skipped / failed
+ */
+export function saveBM25Index(index, key) {
+  return writeSlot("bm25", BM25_SLOT_FORMAT, key, serializeBM25Index(index));
+}
+
+// Vectors are derived from BM25 entries, so their slot also keys on the BM25 format.
+const VECTOR_SLOT_FORMAT = `${SEMANTIC_FORMAT_VERSION}+bm25.${BM25_SLOT_FORMAT}`;
+
+/**
+ * Load persisted semantic vectors (see search/semantic.js) for this slot.
+ *
+ * @returns {Object|null} Semantic index, or null on miss / stale / corrupt
+ */
+export function loadSemanticIndex(key) {
+  const data = readSlot("vectors", VECTOR_SLOT_FORMAT, key);
+  return data ? deserializeSemanticIndex(data) : null;
+}
+
+/**
+ * Persist semantic vectors for this (SHA, repo) slot.
+ *
+ * @returns {string|null} Path written, or null when skipped / failed
+ */
+export function saveSemanticIndex(index, key) {
+  return writeSlot("vectors", VECTOR_SLOT_FORMAT, key, serializeSemanticIndex(index));
+}
@@ -0,0 +1,194 @@
+/**
+ * Offline semantic retrieval for oddkit (Node CLI / stdio server)
+ *
+ * Random indexing over the BM25 term statistics — no model, no network.
+ * Every BM25 entry (section) gets a fixed sparse random "index vector". A
+ * term's context vector is the sum of the index vectors of the entries it
+ * occurs in, so terms that share contexts ("ship", "release") end up close.
+ * An entry's semantic vector is the tf-idf weighted sum of its terms' context
+ * vectors; a query vector is built the same way from the query terms. Ranking
+ * is cosine similarity, which lets paraphrases match without shared terms.
+ *
+ * Vectors are derived entirely from a BM25 index (search/bm25.js), so they
+ * are cached under the same content-addressed key (see bm25Store.js).
+ */
+
+import { createHash } from "crypto";
+import { matchesConstraints } from "./bm25.js";
+
+// Bump when the vector construction below changes.
+export const SEMANTIC_FORMAT_VERSION = "1";
+
+const DIMENSIONS = 256;
+const NONZEROS = 8; // non-zero (+1/-1) slots per entry index vector
+
+// Entries scoring below this cosine are not semantic matches.
+const MIN_SIMILARITY = 0.2;
+// Hybrid score = HYBRID_BM25_WEIGHT * normalized BM25 + (1 - weight) * cosine.
+const HYBRID_BM25_WEIGHT = 0.5;
+
+export const RETRIEVAL_MODES = ["bm25", "semantic", "hybrid"];
+
+/** Deterministic sparse ternary vector for an entry id: [[dim, sign], ...] */
+function indexVector(id) {
+  const digest = createHash("sha256").update(id).digest();
+  const slots = [];
+  const used = new Set();
+  for (let i = 0; slots.length < NONZEROS && i + 1 < digest.length; i += 2) {
+    const dim = digest[i] % DIMENSIONS;
+    if (used.has(dim)) continue;
+    used.add(dim);
+    slots.push([dim, digest[i + 1] & 1 ? 1 : -1]);
+  }
+  return slots;
+}
+
+function idf(bm25, term) {
+  const n = bm25.df.get(term) || 0;
+  return Math.log((bm25.N - n + 0.5) / (n + 0.5) + 1);
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+/**
+ * Context vectors for the given terms (all terms when `only` is omitted):
+ * Σ log(1 + tf) · indexVector(entry) over the entries containing the term.
+ */
+function contextVectors(bm25, only = null) {
+  const contexts = new Map();
+  for (const doc of bm25.docs) {
+    let slots = null;
+    for (const [term, freq] of doc.tf) {
+      if (only && !only.has(term)) continue;
+      slots ||= indexVector(doc.id);
+      let ctx = contexts.get(term);
+      if (!ctx) {
+        ctx = new Float32Array(DIMENSIONS);
+        contexts.set(term, ctx);
+      }
+      const w = Math.log(1 + freq);
+      for (const [dim, sign] of slots) ctx[dim] += sign * w;
+    }
+  }
+  return contexts;
+}
+
+/**
+ * Build unit-length semantic vectors for every BM25 entry.
+ *
+ * @param {Object} bm25 - From buildBM25Index / deserializeBM25Index
+ * @returns {{ dims: number, vectors: Map<string, Float32Array> }}
+ */
+export function buildSemanticIndex(bm25) {
+  const contexts = contextVectors(bm25);
+  const vectors = new Map();
+  for (const doc of bm25.docs) {
+    const vec = new Float32Array(DIMENSIONS);
+    for (const [term, freq] of doc.tf) {
+      const ctx = contexts.get(term);
+      const w = Math.log(1 + freq) * idf(bm25, term);
+      for (let i = 0; i < DIMENSIONS; i++) vec[i] += w * ctx[i];
+    }
+    vectors.set(doc.id, normalize(vec));
+  }
+  return { dims: DIMENSIONS, vectors };
+}
+
+/** Serialize vectors compactly: base64 of each Float32Array */
+export function serializeSemanticIndex(index) {
+  return {
+    dims: index.dims,
+    vectors: Object.fromEntries(
+      [...index.vectors].map(([id, vec]) => [id, Buffer.from(vec.buffer, vec.byteOffset, vec.byteLength).toString("base64")]),
+    ),
+  };
+}
+
+/** Rebuild a semantic index from serializeSemanticIndex output */
+export function deserializeSemanticIndex(data) {
+  const vectors = new Map();
+  for (const [id, b64] of Object.entries(data.vectors)) {
+    const buf = Buffer.from(b64, "base64");
+    vectors.set(id, new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)));
+  }
+  return { dims: data.dims, vectors };
+}
+
+/**
+ * Rank entries by cosine similarity to the query.
+ *
+ * @param {Object} bm25 - BM25 index the semantic index was built from
+ * @param {Object} semantic - From buildSemanticIndex
+ * @param {Object} parsed - parseQuery() result with `expansion` (expandQueryTerms)
+ * @returns {Array<{ id: string, score: number }>} Sorted by score desc, then id
+ */
+export function searchSemantic(bm25, semantic, parsed) {
+  const weighted = parsed.expansion.terms;
+  const contexts = contextVectors(bm25, new Set(weighted.map((t) => t.term)));
+
+  const query = new Float32Array(DIMENSIONS);
+  for (const { term, weight } of weighted) {
+    const ctx = contexts.get(term);
+    if (!ctx) continue;
+    const w = weight * idf(bm25, term);
+    for (let i = 0; i < DIMENSIONS; i++) query[i] += w * ctx[i];
+  }
+  normalize(query);
+
+  const scores = [];
+  for (const doc of bm25.docs) {
+    if (!matchesConstraints(parsed, doc)) continue;
+    const vec = semantic.vectors.get(doc.id);
+    if (!vec) continue;
+    let cos = 0;
+    for (let i = 0; i < DIMENSIONS; i++) cos += query[i] * vec[i];
+    if (cos >= MIN_SIMILARITY) scores.push({ id: doc.id, score: cos });
+  }
+  return sortScores(scores);
+}
+
+/**
+ * Blend BM25 and semantic results. BM25 scores are scaled into [0, 1] by the
+ * best BM25 score so the two signals are comparable.
+ *
+ * @returns {Array<{ id: string, score: number }>}
+ */
+export function blendHybrid(bm25Results, semanticResults) {
+  const maxBm25 = bm25Results.reduce((max, r) => Math.max(max, r.score), 0);
+  const blended = new Map();
+  for (const r of bm25Results) {
+    blended.set(r.id, HYBRID_BM25_WEIGHT * (maxBm25 > 0 ? r.score / maxBm25 : 0));
+  }
+  for (const r of semanticResults) {
+    blended.set(r.id, (blended.get(r.id) || 0) + (1 - HYBRID_BM25_WEIGHT) * r.score);
+  }
+  return sortScores([...blended].map(([id, score]) => ({ id, score })));
+}
+
+/**
+ * Explain one entry's hybrid score: the BM25 score, its normalization by the
+ * best BM25 score, the cosine, and the weights blendHybrid applies.
+ *
+ * @returns {{ bm25_score: number, bm25_normalized: number, bm25_weight: number, cosine: number, semantic_weight: number }}
+ */
+export function explainHybrid(bm25Results, semanticResults, id) {
+  const maxBm25 = bm25Results.reduce((max, r) => Math.max(max, r.score), 0);
+  const bm25Score = bm25Results.find((r) => r.id === id)?.score || 0;
+  return {
+    bm25_score: bm25Score,
+    bm25_normalized: maxBm25 > 0 ? bm25Score / maxBm25 : 0,
+    bm25_weight: HYBRID_BM25_WEIGHT,
+    cosine: semanticResults.find((r) => r.id === id)?.score || 0,
+    semantic_weight: 1 - HYBRID_BM25_WEIGHT,
+  };
+}
+
+function sortScores(scores) {
+  return scores.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
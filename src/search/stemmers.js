@@ -0,0 +1,433 @@
+/**
+ * Snowball stemmers for oddkit's text analyzer (search/analyzer.js)
+ *
+ * English (Porter2), Spanish and German, following the reference algorithms
+ * at https://snowballstem.org/algorithms/. Each takes a lowercase word and
+ * returns its stem; words are assumed NFC-normalized.
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Shared helpers
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Start of the region after the first non-vowel following a vowel, searching
+ * from `from` (the Snowball R1/R2 definition). word.length when there is none.
+ */
+function regionStart(word, from, isVowel) {
+  for (let i = from + 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) return i + 1;
+  }
+  return word.length;
+}
+
+/**
+ * Longest suffix from `list` (strings or [suffix, replacement]) that the word
+ * ends with, considering only suffixes starting at or after `from`.
+ *
+ * @returns {[string, string]|null} [suffix, replacement]
+ */
+function longestSuffix(word, list, from = 0) {
+  let best = null;
+  for (const entry of list) {
+    const suffix = Array.isArray(entry) ? entry[0] : entry;
+    if (word.length - suffix.length < from) continue;
+    if (word.endsWith(suffix) && (!best || suffix.length > best[0].length)) {
+      best = Array.isArray(entry) ? entry : [entry, ""];
+    }
+  }
+  return best;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// English (Porter2)
+// https://snowballstem.org/algorithms/english/stemmer.html
+// ──────────────────────────────────────────────────────────────────────────────
+
+const EN_VOWELS = "aeiouy";
+const DOUBLES = ["bb", "dd", "ff", "gg", "mm", "nn", "pp", "rr", "tt"];
+const LI_ENDINGS = "cdeghkmnrt";
+
+const EXCEPTIONS = {
+  skis: "ski", skies: "sky", dying: "die", lying: "lie", tying: "tie",
+  idly: "idl", gently: "gentl", ugly: "ugli", early: "earli", only: "onli", singly: "singl",
+  sky: "sky", news: "news", howe: "howe", atlas: "atlas", cosmos: "cosmos", bias: "bias", andes: "andes",
+};
+const POST_1A_EXCEPTIONS = new Set(["inning", "outing", "canning", "herring", "earring", "proceed", "exceed", "succeed"]);
+
+const STEP2 = [
+  ["ization", "ize"], ["ational", "ate"], ["fulness", "ful"], ["ousness", "ous"], ["iveness", "ive"],
+  ["tional", "tion"], ["biliti", "ble"], ["lessli", "less"],
+  ["entli", "ent"], ["ation", "ate"], ["alism", "al"], ["aliti", "al"], ["ousli", "ous"], ["iviti", "ive"], ["fulli", "ful"],
+  ["enci", "ence"], ["anci", "ance"], ["abli", "able"], ["izer", "ize"], ["ator", "ate"], ["alli", "al"],
+  ["bli", "ble"], ["ogi", "og"], ["li", ""],
+];
+const STEP3 = [
+  ["ational", "ate"], ["tional", "tion"], ["alize", "al"], ["icate", "ic"], ["iciti", "ic"], ["ative", ""],
+  ["ical", "ic"], ["ness", ""], ["ful", ""],
+];
+const STEP4 = [
+  "ement", "ance", "ence", "able", "ible", "ment", "ant", "ent", "ism", "ate", "iti", "ous", "ive", "ize", "ion",
+  "al", "er", "ic",
+];
+
+const isVowel = (ch) => EN_VOWELS.includes(ch);
+
+function computeR1(word) {
+  for (const prefix of ["gener", "commun", "arsen"]) {
+    if (word.startsWith(prefix)) return prefix.length;
+  }
+  return regionStart(word, 0, isVowel);
+}
+
+/** Does the word end in a short syllable (at `end`, exclusive)? */
+function endsShortSyllable(word, end = word.length) {
+  if (end === 2) return isVowel(word[0]) && !isVowel(word[1]);
+  if (end < 3) return false;
+  const [a, b, c] = [word[end - 3], word[end - 2], word[end - 1]];
+  return !isVowel(a) && isVowel(b) && !isVowel(c) && !"wxY".includes(c);
+}
+
+function containsVowel(s) {
+  for (const ch of s) if (isVowel(ch)) return true;
+  return false;
+}
+
+/**
+ * Porter2 (Snowball English) stem of a lowercase word.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+export function porter2Stem(input) {
+  let word = input;
+  if (word.length <= 2) return word;
+  if (EXCEPTIONS[word]) return EXCEPTIONS[word];
+
+  if (word.startsWith("'")) word = word.slice(1);
+  // Mark consonant-y as Y
+  if (word[0] === "y") word = "Y" + word.slice(1);
+  for (let i = 1; i < word.length; i++) {
+    if (word[i] === "y" && isVowel(word[i - 1])) word = word.slice(0, i) + "Y" + word.slice(i + 1);
+  }
+
+  const r1 = computeR1(word);
+  const r2 = regionStart(word, r1, isVowel);
+
+  // Step 0: possessives
+  for (const suffix of ["'s'", "'s", "'"]) {
+    if (word.endsWith(suffix)) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Step 1a
+  if (word.endsWith("sses")) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith("ied") || word.endsWith("ies")) {
+    word = word.length > 4 ? word.slice(0, -2) : word.slice(0, -1);
+  } else if (word.endsWith("us") || word.endsWith("ss")) {
+    // unchanged
+  } else if (word.endsWith("s") && containsVowel(word.slice(0, -2))) {
+    word = word.slice(0, -1);
+  }
+
+  if (POST_1A_EXCEPTIONS.has(word)) return word;
+
+  // Step 1b
+  const step1b = longestSuffix(word, ["eedly", "ingly", "edly", "eed", "ing", "ed"]);
+  if (step1b) {
+    const [suffix] = step1b;
+    if (suffix === "eed" || suffix === "eedly") {
+      if (word.length - suffix.length >= r1) word = word.slice(0, -suffix.length) + "ee";
+    } else if (containsVowel(word.slice(0, -suffix.length))) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith("at") || word.endsWith("bl") || word.endsWith("iz")) {
+        word += "e";
+      } else if (DOUBLES.some((d) => word.endsWith(d))) {
+        word = word.slice(0, -1);
+      } else if (r1 >= word.length && endsShortSyllable(word)) {
+        word += "e";
+      }
+    }
+  }
+
+  // Step 1c
+  if (word.length > 2 && (word.endsWith("y") || word.endsWith("Y")) && !isVowel(word[word.length - 2])) {
+    word = word.slice(0, -1) + "i";
+  }
+
+  // Step 2
+  const step2 = longestSuffix(word, STEP2);
+  if (step2 && word.length - step2[0].length >= r1) {
+    const [suffix, replacement] = step2;
+    const stemEnd = word.length - suffix.length;
+    if (suffix === "ogi") {
+      if (word[stemEnd - 1] === "l") word = word.slice(0, stemEnd) + replacement;
+    } else if (suffix === "li") {
+      if (LI_ENDINGS.includes(word[stemEnd - 1])) word = word.slice(0, stemEnd);
+    } else {
+      word = word.slice(0, stemEnd) + replacement;
+    }
+  }
+
+  // Step 3
+  const step3 = longestSuffix(word, STEP3);
+  if (step3 && word.length - step3[0].length >= r1) {
+    const [suffix, replacement] = step3;
+    if (suffix !== "ative" || word.length - suffix.length >= r2) {
+      word = word.slice(0, -suffix.length) + replacement;
+    }
+  }
+
+  // Step 4
+  const step4 = longestSuffix(word, STEP4);
+  if (step4 && word.length - step4[0].length >= r2) {
+    const [suffix] = step4;
+    const stemEnd = word.length - suffix.length;
+    if (suffix !== "ion" || "st".includes(word[stemEnd - 1])) word = word.slice(0, stemEnd);
+  }
+
+  // Step 5
+  if (word.endsWith("e")) {
+    const stemEnd = word.length - 1;
+    if (stemEnd >= r2 || (stemEnd >= r1 && !endsShortSyllable(word, stemEnd))) word = word.slice(0, stemEnd);
+  } else if (word.endsWith("ll") && word.length - 1 >= r2) {
+    word = word.slice(0, -1);
+  }
+
+  return word.replace(/Y/g, "y");
+}
+
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Spanish
+// ──────────────────────────────────────────────────────────────────────────────
+
+const ES_VOWELS = "aeiouáéíóúü";
+const isEsVowel = (ch) => ES_VOWELS.includes(ch);
+
+const ES_PRONOUNS = ["me", "se", "sela", "selo", "selas", "selos", "la", "le", "lo", "las", "les", "los", "nos"];
+// Verb endings a pronoun may attach to; accented forms lose the accent once the pronoun goes
+const ES_PRONOUN_HOSTS = [
+  ["iéndo", "iendo"], ["ándo", "ando"], ["ár", "ar"], ["ér", "er"], ["ír", "ir"],
+  ["ando", "ando"], ["iendo", "iendo"], ["ar", "ar"], ["er", "er"], ["ir", "ir"],
+];
+
+const ES_STEP1 = [
+  ...["anza", "anzas", "ico", "ica", "icos", "icas", "ismo", "ismos", "able", "ables", "ible", "ibles", "ista",
+    "istas", "oso", "osa", "osos", "osas", "amiento", "amientos", "imiento", "imientos"].map((s) => [s, "plain"]),
+  ...["adora", "ador", "ación", "adoras", "adores", "aciones", "ante", "antes", "ancia", "ancias"].map((s) => [s, "ic"]),
+  ...["logía", "logías"].map((s) => [s, "log"]),
+  ...["ución", "uciones"].map((s) => [s, "u"]),
+  ...["encia", "encias"].map((s) => [s, "ente"]),
+  ["amente", "amente"],
+  ["mente", "mente"],
+  ...["idad", "idades"].map((s) => [s, "idad"]),
+  ...["iva", "ivo", "ivas", "ivos"].map((s) => [s, "iva"]),
+];
+
+const ES_STEP2A = ["ya", "ye", "yan", "yen", "yeron", "yendo", "yo", "yó", "yas", "yes", "yais", "yamos"];
+const ES_STEP2B_GU = ["en", "es", "éis", "emos"];
+const ES_STEP2B = [
+  "arían", "arías", "arán", "arás", "aríais", "aría", "aréis", "aríamos", "aremos", "ará", "aré",
+  "erían", "erías", "erán", "erás", "eríais", "ería", "eréis", "eríamos", "eremos", "erá", "eré",
+  "irían", "irías", "irán", "irás", "iríais", "iría", "iréis", "iríamos", "iremos", "irá", "iré",
+  "aba", "ada", "ida", "ía", "ara", "iera", "ad", "ed", "id", "ase", "iese", "aste", "iste", "an", "aban", "ían",
+  "aran", "ieran", "asen", "iesen", "aron", "ieron", "ado", "ido", "ando", "iendo", "ió", "ar", "er", "ir", "as",
+  "abas", "adas", "idas", "ías", "aras", "ieras", "ases", "ieses", "ís", "áis", "abais", "íais", "arais",
+  "ierais", "aseis", "ieseis", "asteis", "isteis", "ados", "idos", "amos", "ábamos", "íamos", "imos", "áramos",
+  "iéramos", "iésemos", "ásemos",
+  ...ES_STEP2B_GU,
+];
+const ES_RESIDUAL = ["os", "a", "o", "á", "í", "ó", "e", "é"];
+
+/** Spanish RV region start */
+function spanishRV(word) {
+  if (word.length < 2) return word.length;
+  if (!isEsVowel(word[1])) {
+    for (let i = 2; i < word.length; i++) if (isEsVowel(word[i])) return i + 1;
+    return word.length;
+  }
+  if (isEsVowel(word[0])) {
+    for (let i = 2; i < word.length; i++) if (!isEsVowel(word[i])) return i + 1;
+    return word.length;
+  }
+  return Math.min(3, word.length);
+}
+
+/**
+ * Spanish Snowball stem of a lowercase word.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+export function spanishStem(input) {
+  let word = input;
+  if (word.length <= 2) return word;
+
+  const rv = spanishRV(word);
+  const r1 = regionStart(word, 0, isEsVowel);
+  const r2 = regionStart(word, r1, isEsVowel);
+  const inRegion = (suffixLength, start) => word.length - suffixLength >= start;
+  const endsInRegion = (suffix, start) => word.endsWith(suffix) && inRegion(suffix.length, start);
+
+  // Step 0: attached pronoun
+  const pronoun = longestSuffix(word, ES_PRONOUNS, rv);
+  if (pronoun) {
+    const before = word.slice(0, -pronoun[0].length);
+    const host = ES_PRONOUN_HOSTS.find(([ending]) => before.endsWith(ending) && before.length - ending.length >= rv);
+    if (host) {
+      word = before.slice(0, -host[0].length) + host[1];
+    } else if (before.endsWith("yendo") && before.length - 5 >= rv && before[before.length - 6] === "u") {
+      word = before;
+    }
+  }
+
+  // Step 1: standard suffixes
+  let removed = false;
+  const step1 = longestSuffix(word, ES_STEP1);
+  const [suffix1, kind] = step1 || [];
+  if (step1 && inRegion(suffix1.length, kind === "amente" ? r1 : r2)) {
+    removed = true;
+    const stem = word.slice(0, -suffix1.length);
+    if (kind === "log" || kind === "u" || kind === "ente") {
+      word = stem + kind;
+    } else {
+      word = stem;
+      if (kind === "ic" && endsInRegion("ic", r2)) {
+        word = word.slice(0, -2);
+      } else if (kind === "amente") {
+        if (endsInRegion("iv", r2)) {
+          word = word.slice(0, -2);
+          if (endsInRegion("at", r2)) word = word.slice(0, -2);
+        } else {
+          const tail = ["os", "ic", "ad"].find((t) => endsInRegion(t, r2));
+          if (tail) word = word.slice(0, -tail.length);
+        }
+      } else if (kind === "mente") {
+        const tail = ["ante", "able", "ible"].find((t) => endsInRegion(t, r2));
+        if (tail) word = word.slice(0, -tail.length);
+      } else if (kind === "idad") {
+        const tail = ["abil", "ic", "iv"].find((t) => endsInRegion(t, r2));
+        if (tail) word = word.slice(0, -tail.length);
+      } else if (kind === "iva" && endsInRegion("at", r2)) {
+        word = word.slice(0, -2);
+      }
+    }
+  }
+
+  // Step 2a: verb suffixes beginning with y, after u
+  if (!removed) {
+    const step2a = longestSuffix(word, ES_STEP2A, rv);
+    if (step2a && word[word.length - step2a[0].length - 1] === "u") {
+      word = word.slice(0, -step2a[0].length);
+      removed = true;
+    }
+  }
+
+  // Step 2b: other verb suffixes
+  if (!removed) {
+    const step2b = longestSuffix(word, ES_STEP2B, rv);
+    if (step2b) {
+      word = word.slice(0, -step2b[0].length);
+      if (ES_STEP2B_GU.includes(step2b[0]) && word.endsWith("gu")) word = word.slice(0, -1);
+    }
+  }
+
+  // Step 3: residual suffix
+  const residual = longestSuffix(word, ES_RESIDUAL, rv);
+  if (residual) {
+    word = word.slice(0, -residual[0].length);
+    if ((residual[0] === "e" || residual[0] === "é") && word.endsWith("gu") && word.length - 1 >= rv) {
+      word = word.slice(0, -1);
+    }
+  }
+
+  return word.replace(/[áéíóú]/g, (ch) => "aeiou"["áéíóú".indexOf(ch)]);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// German
+// ──────────────────────────────────────────────────────────────────────────────
+
+const DE_VOWELS = "aeiouyäöü";
+const isDeVowel = (ch) => DE_VOWELS.includes(ch);
+const DE_S_ENDINGS = "bdfghklmnrt";
+const DE_ST_ENDINGS = "bdfghklmnt";
+
+/**
+ * German Snowball stem of a lowercase word.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+export function germanStem(input) {
+  let word = input.replace(/ß/g, "ss");
+
+  // Mark u and y between vowels as consonants (U, Y)
+  const chars = [...word];
+  for (let i = 1; i < chars.length - 1; i++) {
+    if ((chars[i] === "u" || chars[i] === "y") && isDeVowel(chars[i - 1]) && isDeVowel(chars[i + 1])) {
+      chars[i] = chars[i].toUpperCase();
+    }
+  }
+  word = chars.join("");
+
+  const p1 = regionStart(word, 0, isDeVowel);
+  const r2 = regionStart(word, p1, isDeVowel);
+  // R1 must leave at least three letters before it
+  const r1 = word.length >= 3 ? Math.max(p1, 3) : p1;
+  const inRegion = (suffixLength, start) => word.length - suffixLength >= start;
+
+  // Step 1
+  const step1 = longestSuffix(word, ["em", "ern", "er", "e", "en", "es", "s"]);
+  if (step1 && inRegion(step1[0].length, r1)) {
+    const [suffix] = step1;
+    const stemEnd = word.length - suffix.length;
+    if (suffix === "s") {
+      if (DE_S_ENDINGS.includes(word[stemEnd - 1])) word = word.slice(0, stemEnd);
+    } else {
+      word = word.slice(0, stemEnd);
+      if ((suffix === "e" || suffix === "en" || suffix === "es") && word.endsWith("niss")) word = word.slice(0, -1);
+    }
+  }
+
+  // Step 2
+  const step2 = longestSuffix(word, ["en", "er", "est", "st"]);
+  if (step2 && inRegion(step2[0].length, r1)) {
+    const [suffix] = step2;
+    const stemEnd = word.length - suffix.length;
+    if (suffix !== "st") {
+      word = word.slice(0, stemEnd);
+    } else if (DE_ST_ENDINGS.includes(word[stemEnd - 1]) && stemEnd - 1 >= 3) {
+      word = word.slice(0, stemEnd);
+    }
+  }
+
+  // Step 3: derivational suffixes
+  const step3 = longestSuffix(word, ["end", "ung", "ig", "ik", "isch", "lich", "heit", "keit"]);
+  if (step3 && inRegion(step3[0].length, r2)) {
+    const [suffix] = step3;
+    const stemEnd = word.length - suffix.length;
+    if (suffix === "end" || suffix === "ung") {
+      word = word.slice(0, stemEnd);
+      if (word.endsWith("ig") && word[word.length - 3] !== "e" && inRegion(2, r2)) word = word.slice(0, -2);
+    } else if (suffix === "ig" || suffix === "ik" || suffix === "isch") {
+      if (word[stemEnd - 1] !== "e") word = word.slice(0, stemEnd);
+    } else if (suffix === "lich" || suffix === "heit") {
+      word = word.slice(0, stemEnd);
+      if ((word.endsWith("er") || word.endsWith("en")) && inRegion(2, r1)) word = word.slice(0, -2);
+    } else {
+      word = word.slice(0, stemEnd);
+      const tail = longestSuffix(word, ["lich", "ig"]);
+      if (tail && inRegion(tail[0].length, r2)) word = word.slice(0, -tail[0].length);
+    }
+  }
+
+  return word
+    .replace(/U/g, "u")
+    .replace(/Y/g, "y")
+    .replace(/[äöü]/g, (ch) => "aou"["äöü".indexOf(ch)]);
+}
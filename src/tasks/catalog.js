@@ -1,4 +1,5 @@
-import { buildIndex, loadIndex, saveIndex, INTENT_HIERARCHY, INDEX_VERSION } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
+import { INTENT_HIERARCHY } from "../index/arbitration.js";
 import { ensureBaselineRepo, getBaselineRef } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
 import { writeLast } from "../state/last.js";
@@ -22,27 +23,15 @@ const NEXT_UP_COUNT = 3;
 export async function runCatalog(options) {
   const { repo: repoRoot, baseline: baselineOverride } = options;
 
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   getBaselineRef();
   const baselineAvailable = !!baseline.root;
 
-  let index = loadIndex(repoRoot);
-  // Schema version gate: stale index shapes (e.g. missing start_here fields) silently
-  // break newer features. A version mismatch forces a full rebuild.
-  if (index && index.version !== INDEX_VERSION) {
-    index = null;
-  }
-  if (index) {
-    const hasBaselineDocs = index.documents.some((d) => d.origin === "baseline");
-    if (!baselineAvailable && hasBaselineDocs) index = null;
-    else if (baselineAvailable && !hasBaselineDocs) index = null;
-  }
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
@@ -151,6 +140,7 @@ export async function runCatalog(options) {
       reason: "CATALOG_INTENT",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
     },
   };
 
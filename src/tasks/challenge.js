@@ -8,10 +8,10 @@
  * Does NOT carry embedded knowledge — queries canon at runtime.
  */
 
-import { buildIndex, loadIndex, saveIndex } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
-import { tokenize, scoreDocument, findBestHeading } from "../utils/scoring.js";
+import { tokenizeQuery, scoreDocument, findBestHeading } from "../utils/scoring.js";
 import { extractQuote, formatCitation, countWords } from "../utils/slicing.js";
 import { writeLast } from "../state/last.js";
 
@@ -177,22 +177,20 @@ export async function runChallenge(options) {
   const claimType = detectClaimType(input);
 
   // Load index and query canon
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineAvailable = !!baseline.root;
 
-  let index = loadIndex(repoRoot);
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
   // Build query that emphasizes constraints and challenge-relevant docs
   const challengeQuery = `constraints challenges risks ${input}`;
-  const queryTokens = tokenize(challengeQuery);
+  const queryTokens = tokenizeQuery(challengeQuery);
 
   // Use planning mode bias to boost governing/constraint docs
   const epistemic = modeContext
@@ -275,6 +273,7 @@ export async function runChallenge(options) {
       reason: "CHALLENGE_REQUESTED",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
       input_preview: input.slice(0, 100),
       claim_type: claimType,
       mode_context: modeContext || null,
@@ -8,10 +8,10 @@
  * Does NOT carry embedded knowledge — queries canon at runtime.
  */
 
-import { buildIndex, loadIndex, saveIndex } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
-import { tokenize, scoreDocument, findBestHeading } from "../utils/scoring.js";
+import { tokenizeQuery, scoreDocument, findBestHeading } from "../utils/scoring.js";
 import { extractQuote, formatCitation, countWords } from "../utils/slicing.js";
 import { writeLast } from "../state/last.js";
 
@@ -188,22 +188,20 @@ export async function runEncode(options) {
   const quality = assessQuality(fullInput, encodeType, rationale, constraints);
 
   // Load index and query canon for encoding-relevant docs
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineAvailable = !!baseline.root;
 
-  let index = loadIndex(repoRoot);
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
   // Query for decision-encoding relevant canon
   const encodeQuery = `decision encode record ${encodeType} ${input}`;
-  const queryTokens = tokenize(encodeQuery);
+  const queryTokens = tokenizeQuery(encodeQuery);
 
   const epistemic = {
     mode_ref: "klappy://canon/epistemic#planning",
@@ -267,6 +265,7 @@ export async function runEncode(options) {
       reason: "ENCODE_REQUESTED",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
       input_preview: input.slice(0, 100),
       encode_type: encodeType,
       quality_level: quality.qualityLevel,
@@ -9,10 +9,10 @@
  * Does NOT carry embedded knowledge — queries canon at runtime.
  */
 
-import { buildIndex, loadIndex, saveIndex } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
-import { tokenize, scoreDocument, findBestHeading } from "../utils/scoring.js";
+import { tokenizeQuery, scoreDocument, findBestHeading } from "../utils/scoring.js";
 import { extractQuote, formatCitation } from "../utils/slicing.js";
 import { writeLast } from "../state/last.js";
 
@@ -250,22 +250,20 @@ export async function runGate(options) {
   const evaluation = evaluatePrerequisites(prereqs, fullInput, []);
 
   // Load index and query canon for transition-relevant docs
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineAvailable = !!baseline.root;
 
-  let index = loadIndex(repoRoot);
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
   // Query for transition-relevant canon
   const gateQuery = `transition boundary deceleration irreversibility ${input}`;
-  const queryTokens = tokenize(gateQuery);
+  const queryTokens = tokenizeQuery(gateQuery);
 
   const epistemic = {
     mode_ref: "klappy://canon/epistemic#planning",
@@ -332,6 +330,7 @@ export async function runGate(options) {
       reason: "GATE_REQUESTED",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
       input_preview: input.slice(0, 100),
       transition_detected: transition,
       prereqs_count: prereqs.length,
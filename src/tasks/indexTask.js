@@ -1,5 +1,16 @@
-import { buildIndex, saveIndex, saveBaselineIndex } from "../index/buildIndex.js";
+import { buildIndex, loadIndex, migrateIndex, saveIndex, saveBaselineIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo, getBaselineRef } from "../baseline/ensureBaselineRepo.js";
+import { lintSupersedes } from "../resolve/lintSupersedes.js";
+import { buildIndexReport } from "../index/indexReport.js";
+
+/**
+ * The saved index brought up to the current schema, or null. Always-rebuild
+ * commands use it only as the source of reusable entries.
+ */
+async function loadMigratedIndex(repoRoot) {
+  const previous = loadIndex(repoRoot);
+  return (await migrateIndex(previous)) ? previous : null;
+}
 
 /**
  * Run the index command
@@ -8,12 +19,15 @@ export async function runIndex(options) {
   const repoRoot = options.repo;
 
   // Get baseline (CLI flag overrides env var overrides default)
-  const baseline = await ensureBaselineRepo(options.baseline);
+  const baseline = await ensureBaselineRepo(options.baseline, { repoRoot });
   const baselineRef = getBaselineRef();
 
-  // Build index
+  // Build index, reusing unchanged entries from the previous one (migrated
+  // forward from an older schema when possible) unless --force
   const index = await buildIndex(repoRoot, baseline.root, {
     baselineStructureAgnostic: !!options.baseline,
+    baselineCommitSha: baseline.commitSha || null,
+    previous: options.force ? null : await loadMigratedIndex(repoRoot),
   });
 
   // Save local index
@@ -30,6 +44,8 @@ export async function runIndex(options) {
     localIndexPath,
     baselineIndexPath,
     stats: index.stats,
+    supersedes: lintSupersedes(index),
+    ...(options.report ? { report: buildIndexReport(index) } : {}),
     baseline: {
       available: !!baseline.root,
       url: baseline.baselineUrl,
@@ -41,3 +57,27 @@ export async function runIndex(options) {
     },
   };
 }
+
+/**
+ * Run the supersedes lint on its own: refresh the local index (incrementally)
+ * and report supersedes graph findings.
+ */
+export async function runSupersedesLint(options) {
+  const repoRoot = options.repo;
+  const baseline = await ensureBaselineRepo(options.baseline, { repoRoot });
+
+  const index = await buildIndex(repoRoot, baseline.root, {
+    baselineStructureAgnostic: !!options.baseline,
+    baselineCommitSha: baseline.commitSha || null,
+    previous: await loadMigratedIndex(repoRoot),
+  });
+  saveIndex(index, repoRoot);
+
+  return {
+    ...lintSupersedes(index),
+    baseline: {
+      available: !!baseline.root,
+      commit: baseline.commitSha || null,
+    },
+  };
+}
@@ -1,14 +1,19 @@
-import { buildIndex, loadIndex, saveIndex, INTENT_HIERARCHY } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
+import { INTENT_HIERARCHY } from "../index/arbitration.js";
 import { ensureBaselineRepo, getBaselineRef } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
-import { tokenize, scoreDocument, findBestHeading } from "../utils/scoring.js";
+import { tokenizeQuery, scoreDocument, findBestHeading, explainScore } from "../utils/scoring.js";
 import { extractQuote, formatCitation, MIN_QUOTE_WORDS, countWords } from "../utils/slicing.js";
 import { writeLast } from "../state/last.js";
+import { findNearDuplicatePairs, minHashSimilarity } from "../utils/minhash.js";
 
 const MIN_EVIDENCE_BULLETS = 2;
 const MAX_RESULTS = 5;
 const MIN_CONFIDENCE_THRESHOLD = 0.6; // Below this, result is advisory
 const EXCESSIVE_DUPLICATE_THRESHOLD = 0.25; // >25% duplicates is a smell
+const NEAR_DUPLICATE_COLLAPSE_THRESHOLD = 0.8; // MinHash similarity: collapse into one candidate
+const NEAR_DUPLICATE_FLAG_THRESHOLD = 0.5; // MinHash similarity: keep both, report the pair
+const MAX_FLAGGED_NEAR_DUPLICATES = 20;
 
 /**
  * Compute drift volatility between two content versions
@@ -298,6 +303,34 @@ function computeIdentityKey(doc) {
   return { key: `${doc.path}::${hash}`, type: "path+hash" };
 }
 
+/**
+ * Representative order for collapsed duplicates (first wins):
+ * 1. Origin: local > baseline
+ * 2. Authority: governing > operational > non-governing
+ * 3. Evidence: strong > medium > weak > none
+ * 4. Intent: promoted > pattern > operational > experiment > workaround
+ */
+function compareRepresentatives(a, b) {
+  // 1. Origin: local > baseline
+  if (a.origin !== b.origin) {
+    return a.origin === "local" ? -1 : 1;
+  }
+  // 2. Authority: governing > operational > non-governing
+  const authOrder = { governing: 0, operational: 1, "non-governing": 2 };
+  const authA = authOrder[a.authority_band] ?? 1;
+  const authB = authOrder[b.authority_band] ?? 1;
+  if (authA !== authB) return authA - authB;
+  // 3. Evidence: strong > medium > weak > none
+  const evOrder = { strong: 0, medium: 1, weak: 2, none: 3 };
+  const evA = evOrder[a.evidence] ?? 3;
+  const evB = evOrder[b.evidence] ?? 3;
+  if (evA !== evB) return evA - evB;
+  // 4. Intent: promoted > pattern > operational > experiment > workaround
+  const intA = INTENT_HIERARCHY[a.intent] || 3;
+  const intB = INTENT_HIERARCHY[b.intent] || 3;
+  return intB - intA; // Higher intent wins
+}
+
 /**
  * Collapse duplicates by identity key, pick representative
  *
@@ -416,26 +449,7 @@ function deduplicateCandidates(docs) {
       }
 
       // Pick representative using tie-breaker
-      const sorted = groupDocs.sort((a, b) => {
-        // 1. Origin: local > baseline
-        if (a.origin !== b.origin) {
-          return a.origin === "local" ? -1 : 1;
-        }
-        // 2. Authority: governing > operational > non-governing
-        const authOrder = { governing: 0, operational: 1, "non-governing": 2 };
-        const authA = authOrder[a.authority_band] ?? 1;
-        const authB = authOrder[b.authority_band] ?? 1;
-        if (authA !== authB) return authA - authB;
-        // 3. Evidence: strong > medium > weak > none
-        const evOrder = { strong: 0, medium: 1, weak: 2, none: 3 };
-        const evA = evOrder[a.evidence] ?? 3;
-        const evB = evOrder[b.evidence] ?? 3;
-        if (evA !== evB) return evA - evB;
-        // 4. Intent: promoted > pattern > operational > experiment > workaround
-        const intA = INTENT_HIERARCHY[a.intent] || 3;
-        const intB = INTENT_HIERARCHY[b.intent] || 3;
-        return intB - intA; // Higher intent wins
-      });
+      const sorted = groupDocs.sort(compareRepresentatives);
 
       const chosen = sorted[0];
       const collapsed = sorted.slice(1);
@@ -468,6 +482,72 @@ function deduplicateCandidates(docs) {
   };
 }
 
+/**
+ * Collapse near-duplicates: documents with different identities whose bodies
+ * are nearly the same (an edited copy, a fork with one paragraph changed).
+ * Similarity is the MinHash estimate of shingle overlap stored at index time
+ * (utils/minhash.js).
+ *
+ * - similarity >= NEAR_DUPLICATE_COLLAPSE_THRESHOLD to a group's
+ *   representative: collapsed into it. Representatives are picked in
+ *   tie-breaker order (same as identity dedup), and a doc joins only when it
+ *   matches the representative itself, so A~B and B~C never drag C into A
+ * - similarity >= NEAR_DUPLICATE_FLAG_THRESHOLD: both kept, pair flagged
+ *
+ * Runs after identity dedup, so it never sees same-URI drift.
+ */
+function collapseNearDuplicates(docs) {
+  const pairs = findNearDuplicatePairs(docs, NEAR_DUPLICATE_FLAG_THRESHOLD);
+
+  const collapsible = new Set(
+    pairs.filter((p) => p.similarity >= NEAR_DUPLICATE_COLLAPSE_THRESHOLD).map((p) => `${p.a}:${p.b}`),
+  );
+  const matches = (i, j) => collapsible.has(i < j ? `${i}:${j}` : `${j}:${i}`);
+
+  // Greedy grouping around representatives, best first
+  const order = docs.map((_, i) => i).sort((i, j) => compareRepresentatives(docs[i], docs[j]));
+  const assigned = new Set();
+  const clusters = [];
+  for (const rep of order) {
+    if (assigned.has(rep)) continue;
+    const members = order.filter((i) => !assigned.has(i) && (i === rep || matches(rep, i)));
+    members.forEach((i) => assigned.add(i));
+    clusters.push(members);
+  }
+  // Keep the input order among representatives
+  clusters.sort((x, y) => Math.min(...x) - Math.min(...y));
+
+  const kept = [];
+  const groups = [];
+  for (const memberIdx of clusters) {
+    const [chosen, ...collapsed] = memberIdx.map((i) => docs[i]);
+    kept.push(chosen);
+    if (collapsed.length === 0) continue;
+    groups.push({
+      chosen: { origin: chosen.origin, path: chosen.path, uri: chosen.uri },
+      collapsed: collapsed.map((d) => ({
+        origin: d.origin,
+        path: d.path,
+        uri: d.uri,
+        similarity: Math.round(minHashSimilarity(chosen.minhash, d.minhash) * 100) / 100,
+      })),
+    });
+  }
+
+  const keptSet = new Set(kept);
+  const flagged = pairs
+    .filter((p) => p.similarity < NEAR_DUPLICATE_COLLAPSE_THRESHOLD)
+    .filter((p) => keptSet.has(docs[p.a]) && keptSet.has(docs[p.b]))
+    .sort((x, y) => y.similarity - x.similarity)
+    .map((p) => ({
+      a: { origin: docs[p.a].origin, path: docs[p.a].path },
+      b: { origin: docs[p.b].origin, path: docs[p.b].path },
+      similarity: Math.round(p.similarity * 100) / 100,
+    }));
+
+  return { docs: kept, groups, flagged };
+}
+
 /**
  * Detect policy intent from query
  */
@@ -645,43 +725,23 @@ function calculateConfidence(scored, evidence, contradictions = []) {
  * @param {Object} [options.epistemic] - Epistemic context from upstream
  * @param {string} [options.epistemic.mode_ref] - Canon-derived mode URI
  * @param {string} [options.epistemic.confidence] - Caller-declared confidence
+ * @param {boolean} [options.explain] - Attach a score breakdown to each candidate
+ *   (field matches, multipliers incl. epistemic boost, intent precedence)
  */
 export async function runLibrarian(options) {
-  const { query, repo: repoRoot, baseline: baselineOverride, epistemic } = options;
+  const { query, repo: repoRoot, baseline: baselineOverride, epistemic, explain } = options;
 
   // Ensure baseline (CLI flag overrides env var overrides default)
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineRef = getBaselineRef();
   const baselineAvailable = !!baseline.root;
 
-  // Load or build index with strict baseline gating
-  let index = loadIndex(repoRoot);
-  let indexRebuildReason = null;
-
-  // Check if cached index is valid for current baseline state
-  if (index) {
-    const hasBaselineDocs = index.documents.some((d) => d.origin === "baseline");
-
-    if (!baselineAvailable && hasBaselineDocs) {
-      // Cached index has baseline docs but baseline is now unavailable
-      // Must rebuild with local-only
-      index = null;
-      indexRebuildReason = "baseline_now_unavailable";
-    } else if (baselineAvailable && !hasBaselineDocs) {
-      // Cached index is local-only but baseline is now available
-      // Rebuild to include baseline
-      index = null;
-      indexRebuildReason = "baseline_now_available";
-    }
-  }
-
-  if (!index) {
-    // Build fresh index - only include baseline if available
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  // Load, migrate or rebuild the index (openIndex holds the shared checks)
+  const { index, rebuildReason: indexRebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   // Apply supersedes (semantic override of different docs)
   const { filtered: afterSupersedes, suppressed } = applySupersedes(index.documents);
@@ -689,7 +749,7 @@ export async function runLibrarian(options) {
   // Apply dedup (identity collapse of same docs across origins)
   // This is different from supersedes: dedup handles index hygiene, supersedes handles semantic override
   const {
-    docs,
+    docs: identityDocs,
     collapsedGroups,
     duplicateCount,
     duplicateRatio,
@@ -698,6 +758,13 @@ export async function runLibrarian(options) {
     isExcessive: isExcessiveDuplicates,
   } = deduplicateCandidates(afterSupersedes);
 
+  // Near-duplicate collapse (edited copies under different identities)
+  const {
+    docs,
+    groups: nearDuplicateGroups,
+    flagged: nearDuplicatesFlagged,
+  } = collapseNearDuplicates(identityDocs);
+
   // INVARIANT: If baseline unavailable, no docs should have origin:"baseline"
   if (!baselineAvailable) {
     const baselineDocsPresent = docs.some((d) => d.origin === "baseline");
@@ -709,7 +776,7 @@ export async function runLibrarian(options) {
   }
 
   // Tokenize query
-  const queryTokens = tokenize(query);
+  const queryTokens = tokenizeQuery(query);
 
   // Score all documents (returns { score, signals })
   // Per CHARTER.md: epistemic context shapes retrieval as soft bias
@@ -735,15 +802,32 @@ export async function runLibrarian(options) {
   const finalScored = reorderedScored;
 
   // Build candidates considered (for output contract 2.3)
-  const candidatesConsidered = finalScored.map((s) => ({
-    path: s.doc.path,
-    origin: s.doc.origin,
-    score: Math.round(s.score * 100) / 100,
-    intent: s.doc.intent,
-    evidence: s.doc.evidence,
-    authority: s.doc.authority_band,
-    signals: s.signals,
-  }));
+  const candidatesConsidered = finalScored.map((s, finalIndex) => {
+    const candidate = {
+      path: s.doc.path,
+      origin: s.doc.origin,
+      score: Math.round(s.score * 100) / 100,
+      intent: s.doc.intent,
+      evidence: s.doc.evidence,
+      authority: s.doc.authority_band,
+      signals: s.signals,
+    };
+    if (explain) {
+      candidate.explain = {
+        ...explainScore(s.doc, s),
+        // Intent-gated precedence: rank before and after the veto pass
+        precedence: {
+          scored_rank: scored.indexOf(s) + 1,
+          final_rank: finalIndex + 1,
+          vetoed: vetoed.includes(s),
+          outranked: precedenceViolations
+            .filter((v) => v.lowIntent === s.doc.path)
+            .map((v) => ({ path: v.highIntent, intent: v.highIntentType })),
+        },
+      };
+    }
+    return candidate;
+  });
 
   // Build evidence bullets with rejection tracking
   const evidence = [];
@@ -973,6 +1057,18 @@ export async function runLibrarian(options) {
     });
   }
 
+  // NEAR_DUPLICATE: edited copies collapsed into one candidate (informational)
+  if (nearDuplicateGroups.length > 0) {
+    const collapsedCount = nearDuplicateGroups.reduce((n, g) => n + g.collapsed.length, 0);
+    warnings.push({
+      type: "NEAR_DUPLICATE",
+      count: collapsedCount,
+      message: `${collapsedCount} near-duplicate(s) collapsed from ${nearDuplicateGroups.length} group(s) (similarity >= ${NEAR_DUPLICATE_COLLAPSE_THRESHOLD}).`,
+      groups: nearDuplicateGroups.slice(0, 10),
+      total_groups: nearDuplicateGroups.length,
+    });
+  }
+
   // MISSING_URI_FOR_POLICY_DOC: Policy docs should have URI for stable identity
   // More precise than just "governing folder" - check actual policy signals:
   // - authority_band: governing
@@ -1184,6 +1280,7 @@ export async function runLibrarian(options) {
         collapsed_groups: collapsedGroups.length,
         duplicate_count: duplicateCount,
         groups: collapsedGroups,
+        near_duplicate_groups: nearDuplicateGroups.length,
       },
     },
     debug: {
@@ -1206,6 +1303,14 @@ export async function runLibrarian(options) {
       evidence_rejected_reasons: evidenceRejectedReasons,
       policy_intent: policyIntent,
       suppressed: Object.keys(suppressed).length > 0 ? suppressed : {},
+      // MinHash near-duplicates: collapsed groups and kept-but-similar pairs
+      near_duplicates: {
+        collapse_threshold: NEAR_DUPLICATE_COLLAPSE_THRESHOLD,
+        flag_threshold: NEAR_DUPLICATE_FLAG_THRESHOLD,
+        collapsed: nearDuplicateGroups,
+        flagged: nearDuplicatesFlagged.slice(0, MAX_FLAGGED_NEAR_DUPLICATES),
+        total_flagged: nearDuplicatesFlagged.length,
+      },
       rules_fired: rulesFired,
       // Epistemic retrieval policy (per CHARTER.md: observability before trust)
       retrieval_policy: epistemic
@@ -10,10 +10,10 @@
 
 import { readFileSync, existsSync } from "fs";
 import { join } from "path";
-import { buildIndex, loadIndex, saveIndex } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
-import { tokenize, scoreDocument, findBestHeading } from "../utils/scoring.js";
+import { tokenizeQuery, scoreDocument, findBestHeading } from "../utils/scoring.js";
 import { extractQuote, formatCitation, countWords } from "../utils/slicing.js";
 import { extractCreedLines } from "../utils/creed.js";
 import { writeLast } from "../state/last.js";
@@ -198,24 +198,22 @@ export async function runOrient(options) {
   const modeDetection = detectMode(input);
 
   // Load index to query canon for relevant docs
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineAvailable = !!baseline.root;
 
   // Read creed from baseline (always included in orient response)
   const creed = readCreedFromBaseline(baseline.root);
 
-  let index = loadIndex(repoRoot);
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
   // Query canon for epistemic-relevant docs using the input as query
-  const queryTokens = tokenize(input);
+  const queryTokens = tokenizeQuery(input);
   const epistemic = {
     mode_ref: `klappy://canon/epistemic#${modeDetection.mode}`,
     confidence: modeDetection.confidence,
@@ -279,6 +277,7 @@ export async function runOrient(options) {
       reason: "ORIENT_REQUESTED",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
       input_preview: input.slice(0, 100),
       query_tokens: queryTokens,
       docs_scored: scored.length,
@@ -7,7 +7,7 @@
  */
 
 import { runCatalog } from "./catalog.js";
-import { buildIndex, loadIndex, saveIndex } from "../index/buildIndex.js";
+import { openIndex } from "../index/buildIndex.js";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { applySupersedes } from "../resolve/applySupersedes.js";
 import { writeLast } from "../state/last.js";
@@ -177,16 +177,14 @@ export async function runPreflight(options) {
   });
 
   // Load index for additional queries (catalog already built/loaded it)
-  const baseline = await ensureBaselineRepo(baselineOverride);
+  const baseline = await ensureBaselineRepo(baselineOverride, { repoRoot });
   const baselineAvailable = !!baseline.root;
 
-  let index = loadIndex(repoRoot);
-  if (!index) {
-    index = await buildIndex(repoRoot, baselineAvailable ? baseline.root : null, {
-      baselineStructureAgnostic: !!baselineOverride,
-    });
-    saveIndex(index, repoRoot);
-  }
+  const { index, rebuildReason } = await openIndex(repoRoot, {
+    baselineRoot: baselineAvailable ? baseline.root : null,
+    baselineCommitSha: baseline.commitSha || null,
+    baselineStructureAgnostic: !!baselineOverride,
+  });
 
   const { filtered: docs } = applySupersedes(index.documents);
 
@@ -211,7 +209,7 @@ export async function runPreflight(options) {
     baselineEntries = [];
     for (const entry of startHere) {
       const origin = originByPath.get(entry.path) || "local";
-      if (origin === "local") overlayEntries.push(entry);
+      if (origin !== "baseline") overlayEntries.push(entry);
       else baselineEntries.push(entry);
     }
     startHere = [...overlayEntries, ...baselineEntries];
@@ -237,6 +235,7 @@ export async function runPreflight(options) {
       reason: "PREFLIGHT_INTENT",
       timestamp: new Date().toISOString(),
       repo_root: repoRoot,
+      index_rebuild_reason: rebuildReason,
       keywords_extracted: keywords,
       result_grouping: resolvedGrouping,
     },
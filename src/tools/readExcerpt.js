@@ -1,9 +1,10 @@
 import { readFileSync, existsSync } from "fs";
 import { join } from "path";
-import matter from "gray-matter";
 import { ensureBaselineRepo } from "../baseline/ensureBaselineRepo.js";
 import { countWords } from "../utils/slicing.js";
 import { extractHeadings } from "../utils/extractHeadings.js";
+import { parseSource } from "../index/parsers.js";
+import { getLedgerDocument, ledgerUri } from "../index/ledger.js";
 
 /**
  * Strip fenced code blocks from content
@@ -18,8 +19,9 @@ function stripCodeBlocks(content) {
  *
  * @param {Object} options
  * @param {string} options.repo_root - Repository root path
- * @param {string} options.origin - "local" or "baseline"
- * @param {string} options.path - File path relative to repo root
+ * @param {string} options.origin - "local", "baseline" or "ledger"
+ * @param {string} options.path - File path relative to repo root (for ledger
+ *   entries, the odd/ledger/<ledger>/<id> path they are indexed under)
  * @param {string} options.anchor - Optional heading anchor (e.g., "Epistemic Challenge")
  * @param {number} options.max_words - Maximum words in excerpt (default: 25)
  * @returns {Object} { excerpt, citation } or null if file not found
@@ -27,6 +29,14 @@ function stripCodeBlocks(content) {
 export async function readExcerpt(options) {
   const { repo_root, origin, path, anchor, max_words = 25 } = options;
 
+  if (origin === "ledger") {
+    // Ledger entries have no file of their own; excerpt the rendered entry,
+    // as docFetch serves it
+    const [, , ledger, ...id] = path.split("/");
+    const found = getLedgerDocument(repo_root, ledgerUri(ledger, id.join("/")));
+    return found ? excerptFrom(found.content, path, anchor, max_words) : null;
+  }
+
   let filePath;
   if (origin === "local") {
     filePath = join(repo_root, path);
@@ -46,47 +56,55 @@ export async function readExcerpt(options) {
 
   try {
     const raw = readFileSync(filePath, "utf-8");
-    const { content } = matter(raw);
-
-    // Strip code blocks for excerpting
-    const contentWithoutCode = stripCodeBlocks(content);
-    const lines = contentWithoutCode.split("\n");
+    return excerptFrom(raw, path, anchor, max_words);
+  } catch (err) {
+    return null;
+  }
+}
 
-    let excerptText = contentWithoutCode;
+/**
+ * Excerpt a document's text: the section under `anchor` when it has one,
+ * else the whole body, cut to `max_words`.
+ */
+function excerptFrom(raw, path, anchor, max_words) {
+  const { content } = parseSource(path, raw);
 
-    // If anchor exists, extract section under that heading
-    if (anchor) {
-      const headings = extractHeadings(content);
-      const targetHeading = headings.find((h) => h.text.toLowerCase() === anchor.toLowerCase());
+  // Strip code blocks for excerpting
+  const contentWithoutCode = stripCodeBlocks(content);
+  const lines = contentWithoutCode.split("\n");
 
-      if (targetHeading) {
-        const startLine = targetHeading.startLine + 1; // Skip heading line
-        const endLine = targetHeading.endLine;
-        const sectionLines = lines.slice(startLine, endLine + 1);
-        excerptText = sectionLines.join(" ").trim();
-      }
-    }
+  let excerptText = contentWithoutCode;
 
-    // Extract up to max_words words
-    const words = excerptText
-      .replace(/\s+/g, " ")
-      .replace(/[#*_`]/g, "")
-      .trim()
-      .split(/\s+/)
-      .filter((w) => w.length > 0);
+  // If anchor exists, extract section under that heading
+  if (anchor) {
+    const headings = extractHeadings(content);
+    const targetHeading = headings.find((h) => h.text.toLowerCase() === anchor.toLowerCase());
 
-    if (words.length === 0) {
-      return null;
+    if (targetHeading) {
+      const startLine = targetHeading.startLine + 1; // Skip heading line
+      const endLine = targetHeading.endLine;
+      const sectionLines = lines.slice(startLine, endLine + 1);
+      excerptText = sectionLines.join(" ").trim();
     }
+  }
 
-    const excerptWords = words.slice(0, max_words);
-    const excerpt = excerptWords.join(" ");
-
-    // Build citation
-    const citation = anchor ? `${path}#${anchor}` : path;
+  // Extract up to max_words words
+  const words = excerptText
+    .replace(/\s+/g, " ")
+    .replace(/[#*_`]/g, "")
+    .trim()
+    .split(/\s+/)
+    .filter((w) => w.length > 0);
 
-    return { excerpt, citation };
-  } catch (err) {
+  if (words.length === 0) {
     return null;
   }
+
+  const excerptWords = words.slice(0, max_words);
+  const excerpt = excerptWords.join(" ");
+
+  // Build citation
+  const citation = anchor ? `${path}#${anchor}` : path;
+
+  return { excerpt, citation };
 }
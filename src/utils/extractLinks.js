@@ -0,0 +1,243 @@
+import { posix } from "path";
+import { headingAnchor } from "./extractSections.js";
+import { isSourceFile, sourcePathCandidates } from "../index/parsers.js";
+
+// Canon URI schemes (see policy/docFetch.js uriToPath)
+const URI_RE = /\b(?:klappy|odd|kb):\/\/[^\s<>()[\]"'`]+/g;
+const URI_PREFIX_RE = /^(?:klappy|odd|kb):\/\//;
+
+// Inline links [text](target "title"); images (![alt](src)) are not references
+const INLINE_LINK_RE = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/g;
+
+// Reference-style definitions: [label]: target
+const REFERENCE_DEF_RE = /^\s{0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+.*)?$/;
+
+const FENCE_RE = /^\s{0,3}(```|~~~)/;
+
+// Obsidian wiki-links and embeds: [[Note]], [[Note#Heading|alias]], ![[Note]]
+const WIKI_LINK_RE = /(!?)\[\[([^[\]\n]+)\]\]/g;
+
+// Wiki targets naming an attachment (image.png, spec.pdf) rather than a note
+const ATTACHMENT_RE = /\.(?!md$|mdx$|txt$|adoc$|rst$)[a-z][a-z0-9]{1,4}$/i;
+
+/**
+ * Split the inside of a wiki-link (`Note#Heading|alias`) into its note name,
+ * #anchor (a heading, or `^block` id) and alias. Table cells escape the pipe
+ * as `\|`. Returns null for same-note links (`[[#Heading]]`) and attachments.
+ *
+ * @param {string} inner
+ * @returns {{ name: string, anchor: string|null, alias: string|null }|null}
+ */
+export function parseWikiLink(inner) {
+  const pipe = inner.search(/\\?\|/);
+  const target = pipe === -1 ? inner : inner.slice(0, pipe);
+  const alias = pipe === -1 ? null : inner.slice(pipe).replace(/^\\?\|/, "").trim() || null;
+  const { ref, anchor } = splitAnchor(target);
+  const name = ref.trim().replace(/\.(md|mdx|txt|adoc|rst)$/i, "");
+  if (!name || ATTACHMENT_RE.test(name)) return null;
+  return { name, anchor: anchor ? anchor.trim() : null, alias };
+}
+
+/**
+ * The wiki-links written in a line of text, attachments and same-note links
+ * left out.
+ *
+ * @param {string} text
+ * @returns {Array<{ occurrence: string, name: string, anchor: string|null, alias: string|null }>}
+ *   `occurrence` is the `[[...]]` text as written
+ */
+export function findWikiLinks(text) {
+  const found = [];
+  for (const match of text.matchAll(WIKI_LINK_RE)) {
+    const wiki = parseWikiLink(match[2]);
+    if (wiki) found.push({ occurrence: match[0].slice(match[1].length), ...wiki });
+  }
+  return found;
+}
+
+/**
+ * Split a link target into its reference and #anchor.
+ */
+function splitAnchor(target) {
+  const hash = target.indexOf("#");
+  if (hash === -1) return { ref: target, anchor: null };
+  return { ref: target.slice(0, hash), anchor: target.slice(hash + 1) || null };
+}
+
+/**
+ * Resolve a relative markdown link against the linking file's path.
+ * Root-relative links ("/canon/x.md") resolve from the repo root. Returns
+ * null for links that escape the root.
+ *
+ * @param {string} fromPath - Repo-relative path of the linking document
+ * @param {string} href - Link target without its #anchor
+ * @returns {string|null} Repo-relative posix path
+ */
+export function resolveLinkPath(fromPath, href) {
+  let decoded = href.split("?")[0];
+  try {
+    decoded = decodeURI(decoded);
+  } catch {
+    // Malformed escapes — use the target as written
+  }
+  const joined = decoded.startsWith("/") ? decoded.slice(1) : posix.join(posix.dirname(fromPath), decoded);
+  const normalized = posix.normalize(joined);
+  if (normalized === "." || normalized.startsWith("../")) return null;
+  return normalized;
+}
+
+/**
+ * Map a canon URI to the repo-relative paths it may name, the way `get`
+ * fetches it: klappy:// and kb:// strip the scheme, odd:// lives under odd/,
+ * and a missing extension means any source format, markdown first.
+ *
+ * @param {string} uri
+ * @returns {string[]}
+ */
+export function uriToIndexPaths(uri) {
+  const p = uri.startsWith("odd://") ? `odd/${uri.slice("odd://".length)}` : uri.replace(URI_PREFIX_RE, "");
+  return isSourceFile(p) || p.endsWith(".json") ? [p] : sourcePathCandidates(p);
+}
+
+/**
+ * The path a canon URI names when its document is markdown (see
+ * uriToIndexPaths for the other formats).
+ *
+ * @param {string} uri
+ * @returns {string}
+ */
+export function uriToIndexPath(uri) {
+  return uriToIndexPaths(uri)[0];
+}
+
+/**
+ * Extract outgoing references from a markdown body: inline links,
+ * reference-style link definitions, Obsidian wiki-links (and note embeds),
+ * and bare klappy:// / odd:// / kb:// URIs. Fenced code blocks and inline
+ * code are skipped, as are external links (http:, mailto:, ...), attachments
+ * and same-document anchors.
+ *
+ * Each distinct target is reported once, at its first occurrence (wiki-links
+ * by note name, case-insensitively).
+ *
+ * @param {string} content - Markdown content (frontmatter already stripped)
+ * @param {string} fromPath - Repo-relative path of the document, for relative links
+ * @param {number} [lineOffset=0] - Lines the stripped frontmatter took up
+ * @returns {Array<{ kind: "uri"|"path"|"wiki", target: string, text: string|null, line: number, uri?: string, path?: string|null, name?: string, anchor: string|null }>}
+ *   `line` is the 1-based line in the file (body line plus `lineOffset`); `uri` is set for URI references, `path`
+ *   (null when it escapes the repo) for relative links, and `name` (the note
+ *   title or filename, resolved at index time) for wiki-links, whose `target`
+ *   is the `[[...]]` text
+ */
+export function extractLinks(content, fromPath, lineOffset = 0) {
+  const links = [];
+  const seen = new Set();
+
+  const addWiki = (match, inner, line) => {
+    const wiki = parseWikiLink(inner);
+    if (!wiki) return;
+    const key = `wiki:${wiki.name.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push({ kind: "wiki", target: match, text: wiki.alias, line, name: wiki.name, anchor: wiki.anchor });
+  };
+
+  const add = (target, text, line) => {
+    const { ref, anchor } = splitAnchor(target);
+    let link;
+    if (URI_PREFIX_RE.test(ref)) {
+      link = { kind: "uri", target, text, line, uri: ref.replace(/[.,;:!?]+$/, ""), anchor };
+    } else if (!ref || /^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith("//")) {
+      return; // same-document anchor or external link
+    } else {
+      link = { kind: "path", target, text, line, path: resolveLinkPath(fromPath, ref), anchor };
+    }
+    const key = `${link.kind}:${link.uri ?? link.path ?? ref}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push(link);
+  };
+
+  let inFence = false;
+  const lines = content.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = lineOffset + i + 1;
+    if (FENCE_RE.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const line = lines[i].replace(/`[^`]*`/g, " ").replace(WIKI_LINK_RE, (match, bang, inner) => {
+      addWiki(match.slice(bang.length), inner, lineNo);
+      return " ";
+    });
+
+    const def = line.match(REFERENCE_DEF_RE);
+    if (def) {
+      add(def[2], def[1], lineNo);
+      continue;
+    }
+
+    // Inline links first; blank them out so their URIs aren't counted again as bare
+    const rest = line.replace(INLINE_LINK_RE, (match, bang, text, target) => {
+      if (!bang) add(target, text.trim() || null, lineNo);
+      return " ";
+    });
+    for (const match of rest.matchAll(URI_RE)) {
+      add(match[0].replace(/[.,;:!?]+$/, ""), null, lineNo);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Rewrite wiki-links in a markdown body as markdown links to canon URIs:
+ * `[[Note#Heading|alias]]` → `[alias](klappy://path/note#heading)`. Note
+ * embeds become plain links. Links `resolve` can't place, code, and
+ * attachments are left as written. URIs with spaces (vault filenames often
+ * have them) are wrapped in `<...>`.
+ *
+ * @param {string} content - Markdown content
+ * @param {(name: string) => string|null} resolve - Note name to its URI
+ * @returns {{ content: string, rewritten: number, unresolved: string[] }}
+ *   `unresolved` lists the distinct note names left as wiki-links
+ */
+export function rewriteWikiLinks(content, resolve) {
+  let rewritten = 0;
+  const unresolved = new Set();
+  let inFence = false;
+
+  const rewriteText = (text) =>
+    text.replace(WIKI_LINK_RE, (match, bang, inner) => {
+      const wiki = parseWikiLink(inner);
+      if (!wiki) return match;
+      const uri = resolve(wiki.name);
+      if (!uri) {
+        unresolved.add(wiki.name);
+        return match;
+      }
+      rewritten++;
+      let anchor = "";
+      if (wiki.anchor) anchor = `#${wiki.anchor.startsWith("^") ? wiki.anchor : headingAnchor(wiki.anchor)}`;
+      const text = wiki.alias || (wiki.anchor ? `${wiki.name} > ${wiki.anchor}` : wiki.name);
+      const href = `${uri}${anchor}`;
+      return `[${text}](${/\s/.test(href) ? `<${href}>` : href})`;
+    });
+
+  const lines = content.split("\n").map((line) => {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    if (inFence) return line;
+    // Odd parts sit inside inline code
+    return line
+      .split(/(`[^`]*`)/)
+      .map((part, i) => (i % 2 === 1 ? part : rewriteText(part)))
+      .join("");
+  });
+
+  return { content: lines.join("\n"), rewritten, unresolved: [...unresolved] };
+}
@@ -0,0 +1,69 @@
+import { extractHeadings } from "./extractHeadings.js";
+
+/**
+ * Build a GitHub-style heading anchor (lowercase, punctuation stripped,
+ * spaces to hyphens). Callers that need uniqueness within a document
+ * should go through extractSections, which suffixes repeats (-1, -2, ...).
+ *
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+export function headingAnchor(text) {
+  return String(text || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+/**
+ * Split markdown content into heading-delimited sections.
+ *
+ * Each heading owns the lines up to the next heading of any level (the same
+ * regions extractHeadings reports). Text before the first heading becomes a
+ * preamble section with `heading: null`; it is emitted only when non-empty,
+ * or when the document has no headings at all, so every document yields at
+ * least one section.
+ *
+ * @param {string} content - Markdown content (frontmatter already stripped)
+ * @param {Array} [headings] - Precomputed extractHeadings(content) result
+ * @returns {Array<{ heading: string|null, level: number, anchor: string, startLine: number, endLine: number, text: string }>}
+ */
+export function extractSections(content, headings = extractHeadings(content)) {
+  const lines = content.split("\n");
+  const sections = [];
+
+  const firstHeadingLine = headings.length > 0 ? headings[0].startLine : lines.length;
+  const preamble = lines.slice(0, firstHeadingLine).join("\n").trim();
+  if (preamble || headings.length === 0) {
+    sections.push({
+      heading: null,
+      level: 0,
+      anchor: "",
+      startLine: 0,
+      endLine: firstHeadingLine - 1,
+      text: preamble,
+    });
+  }
+
+  const seenAnchors = new Map();
+  for (const h of headings) {
+    const base = headingAnchor(h.text);
+    const count = seenAnchors.get(base) || 0;
+    seenAnchors.set(base, count + 1);
+
+    sections.push({
+      heading: h.text,
+      level: h.level,
+      anchor: count === 0 ? base : `${base}-${count}`,
+      startLine: h.startLine,
+      endLine: h.endLine,
+      text: lines
+        .slice(h.startLine + 1, h.endLine + 1)
+        .join("\n")
+        .trim(),
+    });
+  }
+
+  return sections;
+}
@@ -0,0 +1,132 @@
+/**
+ * MinHash signatures over word shingles, for near-duplicate detection.
+ *
+ * content_hash only catches byte-identical bodies (after whitespace
+ * normalization); a copy with one edited paragraph hashes differently. The
+ * fraction of matching MinHash slots between two signatures estimates the
+ * Jaccard similarity of the documents' shingle sets, so such copies still
+ * score high.
+ */
+
+export const SHINGLE_SIZE = 5; // words per shingle
+export const MINHASH_SIZE = 64; // slots per signature
+// Fewer distinct shingles than this and one shared phrase decides the score
+// (two "Coming soon." stubs would match at 1.0), so no signature is computed
+export const MIN_SHINGLES = 5;
+const LSH_BANDS = 32; // 2 slots per band: pairs down to ~0.2 similarity become candidates
+
+/**
+ * 32-bit FNV-1a with a seed, so two independent hashes come from one function.
+ */
+function fnv1a(str, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer: scrambles the linear h1 + i·h2 family so slots
+ * behave like independent hash functions.
+ */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Word shingles of normalized text: lowercased, markdown punctuation dropped,
+ * whitespace collapsed. Bodies shorter than one shingle yield none.
+ */
+function shingles(content) {
+  const words = content
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length < SHINGLE_SIZE) return [];
+  const result = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return [...result];
+}
+
+/**
+ * MinHash signature of a markdown body. Slot i holds the minimum over all
+ * shingles of fmix32(h1 + i·h2) (double hashing in place of MINHASH_SIZE
+ * independent hash functions).
+ *
+ * @param {string} content - Markdown content (frontmatter already stripped)
+ * @returns {number[]|null} MINHASH_SIZE unsigned 32-bit values, or null for a
+ *   body with fewer than MIN_SHINGLES shingles
+ */
+export function computeMinHash(content) {
+  const items = shingles(content || "");
+  if (items.length < MIN_SHINGLES) return null;
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (const shingle of items) {
+    const h1 = fnv1a(shingle, 0);
+    const h2 = fnv1a(shingle, 0x9e3779b9) | 1;
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const h = fmix32((h1 + Math.imul(i, h2)) >>> 0);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures (0–1).
+ */
+export function minHashSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+/**
+ * Find pairs of items whose signatures are at least `threshold` similar.
+ * Candidates come from locality-sensitive hashing (items sharing any band of
+ * the signature), then each candidate pair is scored in full, so the result
+ * is exact for the estimate but never compares every pair.
+ *
+ * @param {Array<{ minhash?: number[]|null }>} items
+ * @param {number} threshold - Minimum estimated similarity (0–1)
+ * @returns {Array<{ a: number, b: number, similarity: number }>} Item index pairs, a < b
+ */
+export function findNearDuplicatePairs(items, threshold) {
+  const rows = MINHASH_SIZE / LSH_BANDS;
+  const buckets = new Map();
+  items.forEach((item, idx) => {
+    const sig = item.minhash;
+    if (!Array.isArray(sig) || sig.length !== MINHASH_SIZE) return;
+    for (let band = 0; band < LSH_BANDS; band++) {
+      const key = `${band}:${sig.slice(band * rows, (band + 1) * rows).join(",")}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(idx);
+    }
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = `${members[i]}:${members[j]}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const similarity = minHashSimilarity(items[members[i]].minhash, items[members[j]].minhash);
+        if (similarity >= threshold) pairs.push({ a: members[i], b: members[j], similarity });
+      }
+    }
+  }
+  return pairs;
+}
@@ -1,14 +1,12 @@
+import { tokenize, tokenizeQuery } from "../search/analyzer.js";
+
 /**
- * Tokenize text for scoring
+ * Tokenize text for scoring — the same analyzer BM25 search uses
+ * (search/analyzer.js), so query and document terms are stemmed alike.
+ * Document fields are analyzed in the document's `lang`; query text goes
+ * through tokenizeQuery, which yields its stems in every supported language.
  */
-export function tokenize(text) {
-  if (!text) return [];
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, " ")
-    .split(/\s+/)
-    .filter((t) => t.length > 2);
-}
+export { tokenize, tokenizeQuery };
 
 /**
  * Epistemic mode bias configuration
@@ -138,6 +136,17 @@ export const EVIDENCE_WEIGHTS = {
   strong: 1.2,
 };
 
+/**
+ * Points per matching query token, by document field
+ */
+const FIELD_WEIGHTS = {
+  title: 10,
+  subtitle: 5,
+  tags: 5,
+  headings: 3,
+  content: 1,
+};
+
 /**
  * Score a document against a query
  * Returns { score, signals } where signals explain what mattered
@@ -167,40 +176,40 @@ export function scoreDocument(doc, queryTokens, epistemic = null) {
 
   // Title match (high weight)
   if (doc.title) {
-    const titleTokens = tokenize(doc.title);
+    const titleTokens = tokenize(doc.title, doc.lang);
     signals.title_match = queryTokens.filter((q) => titleTokens.includes(q)).length;
-    baseScore += signals.title_match * 10;
+    baseScore += signals.title_match * FIELD_WEIGHTS.title;
   }
 
   // Subtitle match (medium weight)
   if (doc.subtitle) {
-    const subtitleTokens = tokenize(doc.subtitle);
+    const subtitleTokens = tokenize(doc.subtitle, doc.lang);
     signals.subtitle_match = queryTokens.filter((q) => subtitleTokens.includes(q)).length;
-    baseScore += signals.subtitle_match * 5;
+    baseScore += signals.subtitle_match * FIELD_WEIGHTS.subtitle;
   }
 
   // Tags match (medium weight)
   if (doc.tags && doc.tags.length > 0) {
-    const tagTokens = doc.tags.flatMap((t) => tokenize(t));
+    const tagTokens = doc.tags.flatMap((t) => tokenize(t, doc.lang));
     signals.tag_match = queryTokens.filter((q) => tagTokens.includes(q)).length;
-    baseScore += signals.tag_match * 5;
+    baseScore += signals.tag_match * FIELD_WEIGHTS.tags;
   }
 
   // Headings match (medium weight)
   if (doc.headings && doc.headings.length > 0) {
     for (const h of doc.headings) {
-      const headingTokens = tokenize(h.text);
+      const headingTokens = tokenize(h.text, doc.lang);
       const headingMatches = queryTokens.filter((q) => headingTokens.includes(q)).length;
       signals.heading_match += headingMatches;
-      baseScore += headingMatches * 3;
+      baseScore += headingMatches * FIELD_WEIGHTS.headings;
     }
   }
 
   // Content preview match (low weight)
   if (doc.contentPreview) {
-    const contentTokens = tokenize(doc.contentPreview);
+    const contentTokens = tokenize(doc.contentPreview, doc.lang);
     signals.content_match = queryTokens.filter((q) => contentTokens.includes(q)).length;
-    baseScore += signals.content_match * 1;
+    baseScore += signals.content_match * FIELD_WEIGHTS.content;
   }
 
   // Authority band multiplier
@@ -239,6 +248,52 @@ export function scoreDocument(doc, queryTokens, epistemic = null) {
   return { score: finalScore, signals };
 }
 
+/**
+ * Break a scoreDocument result into its stages, for explain output: field
+ * matches × FIELD_WEIGHTS, then each multiplier with the doc property that
+ * set it. The epistemic stage includes the EPISTEMIC_MODE_BOOSTS criteria
+ * for the active mode.
+ *
+ * @param {Object} doc - The scored document
+ * @param {{ score: number, signals: Object }} scored - scoreDocument result
+ * @returns {Object}
+ */
+export function explainScore(doc, { score, signals }) {
+  const matches = {
+    title: signals.title_match,
+    subtitle: signals.subtitle_match,
+    tags: signals.tag_match,
+    headings: signals.heading_match,
+    content: signals.content_match,
+  };
+  const base = {};
+  let baseScore = 0;
+  for (const [field, count] of Object.entries(matches)) {
+    const points = count * FIELD_WEIGHTS[field];
+    base[field] = { matches: count, weight: FIELD_WEIGHTS[field], points };
+    baseScore += points;
+  }
+
+  const boosts = EPISTEMIC_MODE_BOOSTS[signals.epistemic_mode] || null;
+  return {
+    base,
+    base_score: baseScore,
+    multipliers: {
+      authority: { value: signals.authority_multiplier, authority_band: doc.authority_band || null },
+      intent: { value: signals.intent_multiplier, intent: doc.intent || null },
+      evidence: { value: signals.evidence_multiplier, evidence: doc.evidence || null },
+      origin: { value: signals.origin_multiplier, origin: doc.origin || "local" },
+      epistemic: {
+        value: signals.epistemic_multiplier,
+        mode: signals.epistemic_mode,
+        reason: signals.epistemic_reason,
+        criteria: boosts,
+      },
+    },
+    score,
+  };
+}
+
 /**
  * Find the best heading match in a document for a query
  */
@@ -251,7 +306,7 @@ export function findBestHeading(doc, queryTokens) {
   let bestScore = 0;
 
   for (const h of doc.headings) {
-    const headingTokens = tokenize(h.text);
+    const headingTokens = tokenize(h.text, doc.lang);
     const matches = queryTokens.filter((q) => headingTokens.includes(q)).length;
 
     if (matches > bestScore) {
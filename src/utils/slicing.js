@@ -1,5 +1,6 @@
 import { readFileSync } from "fs";
-import matter from "gray-matter";
+import { readLedgerEntry } from "../index/ledger.js";
+import { parseSource } from "../index/parsers.js";
 
 // Quote length constraints (in words)
 export const MIN_QUOTE_WORDS = 8;
@@ -19,8 +20,13 @@ export function countWords(text) {
  */
 export function extractQuote(doc, heading) {
   try {
-    const raw = readFileSync(doc.absolutePath, "utf-8");
-    const { content } = matter(raw);
+    // Ledger entries are rendered documents; their absolutePath is the ledger
+    const raw =
+      doc.origin === "ledger"
+        ? readLedgerEntry(doc.absolutePath, doc.uri).content
+        : readFileSync(doc.absolutePath, "utf-8");
+    // Heading line numbers index the parsed body, whatever the source format
+    const { content } = parseSource(doc.path, raw);
     const lines = content.split("\n");
 
     // Get the region for this heading
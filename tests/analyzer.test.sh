@@ -0,0 +1,88 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: shared text analyzer
+#
+# This test verifies:
+# 1. The Porter2 stemmer matches reference Snowball output
+# 2. BM25 and heuristic scoring tokenize identically
+# 3. Hyphens and underscores split compounds
+# 4. The index is stamped with the analyzer version, and an index built
+#    under another analyzer is rebuilt in full
+
+echo "Shared analyzer test"
+echo "===================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+analyze() {
+  node --input-type=module -e "
+import { porter2Stem } from '$PROJECT_ROOT/src/search/analyzer.js';
+import { tokenize as bm25Tokenize } from '$PROJECT_ROOT/src/search/bm25.js';
+import { tokenize as scoringTokenize } from '$PROJECT_ROOT/src/utils/scoring.js';
+$1
+"
+}
+
+echo ""
+echo "Test 1: Porter2 reference stems"
+check "stems" "consign consist generous knight run hope poni tie cri agre relat sensibl electr skis:ski" \
+  "$(analyze "
+const words = ['consigned', 'consistency', 'generously', 'knightly', 'running', 'hopefulness',
+  'ponies', 'ties', 'cries', 'agreed', 'relational', 'sensibility', 'electrical'];
+console.log([...words.map(porter2Stem), 'skis:' + porter2Stem('skis')].join(' '));
+")"
+
+echo ""
+echo "Test 2: Search and scoring agree"
+check "same tokens" "true" "$(analyze "
+const text = 'Epistemic modes: exploring, planning & executing the Definition-of-Done';
+console.log(JSON.stringify(bm25Tokenize(text)) === JSON.stringify(scoringTokenize(text)));
+")"
+
+echo ""
+echo "Test 3: Hyphen and underscore compounds split"
+check "compounds" "anti pattern epistem mode" "$(analyze "console.log(bm25Tokenize('anti-pattern epistemic_mode').join(' '))")"
+
+echo ""
+echo "Test 4: Analyzer version gates index reuse"
+mkdir -p "$FIXTURE_DIR/docs"
+printf -- '---\ntitle: Alpha\n---\n# Alpha\nalpha body\n' > "$FIXTURE_DIR/docs/alpha.md"
+
+run_index() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.stats.incremental.local.reused + ',' + d.stats.incremental.local.parsed);
+"
+}
+
+run_index >/dev/null
+check "analyzer stamped" "snowball-2" \
+  "$(node -e "console.log(JSON.parse(require('fs').readFileSync('$FIXTURE_DIR/.oddkit/index.json', 'utf-8')).analyzer)")"
+check "unchanged analyzer reuses entries (reused,parsed)" "1,0" "$(run_index)"
+
+node -e "
+const fs = require('fs');
+const p = '$FIXTURE_DIR/.oddkit/index.json';
+const idx = JSON.parse(fs.readFileSync(p, 'utf-8'));
+idx.analyzer = 'legacy';
+fs.writeFileSync(p, JSON.stringify(idx));
+"
+check "stale analyzer re-parses (reused,parsed)" "0,1" "$(run_index)"
+
+echo ""
+echo "===================="
+echo "All shared analyzer tests passed!"
@@ -0,0 +1,116 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: dead-reference audit (audit-links / oddkit_audit)
+#
+# This test verifies:
+# 1. In the default scope (writings/): dead klappy:// links and circular
+#    superseded_by chains are findings, resolvable and superseded-to-a-terminus
+#    URIs are not, legacy /page/ and ./*.md links are findings, and an
+#    audit-allow directive suppresses the next matching finding
+# 2. Scope paths (flag or JSON input) widen the audit; docs/archive/ stays excluded
+# 3. The action is exposed as oddkit_audit over MCP
+
+echo "Link audit test"
+echo "==============="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/writings" "$FIXTURE_DIR/canon" "$FIXTURE_DIR/docs/archive"
+
+cat > "$FIXTURE_DIR/canon/values.md" << 'EOF'
+---
+title: Values
+uri: klappy://canon/values
+---
+# Values
+EOF
+
+cat > "$FIXTURE_DIR/canon/old.md" << 'EOF'
+---
+title: Old Values
+superseded_by: klappy://canon/values
+---
+# Old Values
+EOF
+
+cat > "$FIXTURE_DIR/canon/loop-a.md" << 'EOF'
+---
+title: Loop A
+superseded_by: klappy://canon/loop-b
+---
+# Loop A
+EOF
+
+cat > "$FIXTURE_DIR/canon/loop-b.md" << 'EOF'
+---
+title: Loop B
+superseded_by: klappy://canon/loop-a
+---
+# Loop B
+Points at [nowhere](klappy://canon/nowhere).
+EOF
+
+cat > "$FIXTURE_DIR/writings/essay.md" << 'EOF'
+---
+title: Essay
+---
+# Essay
+See [values](klappy://canon/values) and [old values](klappy://canon/old#intro).
+Broken [gone](klappy://canon/gone) and [loop](klappy://canon/loop-a).
+<!-- audit-allow: dead-reference reason="placeholder" -->
+Coming soon: [todo](klappy://canon/todo).
+Legacy [page](/page/foo), [relative](./other.md) and [web](https://example.com).
+EOF
+
+cat > "$FIXTURE_DIR/docs/archive/history.md" << 'EOF'
+---
+title: History
+---
+Archived [link](klappy://canon/archived).
+EOF
+
+audit() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" audit-links -r "$FIXTURE_DIR" "$@" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const r = d.result;
+console.log(r.status + '|' + r.findings.map((f) => f.rule_id + ':' + f.location.path + ':' + f.location.line + ':' + f.occurrence).join(',') +
+  '|' + (r.suppressed_findings || []).map((f) => f.occurrence + ':' + (f.suppression_reason || '')).join(','));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+DEFAULT_OUT=$(audit)
+
+echo ""
+echo "Test 1: Default scope (writings/)"
+check "findings" "FINDINGS|dead-reference:writings/essay.md:6:klappy://canon/gone,dead-reference:writings/essay.md:6:klappy://canon/loop-a,legacy-link-pattern:writings/essay.md:9:/page/foo,legacy-link-pattern:writings/essay.md:9:./other.md|klappy://canon/todo:placeholder" \
+  "$DEFAULT_OUT"
+
+echo ""
+echo "Test 2: Scope paths"
+check "--paths" "FINDINGS|dead-reference:canon/loop-b.md:6:klappy://canon/nowhere|" "$(audit --paths canon/,docs/)"
+check "JSON scope" "FINDINGS|dead-reference:canon/loop-b.md:6:klappy://canon/nowhere|" "$(audit -i '{"scope":{"paths":["canon/"]}}')"
+
+echo ""
+echo "Test 3: Registered as an MCP tool"
+check "oddkit_audit" "true" "$(node --input-type=module -e "
+import { ALL_MCP_TOOLS, ORCHESTRATOR_TOOL } from '$PROJECT_ROOT/src/core/tool-registry.js';
+console.log(ALL_MCP_TOOLS.some((t) => t.name === 'oddkit_audit') && ORCHESTRATOR_TOOL.inputSchema.properties.action.enum.includes('audit'));
+")"
+
+echo ""
+echo "==============="
+echo "All link audit tests passed!"
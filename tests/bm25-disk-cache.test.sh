@@ -0,0 +1,80 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: BM25 index is persisted under ~/.oddkit/cache/indexes
+#
+# This test verifies:
+# 1. The first search builds the BM25 index and writes it to disk
+# 2. A second process loads it from disk instead of re-tokenizing
+# 3. Re-indexing changed content invalidates the persisted index
+# 4. Writing a slot prunes the repo's slots for other baseline SHAs, but not
+#    other repos' slots
+
+echo "BM25 disk cache regression test"
+echo "================================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR $FAKE_HOME" EXIT
+
+mkdir -p "$FIXTURE_DIR/docs"
+printf -- '---\ntitle: Alpha\n---\n# Alpha\nalpha body\n' > "$FIXTURE_DIR/docs/alpha.md"
+
+oddkit() {
+  HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" "$@" 2>/dev/null
+}
+
+search_source() {
+  oddkit search -i "$1" -r "$FIXTURE_DIR" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.debug.search_index_source + '|' + (d.result.hits || []).map(h => h.path).join(','));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected $expected)"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: First search builds and persists"
+check "first search" "built|docs/alpha.md" "$(search_source alpha)"
+if ls "$FAKE_HOME/.oddkit/cache/indexes/" | grep -q '^bm25-local-.*\.json$'; then
+  echo "PASS: BM25 cache file written"
+else
+  echo "FAIL: no bm25-*.json under ~/.oddkit/cache/indexes"
+  exit 1
+fi
+
+echo ""
+echo "Test 2: Second process loads from disk"
+check "second search" "disk|docs/alpha.md" "$(search_source alpha)"
+
+echo ""
+echo "Test 3: Changed content invalidates the persisted index"
+echo "zebra crossing" >> "$FIXTURE_DIR/docs/alpha.md"
+oddkit index -r "$FIXTURE_DIR" >/dev/null
+check "after re-index" "built|docs/alpha.md" "$(search_source zebra)"
+check "reload after re-index" "disk|docs/alpha.md" "$(search_source zebra)"
+
+echo ""
+echo "Test 4: Stale slots are pruned"
+CACHE_DIR="$FAKE_HOME/.oddkit/cache/indexes"
+SLOT=$(ls "$CACHE_DIR" | grep '^bm25-local-')
+REPO_KEY=${SLOT#bm25-local-}
+echo '{}' > "$CACHE_DIR/bm25-0123abcd-$REPO_KEY"
+echo '{}' > "$CACHE_DIR/bm25-local-000000000000.json"
+echo "yak shaving" >> "$FIXTURE_DIR/docs/alpha.md"
+oddkit index -r "$FIXTURE_DIR" >/dev/null
+check "rebuilt" "built|docs/alpha.md" "$(search_source yak)"
+check "slots left" "bm25-local-000000000000.json $SLOT" "$(ls "$CACHE_DIR" | grep '^bm25-' | sort | tr '\n' ' ' | sed 's/ $//')"
+
+echo ""
+echo "================================"
+echo "All BM25 disk cache tests passed!"
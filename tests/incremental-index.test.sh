@@ -0,0 +1,77 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: index rebuilds reuse unchanged entries
+#
+# This test verifies:
+# 1. A second `oddkit index` reuses every entry without re-parsing
+# 2. Editing one file re-parses only that file
+# 3. Deleting a file drops its entry
+# 4. --force re-parses everything
+
+echo "Incremental index rebuild test"
+echo "==============================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/docs"
+printf -- '---\ntitle: Alpha\n---\n# Alpha\nalpha body\n' > "$FIXTURE_DIR/docs/alpha.md"
+printf -- '---\ntitle: Beta\n---\n# Beta\nbeta body\n' > "$FIXTURE_DIR/docs/beta.md"
+
+incremental() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" "$@" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const s = d.stats.incremental.local;
+console.log([s.reused, s.parsed, s.removed].join(','));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name (reused,parsed,removed = $actual)"
+  else
+    echo "FAIL: $name (reused,parsed,removed = '$actual', expected $expected)"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Initial build parses everything"
+check "initial build" "0,2,0" "$(incremental)"
+
+echo ""
+echo "Test 2: Unchanged rebuild reuses everything"
+check "unchanged rebuild" "2,0,0" "$(incremental)"
+
+echo ""
+echo "Test 3: Edited file is re-parsed"
+echo "more alpha" >> "$FIXTURE_DIR/docs/alpha.md"
+check "edited file" "1,1,0" "$(incremental)"
+
+if node -e "
+const idx = require('$FIXTURE_DIR/.oddkit/index.json');
+const doc = idx.documents.find(d => d.path === 'docs/alpha.md');
+process.exit(doc.contentPreview.includes('more alpha') ? 0 : 1);
+"; then
+  echo "PASS: edited content is in the index"
+else
+  echo "FAIL: index still holds stale content for docs/alpha.md"
+  exit 1
+fi
+
+echo ""
+echo "Test 4: Deleted file is dropped"
+rm "$FIXTURE_DIR/docs/beta.md"
+check "deleted file" "1,0,1" "$(incremental)"
+
+echo ""
+echo "Test 5: --force re-parses everything"
+check "forced rebuild" "0,1,0" "$(incremental --force)"
+
+echo ""
+echo "==============================="
+echo "All incremental index tests passed!"
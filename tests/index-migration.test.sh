@@ -0,0 +1,198 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: openIndex migrations and rebuild reasons
+#
+# This test verifies:
+# 1. A missing index is built and reported as index_rebuild_reason: no_index
+# 2. A current index is reused (index_rebuild_reason: null)
+# 3. Registered migrations bring old indexes forward in place, up to the
+#    current version; entries a migration marks for re-parse are rebuilt
+#    incrementally
+# 4. Versions without a migration path are rebuilt (index_version_changed)
+# 5. Analyzer, config and baseline changes rebuild with their own reason,
+#    in task debug output (catalog) as well as search
+
+echo "Index migration test"
+echo "===================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR $FAKE_HOME" EXIT
+
+REPO="$FIXTURE_DIR/repo"
+BASELINE="$FIXTURE_DIR/base"
+mkdir -p "$REPO/canon" "$BASELINE/canon"
+INDEX="$REPO/.oddkit/index.json"
+
+cat > "$REPO/canon/alpha.md" << 'EOF'
+---
+title: Alpha
+---
+# Alpha
+
+Alpha explains how migrations carry an index forward between schema versions.
+
+## Details
+
+Each migration rewrites the saved index using data it already holds.
+EOF
+
+cat > "$BASELINE/canon/base.md" << 'EOF'
+---
+title: Baseline doc
+---
+# Baseline doc
+EOF
+
+oddkit() {
+  HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" "$@" 2>/dev/null
+}
+
+# Rebuild reason reported by an action's debug output ("null" when reused)
+reason() {
+  node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).debug.index_rebuild_reason)"
+}
+
+# Same, from a task result's own debug (orient, catalog, ...)
+task_reason() {
+  node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).result.debug.index_rebuild_reason)"
+}
+
+search_reason() {
+  oddkit search -i "alpha" -r "$REPO" "$@" | reason
+}
+
+# Rewrite the saved index: $1 is a function body over `idx`
+edit_index() {
+  node -e "
+const fs = require('fs');
+const idx = JSON.parse(fs.readFileSync('$INDEX', 'utf-8'));
+(idx => { $1 })(idx);
+fs.writeFileSync('$INDEX', JSON.stringify(idx));
+"
+}
+
+index_field() {
+  node -e "
+const idx = JSON.parse(require('fs').readFileSync('$INDEX', 'utf-8'));
+console.log((idx => $1)(idx));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1-2: Build, then reuse"
+check "fresh build" "no_index" "$(search_reason)"
+check "reused" "null" "$(search_reason)"
+CURRENT_VERSION=$(index_field "idx.version")
+MINHASH=$(index_field "JSON.stringify(idx.documents[0].minhash)")
+
+echo ""
+echo "Test 3: Registered migrations"
+# Migrations run in place over the loaded index, chained up to the current
+# version
+migrate_from() {
+  (cd "$PROJECT_ROOT" && node --input-type=module -e "
+import { readFileSync } from 'fs';
+import { migrateIndex } from './src/index/buildIndex.js';
+const idx = JSON.parse(readFileSync('$INDEX', 'utf-8'));
+idx.version = '$1';
+(idx => { $2 })(idx);
+const current = await migrateIndex(idx);
+console.log([current, idx.version, String((idx => $3)(idx))].join(' '));
+")
+}
+
+# 1.9.0 → 1.10.0 recomputes MinHash signatures, 1.10.0 → 1.11.0 re-globs
+# for the excluded-file lists, then on through the rest
+check "1.9.0 migrated" "true $CURRENT_VERSION $MINHASH" \
+  "$(migrate_from 1.9.0 "idx.documents.forEach((d) => delete d.minhash);" "JSON.stringify(idx.documents[0].minhash)")"
+
+# 1.12.0 → 1.13.0 adds the ledger entries
+mkdir -p "$REPO/odd/ledger"
+echo '{"id":"dec-0001","title":"Keep migrations","status":"accepted","decision":"Migrate instead of rebuilding."}' > "$REPO/odd/ledger/decisions.jsonl"
+check "1.12.0 adds ledger entries" "odd://ledger/decisions/dec-0001 1" \
+  "$(migrate_from 1.12.0 "" "[idx.documents.filter((d) => d.origin === 'ledger').map((d) => d.uri).join(','), idx.sources.ledger.entries].join(' ')" | cut -d' ' -f3-)"
+rm -r "$REPO/odd"
+
+# 1.13.0 → 1.14.0 re-globs for the non-markdown formats
+echo "Notes on migrating." > "$REPO/canon/notes.txt"
+check "1.13.0 picks up new formats" "text markdown" \
+  "$(migrate_from 1.13.0 "idx.documents.forEach((d) => delete d.format);" "['canon/notes.txt', 'canon/alpha.md'].map((p) => idx.documents.find((d) => d.path === p)?.format).join(' ')" | cut -d' ' -f3-)"
+rm "$REPO/canon/notes.txt"
+
+# 1.14.0 → 1.15.0 marks only entries with wiki-link text for re-parse;
+# openIndex re-parses those and re-links, reusing the rest
+cat > "$REPO/canon/beta.md" << 'EOF'
+# Beta
+
+Beta builds on [[Alpha]].
+EOF
+oddkit index -r "$REPO" > /dev/null
+edit_index "idx.version = '1.14.0'; idx.documents.forEach((d) => { d.links = d.links.filter((l) => l.kind !== 'wiki'); }); idx.backlinks = {};"
+check "wiki entries re-parsed" "entries_need_reparse" "$(search_reason)"
+check "only those parsed" "1 1" "$(index_field "[idx.stats.incremental.local.parsed, idx.stats.incremental.local.reused].join(' ')")"
+check "wiki-link re-linked" "canon/beta.md" "$(index_field "idx.backlinks['canon/alpha.md'].map((l) => l.path).join(',')")"
+rm "$REPO/canon/beta.md"
+
+# 1.15.0 → 1.16.0 re-parses entries with links so their lines count the
+# frontmatter
+cat > "$REPO/canon/gamma.md" << 'EOF'
+---
+title: Gamma
+---
+# Gamma
+
+Gamma follows [Alpha](alpha.md).
+EOF
+oddkit index -r "$REPO" > /dev/null
+edit_index "idx.version = '1.15.0'; idx.documents.forEach((d) => d.links.forEach((l) => { l.line -= 3; }));"
+check "linked entries re-parsed" "entries_need_reparse" "$(search_reason)"
+check "only those parsed" "1 1" "$(index_field "[idx.stats.incremental.local.parsed, idx.stats.incremental.local.reused].join(' ')")"
+check "file line" "6" "$(index_field "idx.documents.find((d) => d.path === 'canon/gamma.md').links[0].line")"
+rm "$REPO/canon/gamma.md"
+oddkit index -r "$REPO" > /dev/null
+GENERATED=$(index_field "idx.generated")
+
+# 1.11.0 → 1.12.0 adds the config fields, and the chain carries it to the
+# current version without a rebuild
+edit_index "idx.version = '1.11.0'; delete idx.sources.local.config_path; delete idx.sources.local.config_hash;"
+check "1.11.0 migrated without rebuild" "null" "$(search_reason)"
+check "migrated version saved" "$CURRENT_VERSION" "$(index_field "idx.version")"
+check "config fields added" "true" "$(index_field "'config_hash' in idx.sources.local && idx.sources.local.config_hash === null")"
+check "not rebuilt" "$GENERATED" "$(index_field "idx.generated")"
+
+echo ""
+echo "Test 4: No migration path"
+edit_index "idx.version = '1.0.0';"
+check "old version rebuilt" "index_version_changed" "$(search_reason)"
+check "rebuilt at current version" "$CURRENT_VERSION" "$(index_field "idx.version")"
+
+echo ""
+echo "Test 5: Analyzer, config and baseline changes"
+edit_index "idx.analyzer = 'old-analyzer';"
+check "analyzer (catalog)" "analyzer_changed" "$(oddkit catalog -r "$REPO" | task_reason)"
+check "catalog reuses" "null" "$(oddkit catalog -r "$REPO" | task_reason)"
+
+mkdir -p "$REPO/.oddkit"
+echo '{ "intents": { "canon/": "pattern" } }' > "$REPO/.oddkit/config.json"
+check "config edited" "config_changed" "$(search_reason)"
+
+check "baseline added" "baseline_now_available" "$(search_reason -b "$BASELINE")"
+check "baseline reused" "null" "$(search_reason -b "$BASELINE")"
+check "baseline removed" "baseline_now_unavailable" "$(search_reason)"
+
+echo ""
+echo "===================="
+echo "All index migration tests passed!"
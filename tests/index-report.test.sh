@@ -0,0 +1,154 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: index health report (oddkit index --report / index_report action)
+#
+# This test verifies each check against a fixture with one problem per doc:
+# missing title/URI, duplicate URI, URI/path mismatch, empty heading,
+# .noindex and exposure: noindex exclusions, unknown authority_band/intent.
+
+echo "Index report test"
+echo "================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon/private" "$FIXTURE_DIR/docs"
+touch "$FIXTURE_DIR/canon/private/.noindex"
+
+cat > "$FIXTURE_DIR/canon/good.md" << 'EOF'
+---
+title: Good
+uri: klappy://canon/good
+---
+# Good
+
+## Parent
+
+### Child
+
+Body.
+EOF
+
+cat > "$FIXTURE_DIR/canon/untitled.md" << 'EOF'
+---
+uri: klappy://canon/untitled
+---
+# Untitled
+
+Body.
+EOF
+
+cat > "$FIXTURE_DIR/docs/no-uri.md" << 'EOF'
+---
+title: No URI
+authority_band: sacred
+intent: someday
+---
+# No URI
+
+## Empty section
+
+## Filled section
+
+Body.
+EOF
+
+cat > "$FIXTURE_DIR/canon/dup-a.md" << 'EOF'
+---
+title: Dup A
+uri: klappy://canon/dup
+---
+# Dup A
+
+Body.
+EOF
+
+cat > "$FIXTURE_DIR/canon/dup.md" << 'EOF'
+---
+title: Dup
+uri: klappy://canon/dup
+---
+# Dup
+
+Body.
+EOF
+
+cat > "$FIXTURE_DIR/canon/private/secret.md" << 'EOF'
+---
+title: Secret
+---
+# Secret
+EOF
+
+cat > "$FIXTURE_DIR/canon/hidden.md" << 'EOF'
+---
+title: Hidden
+exposure: noindex
+---
+# Hidden
+EOF
+
+REPORT=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" --report 2>/dev/null)
+
+field() {
+  echo "$REPORT" | node -e "
+const r = JSON.parse(require('fs').readFileSync(0, 'utf-8')).report;
+console.log(($1)(r));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+paths() {
+  field "(r) => r.$1.map((e) => e.path).sort().join(',')"
+}
+
+echo ""
+echo "Test 1: Missing titles and URIs"
+check "missing title" "canon/untitled.md" "$(paths missing_title)"
+check "missing uri" "docs/no-uri.md" "$(paths missing_uri)"
+
+echo ""
+echo "Test 2: Duplicate URIs and URI/path mismatches"
+check "duplicate uri" "klappy://canon/dup:canon/dup-a.md,canon/dup.md" \
+  "$(field "(r) => r.duplicate_uris.map((d) => d.uri + ':' + d.docs.map((x) => x.path).sort().join(',')).join(';')")"
+check "uri/path mismatch" "canon/dup-a.md>canon/dup.md" \
+  "$(field "(r) => r.uri_path_mismatches.map((m) => m.path + '>' + m.expected_path).join(';')")"
+
+echo ""
+echo "Test 3: Empty headings (parents of subsections don't count)"
+check "empty heading" "docs/no-uri.md:Empty section" \
+  "$(field "(r) => r.empty_headings.map((h) => h.path + ':' + h.heading).join(';')")"
+
+echo ""
+echo "Test 4: Exclusions"
+check "excluded" "canon/hidden.md:exposure-noindex,canon/private/secret.md:noindex-sentinel" \
+  "$(field "(r) => r.excluded.map((e) => e.path + ':' + e.reason).sort().join(',')")"
+
+echo ""
+echo "Test 5: Unknown authority_band and intent"
+check "authority" "docs/no-uri.md:sacred" "$(field "(r) => r.unknown_authority_band.map((e) => e.path + ':' + e.value).join(';')")"
+check "intent" "docs/no-uri.md:someday>operational" "$(field "(r) => r.unknown_intent.map((e) => e.path + ':' + e.value + '>' + e.using).join(';')")"
+
+echo ""
+echo "Test 6: MCP action"
+ACTION=$(cd "$PROJECT_ROOT" && ODDKIT_BASELINE_REF=invalid-to-disable node --input-type=module -e "
+import { handleAction } from './src/core/actions.js';
+const r = await handleAction({ action: 'index_report', repoRoot: '$FIXTURE_DIR' });
+console.log(r.result.status + ' ' + r.result.summary.duplicate_uris + ' ' + r.assistant_text.startsWith('Checked 5 local docs.'));
+" 2>/dev/null)
+check "index_report action" "FINDINGS 1 true" "$ACTION"
+
+echo ""
+echo "================="
+echo "All index report tests passed!"
@@ -0,0 +1,116 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: index watch mode
+#
+# This test verifies:
+# 1. `oddkit index --watch` picks up added, edited and deleted docs
+# 2. Editor temp/swap files and files outside the include patterns don't
+#    trigger a rebuild
+# 3. The MCP server's watcher (ODDKIT_WATCH=1) refreshes the index and the
+#    in-memory BM25 index, and exits when stdin closes
+
+echo "Index watch test"
+echo "================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+WATCH_PID=""
+cleanup() {
+  if [ -n "$WATCH_PID" ]; then kill "$WATCH_PID" 2>/dev/null || true; fi
+  rm -rf "$FIXTURE_DIR" "$FAKE_HOME"
+}
+trap cleanup EXIT
+
+REPO="$FIXTURE_DIR/repo"
+mkdir -p "$REPO/canon" "$REPO/scratch"
+INDEX="$REPO/.oddkit/index.json"
+LOG="$FIXTURE_DIR/watch.log"
+
+printf -- '---\ntitle: Alpha\n---\n# Alpha\nalpha body\n' > "$REPO/canon/alpha.md"
+
+export HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable
+
+paths() {
+  node -e "
+const idx = JSON.parse(require('fs').readFileSync('$INDEX', 'utf-8'));
+console.log(idx.documents.map((d) => d.path + ':' + d.title).sort().join(','));
+"
+}
+
+# Wait up to ~10s for the index to list $1
+wait_for() {
+  local expected="$1"
+  for _ in $(seq 1 50); do
+    if [ "$(paths 2>/dev/null)" = "$expected" ]; then break; fi
+    sleep 0.2
+  done
+  paths
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    [ -f "$LOG" ] && cat "$LOG"
+    exit 1
+  fi
+}
+
+node "$PROJECT_ROOT/bin/oddkit" index --watch -r "$REPO" > /dev/null 2> "$LOG" &
+WATCH_PID=$!
+for _ in $(seq 1 50); do
+  grep -q "^Watching" "$LOG" 2>/dev/null && break
+  sleep 0.2
+done
+
+echo ""
+echo "Test 1: Added, edited and deleted docs"
+printf -- '---\ntitle: Beta\n---\n# Beta\nbeta body\n' > "$REPO/canon/beta.md"
+check "added" "canon/alpha.md:Alpha,canon/beta.md:Beta" "$(wait_for "canon/alpha.md:Alpha,canon/beta.md:Beta")"
+
+printf -- '---\ntitle: Beta Two\n---\n# Beta\nbeta body, edited\n' > "$REPO/canon/beta.md"
+check "edited" "canon/alpha.md:Alpha,canon/beta.md:Beta Two" "$(wait_for "canon/alpha.md:Alpha,canon/beta.md:Beta Two")"
+
+rm "$REPO/canon/alpha.md"
+check "deleted" "canon/beta.md:Beta Two" "$(wait_for "canon/beta.md:Beta Two")"
+
+echo ""
+echo "Test 2: Temp files and unindexed paths are ignored"
+UPDATES=$(grep -c "^Index updated" "$LOG")
+touch "$REPO/canon/.beta.md.swp" "$REPO/canon/beta.md~" "$REPO/canon/4913" "$REPO/scratch/notes.md"
+sleep 1.5
+check "no rebuild" "$UPDATES" "$(grep -c "^Index updated" "$LOG")"
+
+kill "$WATCH_PID"
+wait "$WATCH_PID" 2>/dev/null || true
+WATCH_PID=""
+
+echo ""
+echo "Test 3: MCP server watcher"
+# Keep stdin open until the test writes the edit, then close it
+RESULT=$(cd "$REPO" && ODDKIT_WATCH=1 ODDKIT_DEBUG_MCP=1 timeout 20 node --input-type=module -e "
+import { spawn } from 'child_process';
+import { writeFileSync } from 'fs';
+const server = spawn(process.execPath, ['$PROJECT_ROOT/src/mcp/server.js'], { stdio: ['pipe', 'ignore', 'pipe'] });
+let stderr = '';
+let refreshed = false;
+server.stderr.on('data', (chunk) => {
+  stderr += chunk;
+  if (!refreshed && stderr.includes('watching')) {
+    refreshed = true;
+    writeFileSync('canon/gamma.md', '---\ntitle: Gamma\n---\n# Gamma\ngamma body\n');
+  }
+  if (stderr.includes('index refreshed')) server.stdin.end();
+});
+server.on('exit', () => console.log(stderr.match(/index refreshed \(.*bm25 (\w+)\)/)?.[1] ?? 'no refresh'));
+")
+check "refreshed with BM25 rebuilt in memory" "built" "$RESULT"
+check "index has new doc" "canon/beta.md:Beta Two,canon/gamma.md:Gamma" "$(paths)"
+
+echo ""
+echo "================"
+echo "All index watch tests passed!"
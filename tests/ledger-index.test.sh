@@ -0,0 +1,123 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: ledger entries as documents
+#
+# This test verifies:
+# 1. Decision and learning ledger entries are indexed as virtual documents
+#    (odd://ledger/<ledger>/<id>) with origin "ledger" and their metadata
+# 2. Invalid lines are skipped and counted; a repeated id keeps the last line
+# 3. Search ranks ledger entries and `--origin ledger` filters to them
+# 4. `get` returns a rendered entry, its sections, and DOC_NOT_FOUND for
+#    unknown ids
+# 5. Resolve follows superseded_by between ledger entries
+# 6. Excerpts (orchestrate's quote upgrade) read the rendered entry
+
+echo "Ledger index test"
+echo "================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR $FAKE_HOME" EXIT
+
+REPO="$FIXTURE_DIR/repo"
+mkdir -p "$REPO/canon" "$REPO/odd/ledger"
+INDEX="$REPO/.oddkit/index.json"
+
+cat > "$REPO/canon/alpha.md" << 'EOF'
+---
+title: Alpha
+---
+# Alpha
+
+Alpha covers release checklists and nothing about quarantine.
+EOF
+
+cat > "$REPO/odd/ledger/decisions.jsonl" << 'EOF'
+{"id":"dec-0001","timestamp":"2026-01-29T00:00:00Z","title":"Quarantine flaky tests","status":"accepted","decision":"Move flaky tests to a quarantine suite draft.","context":"Flaky tests block merges.","options_considered":[{"option":"Retry","pros":["cheap"],"cons":["hides flakes"]}],"rationale":["Keeps main green"],"consequences":["Quarantine needs an owner"],"evidence":[{"type":"link","ref":"https://example.com/ci"}],"links":[]}
+not json
+{"id":"dec-0001","timestamp":"2026-01-30T00:00:00Z","title":"Quarantine flaky tests","status":"superseded","superseded_by":"dec-0002","decision":"Move flaky tests to a quarantine suite.","context":"Flaky tests block merges.","options_considered":[],"rationale":["Keeps main green"],"consequences":[],"evidence":[],"links":[]}
+{"id":"dec-0002","timestamp":"2026-02-01T00:00:00Z","title":"Fix flaky tests within a week","status":"accepted","supersedes":["dec-0001"],"decision":"Quarantined tests must be fixed or deleted within a week.","context":"The quarantine suite kept growing.","options_considered":[],"rationale":["Bounded quarantine"],"consequences":[],"evidence":[],"links":[]}
+EOF
+
+cat > "$REPO/odd/ledger/learnings.jsonl" << 'EOF'
+{"id":"learn-0001","timestamp":"2026-01-29T00:00:00Z","summary":"Quarantine hides regressions","trigger":"drift","impact":"Regressions slipped past the quarantine suite unnoticed.","confidence":0.8,"sources":[],"evidence":[],"candidate_targets":[],"proposed_escalation":"none"}
+{"timestamp":"2026-01-29T00:00:00Z","summary":"No id"}
+EOF
+
+oddkit() {
+  HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" "$@" 2>/dev/null
+}
+
+# Evaluate $1 over the parsed JSON on stdin as `r`
+json() {
+  node -e "const r = JSON.parse(require('fs').readFileSync(0, 'utf-8')); console.log((r => $1)(r));"
+}
+
+index_field() {
+  node -e "
+const idx = JSON.parse(require('fs').readFileSync('$INDEX', 'utf-8'));
+console.log((idx => $1)(idx));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1-2: Entries indexed as documents"
+oddkit index -r "$REPO" > /dev/null
+check "ledger docs" "odd://ledger/decisions/dec-0001,odd://ledger/decisions/dec-0002,odd://ledger/learnings/learn-0001" \
+  "$(index_field "idx.documents.filter((d) => d.origin === 'ledger').map((d) => d.uri).sort().join(',')")"
+check "ledger counts" "2 3 2" \
+  "$(index_field "[idx.sources.ledger.files.length, idx.sources.ledger.entries, idx.sources.ledger.skipped.length].join(' ')")"
+check "metadata" "Quarantine flaky tests superseded 2026-01-30T00:00:00Z" \
+  "$(index_field "(d => [d.title, d.frontmatter.status, d.frontmatter.timestamp].join(' '))(idx.documents.find((d) => d.uri === 'odd://ledger/decisions/dec-0001'))")"
+
+echo ""
+echo "Test 3: Search"
+check "ledger entry ranked first" "odd://ledger/decisions/dec-0001 ledger" \
+  "$(oddkit search -i "quarantine suite" -r "$REPO" | json "[r.result.hits[0].uri, r.result.hits[0].source].join(' ')")"
+check "origin filter" "ledger,ledger,ledger" \
+  "$(oddkit search -i "quarantine" -r "$REPO" --origin ledger | json "r.result.hits.map((h) => h.source).join(',')")"
+
+echo ""
+echo "Test 4: Get"
+GET=$(oddkit get -i "odd://ledger/decisions/dec-0001" -r "$REPO")
+check "origin and line" "ledger odd/ledger/decisions.jsonl:3" \
+  "$(echo "$GET" | json "[r.result.origin, r.result.ledger.path + ':' + r.result.ledger.line].join(' ')")"
+check "last line wins" "true" "$(echo "$GET" | json "r.result.content.includes('quarantine suite.') && !r.result.content.includes('suite draft')")"
+check "section" "## Rationale|- Keeps main green" \
+  "$(oddkit get -i "odd://ledger/decisions/dec-0001" -r "$REPO" --section Rationale | json "r.result.content.trim().split('\n').filter(Boolean).join('|')")"
+check "learning leads with impact" "true" \
+  "$(oddkit get -i "odd://ledger/learnings/learn-0001" -r "$REPO" | json "r.result.content.includes('# Quarantine hides regressions\n\nRegressions slipped')")"
+check "unknown id" "DOC_NOT_FOUND" "$(oddkit get -i "odd://ledger/decisions/dec-9999" -r "$REPO" | json "r.result.error.code")"
+
+echo ""
+echo "Test 5: Supersedes between entries"
+check "resolve follows superseded_by" "odd://ledger/decisions/dec-0002" \
+  "$(oddkit resolve -i "odd://ledger/decisions/dec-0001" -r "$REPO" | json "r.result.resolved.uri")"
+
+echo ""
+echo "Test 6: Excerpts"
+excerpt() {
+  (cd "$PROJECT_ROOT" && node --input-type=module -e "
+import { readExcerpt } from './src/tools/readExcerpt.js';
+const r = await readExcerpt({ repo_root: '$REPO', origin: 'ledger', path: '$1', anchor: $2, max_words: 4 });
+console.log(r ? r.citation + '|' + r.excerpt : 'null');
+")
+}
+check "section excerpt" "odd/ledger/decisions/dec-0001#Rationale|- Keeps main green" "$(excerpt odd/ledger/decisions/dec-0001 "'Rationale'")"
+check "unknown entry" "null" "$(excerpt odd/ledger/decisions/dec-9999 null)"
+
+echo ""
+echo "================="
+echo "All ledger index tests passed!"
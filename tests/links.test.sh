@@ -0,0 +1,110 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: link graph (outgoing links and backlinks)
+#
+# This test verifies:
+# 1. Relative, root-relative and klappy:// references resolve to indexed docs
+# 2. Code, images, external links and missing targets are handled
+# 3. Backlinks list each citing doc once
+# 4. get --include-links attaches the graph
+# 5. The action is exposed as oddkit_links over MCP
+
+echo "Link graph test"
+echo "==============="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon/constraints" "$FIXTURE_DIR/canon/values"
+
+cat > "$FIXTURE_DIR/canon/constraints/no-secrets.md" << 'EOF'
+---
+title: No Secrets
+uri: klappy://canon/constraints/no-secrets
+---
+# No Secrets
+Never commit secrets.
+EOF
+
+cat > "$FIXTURE_DIR/canon/values/safety.md" << 'EOF'
+---
+title: Safety
+---
+# Safety
+See [no secrets](../constraints/no-secrets.md#no-secrets) and klappy://canon/constraints/no-secrets.
+Also [missing](./gone.md), [external](https://example.com) and ![diagram](pic.png).
+```
+[in code](ignored.md)
+```
+Inline `klappy://canon/in-code` is ignored.
+
+[trust]: /canon/values/trust
+EOF
+
+cat > "$FIXTURE_DIR/canon/values/trust.md" << 'EOF'
+---
+title: Trust
+---
+# Trust
+Trust is earned.
+EOF
+
+oddkit() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" "$@" -r "$FIXTURE_DIR" 2>/dev/null || true
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Outgoing links resolve"
+check "outgoing" "../constraints/no-secrets.md#no-secrets=canon/constraints/no-secrets.md,klappy://canon/constraints/no-secrets=canon/constraints/no-secrets.md,./gone.md=-,/canon/values/trust=canon/values/trust.md" \
+  "$(oddkit links -i canon/values/safety.md | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.outgoing.map((l) => l.target + '=' + (l.resolved ? l.resolved.path : '-')).join(','));
+")"
+
+echo ""
+echo "Test 2: Counts exclude code, images and external links"
+check "counts" "4,1,0" "$(oddkit links -i canon/values/safety | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log([d.result.counts.outgoing, d.result.counts.unresolved, d.result.counts.backlinks].join(','));
+")"
+
+echo ""
+echo "Test 3: Backlinks by URI, one per citing doc"
+check "backlinks" "canon/values/safety.md:5:no secrets" "$(oddkit links -i klappy://canon/constraints/no-secrets | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.backlinks.map((l) => l.path + ':' + l.line + ':' + l.text).join(','));
+")"
+
+echo ""
+echo "Test 4: get --include-links attaches the graph"
+check "get links" "canon/values/safety.md" "$(oddkit get -i klappy://canon/constraints/no-secrets --include-links | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log((d.result.links?.backlinks || []).map((l) => l.path).join(','));
+")"
+check "get without links" "false" "$(oddkit get -i klappy://canon/constraints/no-secrets | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log('links' in d.result);
+")"
+
+echo ""
+echo "Test 5: Registered as an MCP tool"
+check "oddkit_links" "true" "$(node --input-type=module -e "
+import { ALL_MCP_TOOLS, ORCHESTRATOR_TOOL } from '$PROJECT_ROOT/src/core/tool-registry.js';
+console.log(ALL_MCP_TOOLS.some((t) => t.name === 'oddkit_links') && ORCHESTRATOR_TOOL.inputSchema.properties.action.enum.includes('links'));
+")"
+
+echo ""
+echo "==============="
+echo "All link graph tests passed!"
@@ -0,0 +1,140 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: near-duplicate detection (MinHash) in the librarian
+#
+# This test verifies:
+# 1. Index entries carry a MinHash signature
+# 2. A copy with one edited paragraph is collapsed into one candidate, with its similarity in debug
+# 3. A partially overlapping doc is kept and flagged; an unrelated doc is neither
+# 4. Collapsing is not transitive: a doc close to a collapsed copy but not to
+#    the representative is kept
+# 5. Bodies too short for a signature (stubs) are never collapsed
+
+echo "Near-duplicate test"
+echo "==================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon" "$FIXTURE_DIR/docs"
+
+P1="Release reviews happen every Thursday afternoon. Each team brings a short written summary of what shipped, what slipped, and what they learned along the way."
+P2="A release is only considered done when the changelog entry is merged, the deployment checklist is signed off by the on-call engineer, and monitoring dashboards show no new alerts for one full hour."
+P3="Rollbacks are always preferred over hotfixes during the first day after a release. The on-call engineer may roll back without asking for approval when error rates double."
+P4="Every release review ends with a list of follow-up tasks, each with a named owner and a due date that is no more than two weeks away."
+P5="Teams that miss two reviews in a row are asked to present a recovery plan at the next planning meeting, so that release quality stays visible to everyone."
+P5_EDITED="Teams that miss three reviews in a row are asked to present a written recovery plan at the next planning meeting, so that release quality stays visible to everyone."
+P6="Dashboards for deployment health live in the shared observability folder and are reviewed weekly by the platform group."
+P7="Incident retrospectives are written within three days and linked from the incident ticket, with timelines reconstructed from chat logs and alert history."
+
+doc() {
+  local path="$1" title="$2"
+  shift 2
+  {
+    echo "---"
+    echo "title: $title"
+    echo "---"
+    echo "# $title"
+    for p in "$@"; do
+      echo ""
+      echo "$p"
+    done
+  } > "$FIXTURE_DIR/$path"
+}
+
+doc canon/release-process.md "Release process" "$P1" "$P2" "$P3" "$P4" "$P5"
+doc docs/release-process-copy.md "Release process (team copy)" "$P1" "$P2" "$P3" "$P4" "$P5_EDITED"
+doc docs/release-notes.md "Release notes" "$P1" "$P2" "$P3" "$P6"
+doc docs/incidents.md "Incidents" "$P7" "Pager rotations change every Monday at nine and are published in the team calendar."
+
+OUT=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" librarian -r "$FIXTURE_DIR" -q "when is a release done" 2>/dev/null)
+
+field() {
+  echo "$OUT" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const nd = d.debug.near_duplicates;
+console.log(($1)(nd, d));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Signatures stored in the index"
+check "minhash length" "64" "$(node -e "
+const idx = JSON.parse(require('fs').readFileSync('$FIXTURE_DIR/.oddkit/index.json', 'utf-8'));
+console.log(idx.documents.find((d) => d.path === 'canon/release-process.md').minhash.length);
+")"
+
+echo ""
+echo "Test 2: Edited copy collapsed"
+check "collapsed group" "canon/release-process.md<docs/release-process-copy.md" \
+  "$(field "(nd) => nd.collapsed.map((g) => g.chosen.path + '<' + g.collapsed.map((c) => c.path).join(',')).join(';')")"
+check "similarity reported" "true" \
+  "$(field "(nd) => nd.collapsed[0].collapsed[0].similarity >= nd.collapse_threshold && nd.collapsed[0].collapsed[0].similarity < 1")"
+check "copy not a candidate" "false" \
+  "$(field "(nd, d) => d.arbitration.candidates_considered.some((c) => c.path === 'docs/release-process-copy.md')")"
+
+echo ""
+echo "Test 3: Partial overlap flagged, unrelated doc ignored"
+check "flagged pair" "canon/release-process.md~docs/release-notes.md" \
+  "$(field "(nd) => nd.flagged.map((f) => [f.a.path, f.b.path].sort().join('~')).join(';')")"
+
+echo ""
+echo "Test 4: No transitive collapse"
+# Synthetic 12-word paragraphs, so the estimates are fixed: a~b 0.88,
+# b~c 0.83, a~c 0.73. Strong evidence makes a the representative.
+CHAIN_DIR="$FIXTURE_DIR/chain"
+mkdir -p "$CHAIN_DIR/docs"
+block() {
+  local k="$1" out="" j
+  for j in $(seq 0 11); do out="$out w${k}x$j"; done
+  echo "${out# }"
+}
+chain_doc() {
+  local path="$1" evidence="$2"
+  shift 2
+  {
+    echo "---"
+    echo "title: Rotation policy"
+    echo "evidence: $evidence"
+    echo "---"
+    echo "# Rotation policy"
+    for k in "$@"; do
+      echo ""
+      block "$k"
+    done
+  } > "$CHAIN_DIR/$path"
+}
+chain_doc docs/rotation-a.md strong $(seq 1 11)
+chain_doc docs/rotation-b.md none $(seq 1 10) 100
+chain_doc docs/rotation-c.md none $(seq 1 9) 100 101
+printf -- '---\ntitle: Rotation stub one\n---\nComing soon.\n' > "$CHAIN_DIR/docs/stub-one.md"
+printf -- '---\ntitle: Rotation stub two\n---\nComing soon.\n' > "$CHAIN_DIR/docs/stub-two.md"
+
+OUT=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" librarian -r "$CHAIN_DIR" -q "rotation policy" 2>/dev/null)
+check "only the close copy collapsed" "docs/rotation-a.md<docs/rotation-b.md" \
+  "$(field "(nd) => nd.collapsed.map((g) => g.chosen.path + '<' + g.collapsed.map((c) => c.path).join(',')).join(';')")"
+check "chain end flagged" "docs/rotation-a.md~docs/rotation-c.md" \
+  "$(field "(nd) => nd.flagged.map((f) => [f.a.path, f.b.path].sort().join('~')).join(';')")"
+
+echo ""
+echo "Test 5: Short stubs"
+check "no signature" "null null" "$(node -e "
+const idx = JSON.parse(require('fs').readFileSync('$CHAIN_DIR/.oddkit/index.json', 'utf-8'));
+console.log(['docs/stub-one.md', 'docs/stub-two.md'].map((p) => JSON.stringify(idx.documents.find((d) => d.path === p).minhash)).join(' '));
+")"
+
+echo ""
+echo "==================="
+echo "All near-duplicate tests passed!"
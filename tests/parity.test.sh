@@ -57,7 +57,7 @@ check_envelope() {
 }
 
 # ──────────────────────────────────────────────────────────────────────────────
-# Test 1: All 11 actions produce the same envelope shape (action, result, assistant_text, debug)
+# Test 1: All actions produce the same envelope shape (action, result, assistant_text, debug)
 # ──────────────────────────────────────────────────────────────────────────────
 
 echo ""
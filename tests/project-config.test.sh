@@ -0,0 +1,154 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: project config (.oddkit/config.json)
+#
+# This test verifies:
+# 1. include/exclude globs replace the default canon/ odd/ docs/ writings/ layout
+# 2. authority_bands / intents path rules apply (frontmatter still wins)
+# 3. Editing the config invalidates the cached index and the search index
+#    behind authority:/intent: filters
+# 4. `baseline` sets the default baseline (relative to the repo root)
+# 5. Invalid configs are reported clearly (oddkit config, oddkit index)
+
+echo "Project config test"
+echo "==================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+REPO="$FIXTURE_DIR/repo"
+mkdir -p "$REPO/.oddkit" "$REPO/adr" "$REPO/handbook/drafts" "$REPO/canon" "$FIXTURE_DIR/base/canon"
+
+cat > "$REPO/adr/0001-use-odd.md" << 'EOF'
+---
+title: Use ODD
+---
+# Use ODD
+EOF
+
+cat > "$REPO/adr/0002-experiment.md" << 'EOF'
+---
+title: Try a thing
+authority_band: non-governing
+intent: experiment
+---
+# Try a thing
+EOF
+
+cat > "$REPO/handbook/onboarding.md" << 'EOF'
+---
+title: Onboarding
+---
+# Onboarding
+EOF
+
+cat > "$REPO/handbook/drafts/wip.md" << 'EOF'
+---
+title: WIP
+---
+# WIP
+EOF
+
+cat > "$REPO/canon/ignored.md" << 'EOF'
+---
+title: Not included
+---
+# Not included
+EOF
+
+cat > "$FIXTURE_DIR/base/canon/base-doc.md" << 'EOF'
+---
+title: Baseline doc
+---
+# Baseline doc
+EOF
+
+write_config() {
+  cat > "$REPO/.oddkit/config.json" << EOF
+{
+  "include": ["adr/**/*.md", "handbook/**/*.md"],
+  "exclude": ["**/drafts/**"],
+  "authority_bands": { "adr/": "governing", "handbook/": "$1" },
+  "intents": { "adr/": "promoted" },
+  "baseline": "../base"
+}
+EOF
+}
+
+docs() {
+  node -e "
+const idx = JSON.parse(require('fs').readFileSync('$REPO/.oddkit/index.json', 'utf-8'));
+console.log(idx.documents.filter((d) => d.origin === '$1').map((d) => d.path + ':' + d.authority_band + ':' + d.intent).sort().join(','));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+write_config operational
+OUT=$(node "$PROJECT_ROOT/bin/oddkit" index -r "$REPO" 2>/dev/null)
+
+echo ""
+echo "Test 1-2: Include/exclude globs and path rules"
+check "local docs" \
+  "adr/0001-use-odd.md:governing:promoted,adr/0002-experiment.md:non-governing:experiment,handbook/onboarding.md:operational:operational" \
+  "$(docs local)"
+
+echo ""
+echo "Test 3: Editing the config invalidates the cached index"
+# Paths of the hits for a query, searching with a warm BM25 cache
+hits() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$REPO" -i "$1" 2>/dev/null \
+    | node -e "console.log((JSON.parse(require('fs').readFileSync(0, 'utf-8')).result.hits || []).map((h) => h.path).join(','))"
+}
+check "filter before edit" "handbook/onboarding.md" "$(hits "onboarding authority:operational")"
+write_config governing
+check "filter after edit" "handbook/onboarding.md" "$(hits "onboarding authority:governing")"
+check "old band gone" "" "$(hits "onboarding authority:operational")"
+check "rule change applied" "handbook/onboarding.md:governing:operational" \
+  "$(docs local | tr ',' '\n' | grep handbook)"
+
+echo ""
+echo "Test 4: Default baseline from config"
+check "baseline source" "config" \
+  "$(echo "$OUT" | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).baseline.source)")"
+check "baseline docs" "canon/base-doc.md:governing:promoted" "$(docs baseline)"
+ENV_OUT=$(ODDKIT_BASELINE="$FIXTURE_DIR/missing" node "$PROJECT_ROOT/bin/oddkit" index -r "$REPO" 2>/dev/null)
+check "env beats config" "environment" \
+  "$(echo "$ENV_OUT" | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).baseline.source)")"
+
+echo ""
+echo "Test 5: Invalid config"
+cat > "$REPO/.oddkit/config.json" << 'EOF'
+{
+  "include": "adr/**/*.md",
+  "authority_bands": { "adr/": "law" },
+  "baseline_url": "x"
+}
+EOF
+set +e
+ERR=$(node "$PROJECT_ROOT/bin/oddkit" config -r "$REPO" 2>&1 >/dev/null)
+CODE=$?
+set -e
+check "config exit code" "2" "$CODE"
+check "errors listed" "3" "$(echo "$ERR" | grep -c '^  - ')"
+echo "$ERR" | grep -q 'authority_bands\["adr/"\]: "law" is not one of governing, operational, non-governing' \
+  && echo "PASS: authority error message" || { echo "FAIL: authority error message: $ERR"; exit 1; }
+set +e
+INDEX_ERR=$(node "$PROJECT_ROOT/bin/oddkit" index -r "$REPO" 2>&1 >/dev/null)
+set -e
+echo "$INDEX_ERR" | grep -q 'unknown key "baseline_url"' \
+  && echo "PASS: index reports invalid config" || { echo "FAIL: index error: $INDEX_ERR"; exit 1; }
+
+echo ""
+echo "==================="
+echo "All project config tests passed!"
@@ -0,0 +1,107 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: related documents ("more like this")
+#
+# This test verifies:
+# 1. A doc resolves by URI or by path, and related docs rank by shared terms
+# 2. The doc itself and its supersedes chain (both directions) are excluded
+# 3. Supersedes cycles terminate
+# 4. Unknown docs return an error envelope
+# 5. The action is exposed as oddkit_related over MCP
+
+echo "Related documents test"
+echo "======================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon"
+
+cat > "$FIXTURE_DIR/canon/dod.md" << 'EOF'
+---
+title: Definition of Done
+uri: klappy://canon/dod
+supersedes: klappy://canon/dod-v1
+tags: [quality]
+---
+# Definition of Done
+Work is done when tests pass and a peer reviews the change.
+## Review
+Peer review checks tests and acceptance criteria.
+EOF
+
+cat > "$FIXTURE_DIR/canon/dod-v1.md" << 'EOF'
+---
+title: Old Done
+uri: klappy://canon/dod-v1
+---
+# Old Done
+Work is done when tests pass and the change is reviewed.
+EOF
+
+cat > "$FIXTURE_DIR/canon/review.md" << 'EOF'
+---
+title: Code Review Checklist
+tags: [quality]
+---
+# Code Review
+A peer review checks tests, acceptance criteria, and naming.
+EOF
+
+cat > "$FIXTURE_DIR/canon/deploy.md" << 'EOF'
+---
+title: Deploy Runbook
+---
+# Deploy
+Ship containers to the cluster with kubectl.
+EOF
+
+related() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" related -r "$FIXTURE_DIR" -i "$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+if (d.result.error) { console.log('error'); process.exit(0); }
+console.log(d.result.source.path + '|' + d.result.hits.map((h) => h.path).join(',') + '|' + d.result.excluded.map((e) => e.path).join(','));
+" || true
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Related docs by URI and by path"
+check "by uri" "canon/dod.md|canon/review.md|canon/dod-v1.md" "$(related klappy://canon/dod)"
+check "by path" "canon/dod.md|canon/review.md|canon/dod-v1.md" "$(related canon/dod.md)"
+
+echo ""
+echo "Test 2: Superseded doc excludes its successor"
+check "reverse chain" "canon/dod-v1.md|canon/review.md|canon/dod.md" "$(related canon/dod-v1)"
+
+echo ""
+echo "Test 3: Supersedes cycle terminates"
+sed -i 's|^uri: klappy://canon/dod-v1$|uri: klappy://canon/dod-v1\nsupersedes: klappy://canon/dod|' "$FIXTURE_DIR/canon/dod-v1.md"
+check "cycle" "canon/dod.md|canon/review.md|canon/dod-v1.md" "$(related klappy://canon/dod)"
+
+echo ""
+echo "Test 4: Unknown doc is an error"
+check "not found" "error" "$(related canon/missing.md)"
+
+echo ""
+echo "Test 5: Registered as an MCP tool"
+check "oddkit_related" "true" "$(node --input-type=module -e "
+import { ALL_MCP_TOOLS, ORCHESTRATOR_TOOL } from '$PROJECT_ROOT/src/core/tool-registry.js';
+console.log(ALL_MCP_TOOLS.some((t) => t.name === 'oddkit_related') && ORCHESTRATOR_TOOL.inputSchema.properties.action.enum.includes('related'));
+")"
+
+echo ""
+echo "======================"
+echo "All related documents tests passed!"
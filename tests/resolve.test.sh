@@ -0,0 +1,117 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: resolve action (supersession chain walking)
+#
+# This test verifies:
+# 1. superseded_by (on the old doc) and supersedes (on the new doc) chain together
+# 2. An unsuperseded doc resolves to itself, by URI or path
+# 3. A dangling successor truncates the chain with a warning
+# 4. Cycles are reported as CIRCULAR_SUPERSESSION
+# 5. Unknown URIs are NOT_FOUND
+
+echo "Resolve test"
+echo "============"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon"
+
+cat > "$FIXTURE_DIR/canon/v1.md" << 'EOF'
+---
+title: Values v1
+uri: klappy://canon/v1
+superseded_by: canon/v2
+superseded_at: 2026-01-01
+---
+# Values v1
+EOF
+
+cat > "$FIXTURE_DIR/canon/v2.md" << 'EOF'
+---
+title: Values v2
+---
+# Values v2
+EOF
+
+cat > "$FIXTURE_DIR/canon/v3.md" << 'EOF'
+---
+title: Values v3
+uri: klappy://canon/v3
+supersedes: klappy://canon/v2
+---
+# Values v3
+EOF
+
+cat > "$FIXTURE_DIR/canon/ghost.md" << 'EOF'
+---
+title: Ghost
+superseded_by: klappy://canon/missing
+---
+# Ghost
+EOF
+
+cat > "$FIXTURE_DIR/canon/a.md" << 'EOF'
+---
+title: A
+supersedes: klappy://canon/b
+---
+# A
+EOF
+
+cat > "$FIXTURE_DIR/canon/b.md" << 'EOF'
+---
+title: B
+supersedes: klappy://canon/a
+---
+# B
+EOF
+
+resolve() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" resolve -r "$FIXTURE_DIR" -i "$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const r = d.result;
+const chain = (r.supersession_chain || []).map((c) => c.path + (c.via ? '[' + c.via + ']' : '')).join('>');
+console.log([r.status, r.resolved ? r.resolved.uri : '-', chain, r.warning ? 'warning' : ''].join('|'));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Mixed superseded_by / supersedes chain"
+check "v1 -> v3" "FOUND|klappy://canon/v3|canon/v1.md[superseded_by]>canon/v2.md[supersedes]|" "$(resolve klappy://canon/v1)"
+check "superseded_at (cached index)" "2026-01-01T00:00:00.000Z" "$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" resolve -r "$FIXTURE_DIR" -i klappy://canon/v1 2>/dev/null |
+  node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).result.supersession_chain[0].superseded_at)")"
+
+echo ""
+echo "Test 2: Terminal doc resolves to itself"
+check "by uri" "FOUND|klappy://canon/v3||" "$(resolve klappy://canon/v3)"
+check "by path" "FOUND|klappy://canon/v3||" "$(resolve canon/v3.md)"
+
+echo ""
+echo "Test 3: Dangling successor"
+check "ghost" "FOUND|klappy://canon/ghost||warning" "$(resolve klappy://canon/ghost)"
+
+echo ""
+echo "Test 4: Cycle"
+check "a <-> b" "CIRCULAR_SUPERSESSION|-|canon/a.md[supersedes]>canon/b.md[supersedes]>canon/a.md|" "$(resolve klappy://canon/a)"
+
+echo ""
+echo "Test 5: Unknown URI"
+check "not found" "NOT_FOUND|-||" "$(resolve klappy://canon/nope)"
+
+echo ""
+echo "============"
+echo "All resolve tests passed!"
@@ -0,0 +1,102 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: score explanation mode
+#
+# This test verifies:
+# 1. search --explain reports BM25 term contributions that sum to the score
+# 2. Each explained hit records its overlay/baseline grouping decision
+# 3. librarian --explain reports field points, multipliers and precedence
+# 4. oddkit explain renders the breakdown of the last run; explained searches
+#    through handleAction (MCP) leave the state directory alone
+
+echo "Score explanation test"
+echo "======================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+export ODDKIT_STATE_DIR=$(mktemp -d)
+export ODDKIT_BASELINE_REF=invalid-to-disable
+trap "rm -rf $FIXTURE_DIR $ODDKIT_STATE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon"
+
+cat > "$FIXTURE_DIR/canon/dod.md" << 'EOF'
+---
+title: Definition of Done
+intent: promoted
+---
+# Definition of Done
+Work is done when tests pass and the change is reviewed by a peer before merge.
+EOF
+
+cat > "$FIXTURE_DIR/canon/notes.md" << 'EOF'
+---
+title: Review Notes
+intent: workaround
+---
+# Review Notes
+A quick workaround: done means merged, tests optional when reviewed.
+EOF
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+SEARCH_OUT=$(node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "definition of done" --explain 2>/dev/null)
+
+echo ""
+echo "Test 1: Term contributions sum to the BM25 score"
+check "sums match" "true,true" "$(echo "$SEARCH_OUT" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.hits.map((h) => {
+  const b = h.explain.bm25;
+  const sum = b.terms.reduce((s, t) => s + t.contribution, 0) + b.phrase_boost.boost;
+  return Math.abs(sum - h.score) < 1e-9 && Math.abs(b.score - h.score) < 1e-9;
+}).join(','));
+")"
+
+echo ""
+echo "Test 2: Grouping decision recorded per hit"
+check "grouping" "merged:score_order:1,merged:score_order:2" "$(echo "$SEARCH_OUT" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.hits.map((h) => h.explain.grouping.mode + ':' + h.explain.grouping.decision + ':' + h.explain.grouping.rank).join(','));
+")"
+
+echo ""
+echo "Test 3: Hits carry no explanation unless asked"
+check "no explain" "false" "$(node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "definition of done" 2>/dev/null | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.hits.some((h) => 'explain' in h));
+")"
+
+echo ""
+echo "Test 4: oddkit explain renders the search breakdown"
+SEARCH_MD=$(node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "definition of done" --explain >/dev/null 2>&1 &&
+  node "$PROJECT_ROOT/bin/oddkit" explain 2>/dev/null)
+check "breakdown heading" "1" "$(echo "$SEARCH_MD" | grep -c '^## Score breakdown$')"
+check "term line" "1" "$(echo "$SEARCH_MD" | grep -c '^- term `definit`: tf 2')"
+rm -f "$ODDKIT_STATE_DIR/last.json"
+check "MCP search writes no state" "true false" "$(cd "$PROJECT_ROOT" && node --input-type=module -e "
+import { existsSync } from 'fs';
+import { handleAction } from './src/core/actions.js';
+const r = await handleAction({ action: 'search', input: 'definition of done', repoRoot: '$FIXTURE_DIR', explain: true });
+console.log([!!r.result.hits[0].explain, existsSync('$ODDKIT_STATE_DIR/last.json')].join(' '));
+" 2>/dev/null)"
+
+echo ""
+echo "Test 5: librarian --explain reports multipliers and precedence"
+LIB_MD=$(node "$PROJECT_ROOT/bin/oddkit" tool librarian -r "$FIXTURE_DIR" -q "what is the definition of done" --explain >/dev/null 2>&1 &&
+  node "$PROJECT_ROOT/bin/oddkit" explain 2>/dev/null)
+check "intent multiplier" "1" "$(echo "$LIB_MD" | grep -c 'intent ×0.600 (workaround)')"
+check "precedence" "2" "$(echo "$LIB_MD" | grep -c '^- intent precedence: rank')"
+
+echo ""
+echo "======================"
+echo "All score explanation tests passed!"
@@ -0,0 +1,100 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: language-aware analysis for mixed-language repos
+#
+# This test verifies:
+# 1. buildIndex records each document's language (frontmatter lang: or detected)
+# 2. Accented query terms survive tokenization
+# 3. Spanish and German inflections match through their own stemmers
+# 4. English search is unaffected, and lang: filters by language
+# 5. The heuristic scorer matches documents in their own language
+
+echo "Multilingual search test"
+echo "========================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon"
+
+cat > "$FIXTURE_DIR/canon/despliegue.md" << 'EOF2'
+---
+title: Guía de despliegue
+lang: es-MX
+---
+# Guía de despliegue
+Las publicaciones se despliegan con la canalización automática.
+EOF2
+
+cat > "$FIXTURE_DIR/canon/bereitstellung.md" << 'EOF2'
+---
+title: Bereitstellung
+---
+# Bereitstellung
+Die Veröffentlichungen werden über die automatische Pipeline bereitgestellt.
+Eine Überprüfung ist vor der Freigabe nicht optional, und die Dokumentation wird mit jeder Änderung aktualisiert.
+EOF2
+
+cat > "$FIXTURE_DIR/canon/release.md" << 'EOF2'
+---
+title: Release guide
+---
+# Release guide
+Releases are deployed by the automated pipeline after review.
+EOF2
+
+search() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log((d.result.hits || []).map(h => h.path).join(','));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Accented terms are kept whole"
+check "canalización" "canon/despliegue.md" "$(search 'canalización')"
+
+echo ""
+echo "Test 2: Document languages recorded"
+check "langs" "canon/bereitstellung.md:de,canon/despliegue.md:es,canon/release.md:en" \
+  "$(node -e "
+const idx = JSON.parse(require('fs').readFileSync('$FIXTURE_DIR/.oddkit/index.json', 'utf-8'));
+console.log(idx.documents.map(d => d.path + ':' + d.lang).sort().join(','));
+")"
+
+echo ""
+echo "Test 3: Inflections match in each language"
+check "publicación → publicaciones" "canon/despliegue.md" "$(search 'publicación')"
+check "Veröffentlichung → Veröffentlichungen" "canon/bereitstellung.md" "$(search 'Veröffentlichung')"
+
+echo ""
+echo "Test 4: English unaffected, lang: filter"
+check "deploy" "canon/release.md" "$(search 'deploy')"
+check "pipeline lang:de" "canon/bereitstellung.md" "$(search 'pipeline lang:de')"
+
+echo ""
+echo "Test 5: Heuristic scorer matches in the document's language"
+check "title match" "1,1" "$(node --input-type=module -e "
+import { scoreDocument, tokenizeQuery } from '$PROJECT_ROOT/src/utils/scoring.js';
+const q = tokenizeQuery('publicación');
+const es = scoreDocument({ title: 'Publicaciones', lang: 'es' }, q).signals.title_match;
+const en = scoreDocument({ title: 'Publications', lang: 'en' }, tokenizeQuery('publications')).signals.title_match;
+console.log(es + ',' + en);
+")"
+
+echo ""
+echo "========================"
+echo "All multilingual search tests passed!"
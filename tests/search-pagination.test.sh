@@ -0,0 +1,111 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: search pagination
+#
+# This test verifies:
+# 1. total_matches counts every match, not just the page
+# 2. Consecutive pages (offset and cursor) tile the ordering without overlap
+# 3. next_cursor is null on the last page
+# 4. Invalid limits and mismatched cursors return error envelopes
+# 5. A cursor issued before the indexed docs changed is rejected as stale
+
+echo "Search pagination regression test"
+echo "=================================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/docs"
+for i in $(seq -w 1 12); do
+  printf -- '---\ntitle: Widget %s\n---\n# Widget %s\nwidget notes\n' "$i" "$i" > "$FIXTURE_DIR/docs/widget-$i.md"
+done
+
+search() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -i widget -r "$FIXTURE_DIR" "$@" 2>/dev/null || true
+}
+
+field() {
+  node -e "
+const r = JSON.parse(require('fs').readFileSync(0, 'utf-8')).result;
+const v = { paths: (r.hits || []).map(h => h.path).join(','), total: r.total_matches, cursor: r.next_cursor, error: r.error }['$1'];
+console.log(v === undefined ? '' : v);
+"
+}
+
+ALL=$(search --limit 50 | field paths)
+PAGE1=$(search --limit 5 | field paths)
+PAGE2=$(search --limit 5 --offset 5 | field paths)
+CURSOR=$(search --limit 5 | field cursor)
+PAGE2_CURSOR=$(search --limit 5 --cursor "$CURSOR" | field paths)
+CURSOR3=$(search --limit 5 --cursor "$CURSOR" | field cursor)
+PAGE3=$(search --limit 5 --cursor "$CURSOR3")
+
+echo ""
+echo "Test 1: total_matches"
+TOTAL=$(search | field total)
+if [ "$TOTAL" = "12" ]; then
+  echo "PASS: total_matches = 12"
+else
+  echo "FAIL: total_matches = '$TOTAL' (expected 12)"
+  exit 1
+fi
+
+echo ""
+echo "Test 2: Pages tile the full ordering"
+if [ "$PAGE1,$PAGE2,$(echo "$PAGE3" | field paths)" = "$ALL" ]; then
+  echo "PASS: offset/cursor pages concatenate to the full result list"
+else
+  echo "FAIL: pages do not tile the ordering"
+  echo "  all:   $ALL"
+  echo "  pages: $PAGE1 | $PAGE2 | $(echo "$PAGE3" | field paths)"
+  exit 1
+fi
+if [ "$PAGE2_CURSOR" = "$PAGE2" ]; then
+  echo "PASS: cursor page equals offset page"
+else
+  echo "FAIL: cursor page '$PAGE2_CURSOR' != offset page '$PAGE2'"
+  exit 1
+fi
+
+echo ""
+echo "Test 3: Last page has no next_cursor"
+LAST_CURSOR=$(echo "$PAGE3" | field cursor)
+if [ "$LAST_CURSOR" = "null" ] || [ -z "$LAST_CURSOR" ]; then
+  echo "PASS: next_cursor is null on the last page"
+else
+  echo "FAIL: next_cursor = '$LAST_CURSOR' on the last page"
+  exit 1
+fi
+
+echo ""
+echo "Test 4: Invalid paging input"
+if search --limit 0 | field error | grep -q '"limit" must be'; then
+  echo "PASS: limit 0 rejected"
+else
+  echo "FAIL: limit 0 accepted"
+  exit 1
+fi
+MISMATCH=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -i notes -r "$FIXTURE_DIR" --cursor "$CURSOR" 2>/dev/null || true)
+if echo "$MISMATCH" | field error | grep -q "different query"; then
+  echo "PASS: cursor from another query rejected"
+else
+  echo "FAIL: cursor from another query accepted"
+  exit 1
+fi
+
+echo ""
+echo "Test 5: Stale cursor after a rebuild"
+printf -- '---\ntitle: Widget 00\n---\n# Widget 00\nwidget notes\n' > "$FIXTURE_DIR/docs/widget-00.md"
+ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" > /dev/null 2>&1
+if search --limit 5 --cursor "$CURSOR" | field error | grep -q "index has changed"; then
+  echo "PASS: cursor from before the index changed rejected"
+else
+  echo "FAIL: stale cursor accepted"
+  exit 1
+fi
+
+echo ""
+echo "=================================="
+echo "All search pagination tests passed!"
@@ -0,0 +1,118 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: structured search query language
+#
+# This test verifies:
+# 1. Quoted phrases must appear verbatim (modulo punctuation/case)
+# 2. Field filters (tag:, path:, authority:) restrict results
+# 3. -negation excludes matching documents
+# 4. OR combines filters
+# 5. Filter-only queries return every matching document
+# 6. Structured filter params narrow results; facets count the matches
+
+echo "Search query language regression test"
+echo "======================================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon/constraints" "$FIXTURE_DIR/docs"
+
+cat > "$FIXTURE_DIR/canon/constraints/dod.md" << 'EOF2'
+---
+title: Definition of Done
+tags: [constraints, release]
+---
+# Definition of Done
+The definition of done requires passing tests.
+EOF2
+
+cat > "$FIXTURE_DIR/canon/constraints/dod-draft.md" << 'EOF2'
+---
+title: Draft Done Criteria
+tags: [constraints, draft]
+---
+# Draft
+A draft definition of done.
+EOF2
+
+cat > "$FIXTURE_DIR/docs/deploy.md" << 'EOF2'
+---
+title: Deploy Notes
+tags: [ops]
+---
+# Deploy
+Done is done; the definition lives elsewhere.
+EOF2
+
+search_paths() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" --input="$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log((d.result.hits || []).map(h => h.path).sort().join(','));
+"
+}
+
+check() {
+  local name="$1" query="$2" expected="$3"
+  local actual
+  actual=$(search_paths "$query")
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name"
+  else
+    echo "FAIL: $name — query '$query' returned '$actual' (expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Phrases"
+check "quoted phrase excludes scattered words" '"definition of done"' \
+  "canon/constraints/dod-draft.md,canon/constraints/dod.md"
+
+echo ""
+echo "Test 2: Field filters"
+check "tag filter" 'tag:ops done' "docs/deploy.md"
+check "path prefix filter" 'path:canon/ done' "canon/constraints/dod-draft.md,canon/constraints/dod.md"
+check "authority filter" 'authority:governing done' "canon/constraints/dod-draft.md,canon/constraints/dod.md"
+
+echo ""
+echo "Test 3: Negation"
+check "combined query with negation" 'tag:constraints authority:governing "definition of done" -draft' \
+  "canon/constraints/dod.md"
+check "negated field" 'done -tag:constraints' "docs/deploy.md"
+
+echo ""
+echo "Test 4: OR"
+check "OR across tags" 'tag:ops OR tag:release' "canon/constraints/dod.md,docs/deploy.md"
+
+echo ""
+echo "Test 5: Filter-only query"
+check "filter-only returns all matches" 'tag:constraints' \
+  "canon/constraints/dod-draft.md,canon/constraints/dod.md"
+
+echo ""
+echo "Test 6: Filter params and facet counts"
+FACETED=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" \
+  --input="done" --tags release,ops --path-prefix canon/ 2>/dev/null |
+  node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const f = d.result.facets || {};
+console.log([
+  (d.result.hits || []).map(h => h.path).join(','),
+  JSON.stringify(f.tags),
+  JSON.stringify(f.path_prefix),
+].join('|'));
+")
+if [ "$FACETED" = 'canon/constraints/dod.md|{"constraints":1,"release":1}|{"canon/":1}' ]; then
+  echo "PASS: --tags/--path-prefix narrow results and facets count the matches"
+else
+  echo "FAIL: filter params / facets = '$FACETED'"
+  exit 1
+fi
+
+echo ""
+echo "======================================"
+echo "All search query language tests passed!"
@@ -0,0 +1,73 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: offline semantic / hybrid retrieval
+#
+# This test verifies:
+# 1. retrieval "bm25" (default) only finds literal term matches
+# 2. retrieval "semantic" also finds a doc that shares context but not the term
+# 3. retrieval "hybrid" keeps the literal match first
+# 4. Semantic vectors are persisted and reloaded from ~/.oddkit/cache/indexes
+# 5. An unknown retrieval mode returns an error envelope
+
+echo "Semantic retrieval regression test"
+echo "==================================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR $FAKE_HOME" EXIT
+
+mkdir -p "$FIXTURE_DIR/docs"
+printf -- '---\ntitle: Release Process\n---\n# Release Process\nWe ship each release to production after the release checklist passes.\n' > "$FIXTURE_DIR/docs/release.md"
+printf -- '---\ntitle: Rollback\n---\n# Rollback\nIf a release misbehaves, revert the release and page the owner.\n' > "$FIXTURE_DIR/docs/rollback.md"
+printf -- '---\ntitle: Gardening\n---\n# Gardening\nWater tomatoes every morning and prune basil leaves.\n' > "$FIXTURE_DIR/docs/garden.md"
+
+search() {
+  HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i ship "$@" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+console.log(d.result.error || ((d.result.hits || []).map(h => h.path).join(',') + '|' + (d.debug.semantic_index_source || '')));
+" || true
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: bm25 finds only the literal match"
+check "bm25" "docs/release.md|" "$(search)"
+
+echo ""
+echo "Test 2: semantic finds the related doc (vectors built)"
+check "semantic" "docs/release.md,docs/rollback.md|built" "$(search --retrieval semantic)"
+
+echo ""
+echo "Test 3: hybrid keeps the literal match first (vectors from disk)"
+check "hybrid" "docs/release.md,docs/rollback.md|disk" "$(search --retrieval hybrid)"
+if ls "$FAKE_HOME/.oddkit/cache/indexes/" | grep -q '^vectors-local-.*\.json$'; then
+  echo "PASS: semantic vectors persisted"
+else
+  echo "FAIL: no vectors-*.json under ~/.oddkit/cache/indexes"
+  exit 1
+fi
+
+echo ""
+echo "Test 4: unknown retrieval mode"
+if search --retrieval neural | grep -q 'Invalid "retrieval"'; then
+  echo "PASS: unknown retrieval mode rejected"
+else
+  echo "FAIL: unknown retrieval mode accepted"
+  exit 1
+fi
+
+echo ""
+echo "==================================="
+echo "All semantic retrieval tests passed!"
@@ -0,0 +1,89 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: aliases frontmatter and canon synonym map in search
+#
+# This test verifies:
+# 1. `aliases:` frontmatter is captured in the index
+# 2. canon/meta/synonyms.json groups expand queries (and debug reports it)
+# 3. A doc's aliases connect to its title
+# 4. Literal matches rank above synonym matches
+
+echo "Search synonyms regression test"
+echo "==============================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon/meta" "$FIXTURE_DIR/docs"
+
+cat > "$FIXTURE_DIR/canon/definition-of-done.md" << 'EOF2'
+---
+title: Definition of Done
+aliases: [DoD]
+---
+# Definition of Done
+Work is complete when every check passes.
+EOF2
+
+cat > "$FIXTURE_DIR/docs/ship.md" << 'EOF2'
+---
+title: Ship Checklist
+---
+# Ship
+Meet the acceptance bar before shipping.
+EOF2
+
+cat > "$FIXTURE_DIR/canon/meta/synonyms.json" << 'EOF2'
+[["acceptance bar", "definition of done", "done criteria"]]
+EOF2
+
+ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" >/dev/null 2>&1 || true
+
+search() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const fired = (d.debug.search_synonyms || []).map(s => s.matched + '@' + s.source);
+console.log((d.result.hits || []).map(h => h.path).join(',') + '|' + fired.join(';'));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: aliases captured in the index"
+ALIASES=$(node -e "
+const idx = require('$FIXTURE_DIR/.oddkit/index.json');
+console.log(idx.documents.find(d => d.path === 'canon/definition-of-done.md').aliases.join(','));
+")
+check "aliases" "DoD" "$ALIASES"
+
+echo ""
+echo "Test 2: synonym map expands the query"
+check "done criteria" \
+  "canon/definition-of-done.md,docs/ship.md|done criteria@local:canon/meta/synonyms.json" \
+  "$(search 'done criteria')"
+
+echo ""
+echo "Test 3: alias connects to the title"
+check "DoD" "canon/definition-of-done.md|DoD@alias:canon/definition-of-done.md" "$(search 'DoD')"
+
+echo ""
+echo "Test 4: literal match ranks above synonym match"
+check "acceptance bar" \
+  "docs/ship.md,canon/definition-of-done.md|acceptance bar@local:canon/meta/synonyms.json" \
+  "$(search 'acceptance bar')"
+
+echo ""
+echo "==============================="
+echo "All search synonyms tests passed!"
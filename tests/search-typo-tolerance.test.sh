@@ -0,0 +1,71 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: typo-tolerant and prefix matching in search
+#
+# This test verifies:
+# 1. A misspelled term with no postings is corrected (edit distance) and reported in debug
+# 2. A truncated term is expanded by prefix
+# 3. Corrected matches rank below exact matches
+
+echo "Search typo tolerance regression test"
+echo "======================================"
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/canon"
+
+cat > "$FIXTURE_DIR/canon/epistemic-modes.md" << 'EOF2'
+---
+title: Epistemic Modes
+---
+# Epistemic Modes
+Exploration, planning and execution are epistemic modes.
+EOF2
+
+cat > "$FIXTURE_DIR/canon/checklists.md" << 'EOF2'
+---
+title: Checklists
+---
+# Checklists
+Checklist items for review and observability.
+EOF2
+
+search() {
+  ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -r "$FIXTURE_DIR" -i "$1" 2>/dev/null |
+    node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const c = (d.debug.search_corrections || []).map(c => c.kind + ':' + c.term + '->' + c.expanded.map(e => e.term).join('+'));
+console.log((d.result.hits || []).map(h => h.path).join(',') + '|' + c.join(';'));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Misspelling corrected by edit distance"
+check "exploraton" "canon/epistemic-modes.md|fuzzy:exploraton->explor" "$(search exploraton)"
+
+echo ""
+echo "Test 2: Truncated term expanded by prefix"
+check "revi" "canon/checklists.md|prefix:revi->review" "$(search revi)"
+
+echo ""
+echo "Test 3: Exact matches rank above corrected ones"
+# Each doc matches one query term: checklists.md exactly, epistemic-modes.md via correction
+check "exact first" "canon/checklists.md,canon/epistemic-modes.md|fuzzy:exploraton->explor" \
+  "$(search 'exploraton checklist')"
+
+echo ""
+echo "======================================"
+echo "All search typo tolerance tests passed!"
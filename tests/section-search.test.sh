@@ -0,0 +1,101 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: search indexes full document bodies chunked by heading
+#
+# This test verifies:
+# 1. Index documents carry heading sections with anchors
+# 2. A term far below the 500-char preview is found by search
+# 3. The hit points at the matching section (heading + anchor + snippet)
+
+echo "Section-chunked search regression test"
+echo "======================================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+mkdir -p "$FIXTURE_DIR/docs"
+
+# A long doc whose only mention of the query term sits well past the preview
+{
+  echo "---"
+  echo "title: Release Handbook"
+  echo "---"
+  echo ""
+  echo "# Release Handbook"
+  echo ""
+  for i in $(seq 1 40); do
+    echo "General release notes paragraph $i with filler words."
+  done
+  echo ""
+  echo "## Rollback Procedure"
+  echo ""
+  echo "Trigger a quokka rollback when error budgets burn faster than expected."
+  echo ""
+  echo "## Appendix"
+  echo ""
+  echo "Unrelated appendix material."
+} > "$FIXTURE_DIR/docs/release-handbook.md"
+
+cat > "$FIXTURE_DIR/docs/other.md" << 'EOF'
+---
+title: "Other Document"
+---
+# Other Document
+Nothing about the query here.
+EOF
+
+echo ""
+echo "Building index..."
+ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$FIXTURE_DIR" >/dev/null 2>&1 || true
+
+INDEX_PATH="$FIXTURE_DIR/.oddkit/index.json"
+
+# Test 1: sections stored with anchors
+echo ""
+echo "Test 1: Index documents carry sections"
+ANCHORS=$(node -e "
+const idx = require('$INDEX_PATH');
+const doc = idx.documents.find(d => d.path === 'docs/release-handbook.md');
+console.log((doc?.sections || []).map(s => s.anchor).join(','));
+")
+
+if [ "$ANCHORS" = "release-handbook,rollback-procedure,appendix" ]; then
+  echo "PASS: sections = $ANCHORS"
+else
+  echo "FAIL: sections = '$ANCHORS' (expected release-handbook,rollback-procedure,appendix)"
+  exit 1
+fi
+
+# Test 2 + 3: below-the-fold term found at section granularity
+echo ""
+echo "Test 2: Below-the-fold term is searchable"
+RESULT=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" search -i "quokka rollback" -r "$FIXTURE_DIR" 2>/dev/null)
+
+HIT=$(echo "$RESULT" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const h = (d.result.hits || [])[0] || {};
+console.log([h.path, h.anchor, h.heading].join('|'));
+")
+
+if [ "$HIT" = "docs/release-handbook.md|rollback-procedure|Rollback Procedure" ]; then
+  echo "PASS: top hit = $HIT"
+else
+  echo "FAIL: top hit = '$HIT'"
+  echo "$RESULT"
+  exit 1
+fi
+
+echo ""
+echo "Test 3: Snippet comes from the matching section"
+if echo "$RESULT" | grep -q '"snippet": "Trigger a quokka rollback'; then
+  echo "PASS: snippet quotes the Rollback Procedure section"
+else
+  echo "FAIL: snippet does not quote the matching section"
+  exit 1
+fi
+
+echo ""
+echo "======================================="
+echo "All section-chunked search tests passed!"
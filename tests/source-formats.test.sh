@@ -0,0 +1,211 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: non-markdown source formats
+#
+# This test verifies:
+# 1. .mdx, .txt, .adoc and .rst files under the default include paths are
+#    indexed with their format, title, metadata and headings
+# 2. MDX import/export statements and component tags aren't indexed as text;
+#    code blocks and comments don't produce headings
+# 3. Search ranks sections of every format, and quotes come from the section
+#    body without rST adornments
+# 4. `get` resolves extensionless URIs to other formats, with sections and
+#    metadata
+# 5. Catalog lists them, and watch mode treats their edits as index changes
+# 6. Extensionless klappy:// URIs and relative links resolve to them in
+#    resolve, links and audit
+# 7. Audit checks links in every indexed format, not just .md
+
+echo "Source formats test"
+echo "==================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+FAKE_HOME=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR $FAKE_HOME" EXIT
+
+REPO="$FIXTURE_DIR/repo"
+mkdir -p "$REPO/docs" "$REPO/canon"
+INDEX="$REPO/.oddkit/index.json"
+
+cat > "$REPO/docs/release.rst" << 'EOF'
+:tags: release, ops
+:start_here: true
+
+===============
+ Release Guide
+===============
+
+How releases are cut and shipped.
+
+Install
+-------
+
+Operators MUST verify the signed checksum before installing any release artifact on production hosts.
+
+Rollback
+--------
+
+Keep the previous artifact for a week.
+
+.. code-block:: bash
+
+    # not a heading
+    ./rollback.sh
+EOF
+
+cat > "$REPO/docs/handbook.adoc" << 'EOF'
+= Ops Handbook
+Jane Doe <jane@example.com>
+:tags: ops, handbook
+:description: How we run things
+
+Preamble.
+
+== Deploys
+
+Deploys go out behind a feature flag with a canary soak of thirty minutes.
+
+----
+== not a section
+# shell comment
+----
+
+// comment about zeppelins
+EOF
+
+cat > "$REPO/docs/intro.mdx" << 'EOF'
+---
+sidebar_label: Intro
+---
+import Tabs from '@theme/Tabs';
+import {
+  TabItem,
+} from '@theme/TabItem';
+
+# Getting Started
+
+<Tabs>
+Install the toolkit with the bootstrap script.
+</Tabs>
+EOF
+
+cat > "$REPO/docs/notes.txt" << 'EOF'
+---
+title: Field Notes
+---
+Pagers rotate weekly between the marmoset and quokka teams.
+# not a heading either
+EOF
+
+cat > "$REPO/docs/links.md" << 'EOF'
+# Links
+
+See the [handbook](klappy://docs/handbook) and the [release guide](release).
+EOF
+
+oddkit() {
+  HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" "$@" 2>/dev/null
+}
+
+json() {
+  node -e "const r = JSON.parse(require('fs').readFileSync(0, 'utf-8')); console.log((r => $1)(r));"
+}
+
+# Evaluate $2 over the indexed doc at path $1 as `d`
+doc_field() {
+  node -e "
+const idx = JSON.parse(require('fs').readFileSync('$INDEX', 'utf-8'));
+const d = idx.documents.find((doc) => doc.path === '$1');
+console.log(d ? (d => $2)(d) : 'missing');
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+echo ""
+echo "Test 1: Formats, titles, metadata and headings"
+oddkit index -r "$REPO" > /dev/null
+check "rst" "rst|Release Guide|release,ops|true|Release Guide,Install,Rollback" \
+  "$(doc_field docs/release.rst "[d.format, d.title, d.tags, d.start_here, d.headings.map((h) => h.text)].join('|')")"
+check "adoc" "asciidoc|Ops Handbook|ops,handbook|Jane Doe <jane@example.com>|Ops Handbook,Deploys" \
+  "$(doc_field docs/handbook.adoc "[d.format, d.title, d.tags, d.frontmatter.author, d.headings.map((h) => h.text)].join('|')")"
+check "mdx" "mdx|Getting Started|Intro|Getting Started" \
+  "$(doc_field docs/intro.mdx "[d.format, d.title, d.frontmatter.sidebar_label, d.headings.map((h) => h.text)].join('|')")"
+check "txt" "text|Field Notes|" "$(doc_field docs/notes.txt "[d.format, d.title, d.headings.map((h) => h.text)].join('|')")"
+
+echo ""
+echo "Test 2: Markup that isn't text"
+check "mdx statements and tags dropped" "false" \
+  "$(doc_field docs/intro.mdx "/import|Tabs|@theme/.test(d.sections.map((s) => s.text).join(' '))")"
+check "adoc comments dropped" "false" "$(doc_field docs/handbook.adoc "d.sections.some((s) => s.text.includes('zeppelins'))")"
+
+echo ""
+echo "Test 3: Search and quotes"
+check "rst section hit" "docs/release.rst Install" \
+  "$(oddkit search -i "signed checksum" -r "$REPO" | json "[r.result.hits[0].path, r.result.hits[0].heading].join(' ')")"
+check "adoc section hit" "docs/handbook.adoc Deploys" \
+  "$(oddkit search -i "canary soak" -r "$REPO" | json "[r.result.hits[0].path, r.result.hits[0].heading].join(' ')")"
+check "txt hit" "docs/notes.txt" "$(oddkit search -i "marmoset quokka" -r "$REPO" | json "r.result.hits[0].path")"
+check "mdx hit" "docs/intro.mdx" "$(oddkit search -i "bootstrap script" -r "$REPO" | json "r.result.hits[0].path")"
+QUOTE=$(cd "$PROJECT_ROOT" && node --input-type=module -e "
+import { readFileSync } from 'fs';
+import { extractQuote } from './src/utils/slicing.js';
+const idx = JSON.parse(readFileSync('$INDEX', 'utf-8'));
+const doc = idx.documents.find((d) => d.path === 'docs/release.rst');
+console.log(extractQuote(doc, doc.headings.find((h) => h.text === 'Install')).quote);
+")
+check "quote from rst section" "Operators MUST verify the signed checksum before installing any release artifact on production hosts." "$QUOTE"
+
+echo ""
+echo "Test 4: Get"
+# The repo doubles as the baseline so get can read it
+GET=$(oddkit get -i "klappy://docs/release" -r "$REPO" -b "$REPO" --section Rollback)
+check "section of an rst doc" "## Rollback|Keep the previous artifact for a week." \
+  "$(echo "$GET" | json "r.result.content.split('\n').filter(Boolean).slice(0, 2).join('|')")"
+METADATA=$(cd "$PROJECT_ROOT" && HOME="$FAKE_HOME" ODDKIT_BASELINE_REF=invalid-to-disable node --input-type=module -e "
+import { handleAction } from './src/core/actions.js';
+const r = await handleAction({ action: 'get', input: 'klappy://docs/handbook.adoc', repoRoot: '$REPO', baseline: '$REPO', include_metadata: true });
+console.log([r.result.metadata.title, r.result.metadata.tags].join(' '));
+" 2>/dev/null)
+check "adoc metadata" "Ops Handbook ops,handbook" "$METADATA"
+check "unknown section lists rst headings" "Install,Rollback" \
+  "$(oddkit get -i "klappy://docs/release" -r "$REPO" -b "$REPO" --section Nope | json "r.result.available_sections.join(',')")"
+
+echo ""
+echo "Test 5: Catalog and watch"
+check "catalog start here" "docs/release.rst" \
+  "$(oddkit catalog -r "$REPO" | json "r.result.start_here.map((d) => d.path).join(',')")"
+RELEVANT=$(cd "$PROJECT_ROOT" && node --input-type=module -e "
+import { isIndexRelevantChange } from './src/index/watchIndex.js';
+console.log(['docs/a.rst', 'docs/a.adoc', 'docs/a.mdx', 'docs/a.txt', 'docs/a.png'].map(isIndexRelevantChange).join(','));
+")
+check "watch relevance" "true,true,true,true,false" "$RELEVANT"
+
+echo ""
+echo "Test 6: Extensionless URIs and links"
+check "resolve adoc" "klappy://docs/handbook docs/handbook.adoc" \
+  "$(oddkit resolve -i "klappy://docs/handbook" -r "$REPO" | json "[r.result.resolved.uri, r.result.resolved.path].join(' ')")"
+check "links" "klappy://docs/handbook=docs/handbook.adoc,release=docs/release.rst" \
+  "$(oddkit links -i "docs/links.md" -r "$REPO" | json "r.result.outgoing.map((l) => l.target + '=' + (l.resolved ? l.resolved.path : '-')).join(',')")"
+check "audit" "OK" "$(oddkit audit-links -r "$REPO" --paths docs/ | json "r.result.status")"
+
+echo ""
+echo "Test 7: Audit covers every format"
+echo "Superseded by [the old guide](klappy://docs/gone)." >> "$REPO/docs/intro.mdx"
+oddkit index -r "$REPO" > /dev/null
+check "dead link in mdx" "dead-reference:docs/intro.mdx:14:klappy://docs/gone" \
+  "$(oddkit audit-links -r "$REPO" --paths docs/ | json "r.result.findings.map((f) => f.rule_id + ':' + f.location.path + ':' + f.location.line + ':' + f.occurrence).join(',')")"
+
+echo ""
+echo "==================="
+echo "All source format tests passed!"
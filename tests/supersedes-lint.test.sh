@@ -0,0 +1,197 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Regression test: supersedes graph lint
+#
+# This test verifies:
+# 1. Two local docs superseding the same baseline URI are reported as a conflict
+# 2. supersedes / superseded_by targets missing from the index are reported
+# 3. Supersession cycles are reported once
+# 4. A local doc superseding another local doc is reported
+# 5. A suppressed baseline doc still linked from other docs is reported
+# 6. `oddkit index` runs the same lint; a clean repo reports OK
+# 7. lint-supersedes exits non-zero on error findings, zero on a clean repo
+# 8. lint-supersedes reuses the saved index's unchanged entries
+
+echo "Supersedes lint test"
+echo "===================="
+
+PROJECT_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+FIXTURE_DIR=$(mktemp -d)
+trap "rm -rf $FIXTURE_DIR" EXIT
+
+REPO="$FIXTURE_DIR/repo"
+BASELINE="$FIXTURE_DIR/baseline"
+CLEAN="$FIXTURE_DIR/clean"
+mkdir -p "$REPO/canon" "$BASELINE/canon" "$CLEAN/canon"
+
+cat > "$BASELINE/canon/old.md" << 'EOF'
+---
+title: Old policy
+uri: klappy://canon/old
+---
+# Old policy
+EOF
+
+cat > "$BASELINE/canon/index.md" << 'EOF'
+---
+title: Baseline index
+uri: klappy://canon/index
+---
+# Baseline index
+
+See [the old policy](klappy://canon/old).
+EOF
+
+cat > "$REPO/canon/new-a.md" << 'EOF'
+---
+title: New policy A
+uri: klappy://canon/new-a
+supersedes: klappy://canon/old
+---
+# New policy A
+
+Replaces [the old policy](klappy://canon/old).
+EOF
+
+cat > "$REPO/canon/new-b.md" << 'EOF'
+---
+title: New policy B
+uri: klappy://canon/new-b
+supersedes:
+  - klappy://canon/old
+  - klappy://canon/vanished
+---
+# New policy B
+EOF
+
+cat > "$REPO/canon/draft.md" << 'EOF'
+---
+title: Draft
+uri: klappy://canon/draft
+superseded_by: klappy://canon/nowhere
+---
+# Draft
+EOF
+
+cat > "$REPO/canon/notes-v2.md" << 'EOF'
+---
+title: Notes v2
+uri: klappy://canon/notes-v2
+supersedes: klappy://canon/notes-v1
+---
+# Notes v2
+EOF
+
+cat > "$REPO/canon/notes-v1.md" << 'EOF'
+---
+title: Notes v1
+uri: klappy://canon/notes-v1
+---
+# Notes v1
+EOF
+
+cat > "$REPO/canon/x.md" << 'EOF'
+---
+title: X
+uri: klappy://canon/x
+superseded_by: klappy://canon/y
+---
+# X
+EOF
+
+cat > "$REPO/canon/y.md" << 'EOF'
+---
+title: Y
+uri: klappy://canon/y
+superseded_by: klappy://canon/x
+---
+# Y
+EOF
+
+cat > "$CLEAN/canon/only.md" << 'EOF'
+---
+title: Only
+---
+# Only
+EOF
+
+lint() {
+  node "$PROJECT_ROOT/bin/oddkit" lint-supersedes -r "$REPO" -b "$BASELINE" 2>/dev/null
+}
+
+rule() {
+  echo "$1" | node -e "
+const d = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const r = d.supersedes || d;
+console.log(r.findings.filter((f) => f.rule_id === '$2').map($3).sort().join(';'));
+"
+}
+
+check() {
+  local name="$1" expected="$2" actual="$3"
+  if [ "$actual" = "$expected" ]; then
+    echo "PASS: $name ($actual)"
+  else
+    echo "FAIL: $name ('$actual', expected '$expected')"
+    exit 1
+  fi
+}
+
+OUT=$(lint || true)
+
+echo ""
+echo "Test 1: Conflicting supersessions"
+check "conflict" "klappy://canon/old:canon/new-a.md,canon/new-b.md" \
+  "$(rule "$OUT" conflicting-supersedes "(f) => f.target + ':' + f.declared_by.join(',')")"
+
+echo ""
+echo "Test 2: Dangling targets"
+check "dangling" "canon/draft.md:superseded_by:klappy://canon/nowhere;canon/new-b.md:supersedes:klappy://canon/vanished" \
+  "$(rule "$OUT" dangling-supersedes "(f) => f.location.path + ':' + f.field + ':' + f.target")"
+
+echo ""
+echo "Test 3: Cycles"
+check "cycle" "canon/x.md,canon/y.md" \
+  "$(rule "$OUT" supersession-cycle "(f) => [...f.cycle].sort().join(',')")"
+
+echo ""
+echo "Test 4: Local superseding local"
+check "local -> local" "canon/notes-v2.md>canon/notes-v1.md" \
+  "$(rule "$OUT" local-supersedes-local "(f) => f.location.path + '>' + f.target_path")"
+
+echo ""
+echo "Test 5: Superseded but still linked"
+check "still linked" "canon/old.md<canon/index.md" \
+  "$(rule "$OUT" superseded-still-linked "(f) => f.location.path + '<' + f.linked_from.map((l) => l.path).join(',')")"
+
+echo ""
+echo "Test 6: oddkit index runs the lint"
+INDEX_OUT=$(node "$PROJECT_ROOT/bin/oddkit" index -r "$REPO" -b "$BASELINE" 2>/dev/null)
+check "index errors" "4" "$(echo "$INDEX_OUT" | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).supersedes.summary.by_severity.error)")"
+CLEAN_OUT=$(ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" index -r "$CLEAN" 2>/dev/null)
+check "clean repo" "OK" "$(echo "$CLEAN_OUT" | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf-8')).supersedes.status)")"
+
+echo ""
+echo "Test 7: Exit status"
+set +e
+lint > /dev/null
+LINT_STATUS=$?
+ODDKIT_BASELINE_REF=invalid-to-disable node "$PROJECT_ROOT/bin/oddkit" lint-supersedes -r "$CLEAN" > /dev/null 2>&1
+CLEAN_STATUS=$?
+node "$PROJECT_ROOT/bin/oddkit" lint-supersedes -r "$REPO" -b "$BASELINE" -f tooljson > /dev/null 2>&1
+TOOLJSON_STATUS=$?
+set -e
+check "errors fail" "2" "$LINT_STATUS"
+check "clean passes" "0" "$CLEAN_STATUS"
+check "tooljson always 0" "0" "$TOOLJSON_STATUS"
+
+echo ""
+echo "Test 8: Incremental refresh"
+lint > /dev/null || true
+check "entries reused" "0 $(ls "$REPO/canon" | wc -l | tr -d ' ')" \
+  "$(node -e "const s = JSON.parse(require('fs').readFileSync('$REPO/.oddkit/index.json', 'utf-8')).stats.incremental.local; console.log(s.parsed + ' ' + s.reused)")"
+
+echo ""
+echo "===================="
+echo "All supersedes lint tests passed!"